@@ -0,0 +1,275 @@
+/**
+ * Bot factory: builds the client with storage, commands and every event handler wired up,
+ * without logging in. index.js logs it in; tests drive it with fake Discord objects.
+ */
+
+const { Client, Collection, GatewayIntentBits, Partials } = require('discord.js');
+const { createStorage } = require('./lib/storage');
+const { loadCommands, deployCommands } = require('./lib/commands');
+const { startScheduler } = require('./lib/scheduler');
+const antiSpam = require('./lib/antispam');
+const automod = require('./lib/automod');
+const antiRaid = require('./lib/antiraid');
+const { migrateLegacyData } = require('./lib/guilds');
+const auditLog = require('./lib/auditlog');
+const shifts = require('./lib/shifts');
+const appeals = require('./lib/appeals');
+const verification = require('./lib/verification');
+const massAction = require('./lib/massaction');
+const antiNuke = require('./lib/antinuke');
+const tickets = require('./lib/tickets');
+const metrics = require('./lib/metrics');
+const voiceHop = require('./lib/voicehop');
+const sanitizer = require('./lib/sanitizer');
+const { ALLOWED_ROLES } = require('./utils');
+
+// Create a ready-to-login client. Pass `storage` to use something other than the configured backend.
+function createBot({ storage } = {}) {
+    // Create Discord client
+    const client = new Client({
+        intents: [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages,
+            GatewayIntentBits.MessageContent,
+            GatewayIntentBits.GuildModeration,
+            GatewayIntentBits.GuildMembers,
+            GatewayIntentBits.GuildVoiceStates
+        ],
+        partials: [
+            Partials.Message,
+            Partials.Channel,
+            Partials.GuildMember,
+            Partials.User
+        ]
+    });
+
+    // Create collections for commands and cooldowns
+    client.commands = new Collection();
+    client.cooldowns = new Collection();
+
+    // Open storage (JSON files by default, SQLite with STORAGE_BACKEND=sqlite) unless one is passed in
+    client.storage = storage || createStorage();
+    console.log(`🗄️ Using ${client.storage.type} storage at ${client.storage.location}`);
+
+    client.data = client.storage.loadOrCreate('data', {
+        guilds: {},
+        scheduledTasks: []
+    });
+
+    // Save data function
+    client.saveData = () => {
+        client.storage.save('data', client.data);
+    };
+
+    // Load moderation case log
+    client.cases = client.storage.loadOrCreate('cases', {
+        nextIds: {},
+        list: []
+    });
+
+    // Save cases function
+    client.saveCases = () => {
+        client.storage.save('cases', client.cases);
+    };
+
+    // Load staff shifts
+    client.shifts = client.storage.loadOrCreate('shifts', {
+        active: {},
+        history: []
+    });
+
+    // Save shifts function
+    client.saveShifts = () => {
+        client.storage.save('shifts', client.shifts);
+    };
+
+    // Load support tickets
+    client.tickets = client.storage.loadOrCreate('tickets', {
+        nextIds: {},
+        list: []
+    });
+
+    // Save tickets function
+    client.saveTickets = () => {
+        client.storage.save('tickets', client.tickets);
+    };
+
+    // Load private moderator notes on users
+    client.notes = client.storage.loadOrCreate('notes', {
+        nextIds: {},
+        list: []
+    });
+
+    // Save notes function
+    client.saveNotes = () => {
+        client.storage.save('notes', client.notes);
+    };
+
+    // Load commands from commands directory
+    loadCommands(client);
+
+    // Ready event
+    client.once('clientReady', async () => {
+        console.log(`\n🤖 Bot is ready! Logged in as ${client.user.tag}`);
+        console.log(`📊 Loaded ${client.commands.size} commands`);
+        console.log(`🌐 Connected to ${client.guilds.cache.size} servers`);
+
+        // Move global raid mode and locks from older data.json files into their guild
+        migrateLegacyData(client, ALLOWED_ROLES);
+
+        // Resume temporary bans, lockdowns and slowmodes
+        startScheduler(client);
+
+        // Finish automatic raids that were still running when the bot stopped
+        await antiRaid.resumeRaids(client);
+
+        // Watch clocked-in staff for inactivity
+        shifts.startShiftMonitor(client);
+
+        // Auto-deploy commands when bot starts (skipped when they haven't changed)
+        if (process.env.CLIENT_ID) {
+            await deployCommands(client).catch(error =>
+                console.error('❌ Error auto-deploying commands:', error));
+        } else {
+            console.log('⚠️ CLIENT_ID not found in environment variables. Skipping command deployment.');
+        }
+        console.log('');
+    });
+
+    // Message handler
+    client.on('messageCreate', async (message) => {
+        if (message.author.bot) return;
+
+        // Messages count as shift activity for clocked-in staff
+        if (message.guild) {
+            shifts.recordActivity(client, message.guild.id, message.author.id);
+        }
+
+        // Automod content filters (banned words, invites, phishing, custom rules)
+        if (await automod.handleMessage(client, message)) return;
+
+        // Anti-spam (rate, duplicates, mass mentions, attachments)
+        await antiSpam.handleMessage(client, message);
+    });
+
+    // Button and modal handlers, keyed by the first segment of the custom ID
+    const componentHandlers = {
+        appeal: appeals.handleComponent,
+        verify: verification.handleComponent,
+        mass: massAction.handleComponent,
+        ticket: tickets.handleComponent
+    };
+
+    // Interaction handler
+    client.on('interactionCreate', async (interaction) => {
+        if (interaction.isButton() || interaction.isModalSubmit()) {
+            const handler = componentHandlers[interaction.customId.split(':')[0]];
+            if (!handler) return;
+
+            try {
+                await handler(interaction);
+            } catch (error) {
+                console.error('Component interaction error:', error);
+                const reply = { content: 'There was an error handling this interaction!', ephemeral: true };
+
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp(reply);
+                } else {
+                    await interaction.reply(reply);
+                }
+            }
+            return;
+        }
+
+        if (interaction.isAutocomplete()) {
+            const command = client.commands.get(interaction.commandName);
+            if (!command || !command.autocomplete) return;
+
+            try {
+                await command.autocomplete(interaction);
+            } catch (error) {
+                console.error('Autocomplete error:', error);
+            }
+            return;
+        }
+
+        if (!interaction.isChatInputCommand()) return;
+
+        const command = client.commands.get(interaction.commandName);
+        if (!command) return;
+
+        // Commands (including moderation actions) count as shift activity
+        if (interaction.guild) {
+            shifts.recordActivity(client, interaction.guild.id, interaction.user.id);
+        }
+
+        metrics.increment('commands', interaction.commandName);
+        try {
+            await command.execute(interaction);
+        } catch (error) {
+            console.error('Command execution error:', error);
+            metrics.increment('commandFailures', interaction.commandName);
+            const reply = { content: 'There was an error executing this command!', ephemeral: true };
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply);
+            } else {
+                await interaction.reply(reply);
+            }
+        }
+    });
+
+    // Member join handler (join-rate raid detection and raid mode kicks)
+    client.on('guildMemberAdd', async (member) => {
+        await auditLog.logMemberJoin(client, member);
+        const handled = await antiRaid.handleMemberAdd(client, member);
+        // Hoisted, zalgo or impersonating names (opt-in); a kicked member skips verification
+        if (!handled && !await sanitizer.handleMember(client, member)) {
+            await verification.handleMemberAdd(client, member);
+        }
+    });
+
+    // Audit log events
+    client.on('guildMemberRemove', async (member) => {
+        await auditLog.logMemberLeave(client, member);
+        await verification.handleMemberRemove(client, member);
+    });
+
+    client.on('guildMemberUpdate', async (oldMember, newMember) => {
+        await auditLog.logRoleChange(client, oldMember, newMember);
+        await sanitizer.handleMemberUpdate(client, oldMember, newMember);
+    });
+
+    client.on('messageUpdate', async (oldMessage, newMessage) => {
+        await auditLog.logMessageEdit(client, oldMessage, newMessage);
+        await automod.handleEdit(client, oldMessage, newMessage);
+    });
+
+    client.on('messageDelete', async (message) => {
+        await auditLog.logMessageDelete(client, message);
+    });
+
+    client.on('messageDeleteBulk', async (messages, channel) => {
+        await auditLog.logBulkDelete(client, messages, channel);
+    });
+
+    // Voice hopping (rapid joins and moves between voice channels)
+    client.on('voiceStateUpdate', async (oldState, newState) => {
+        await voiceHop.handleVoiceStateUpdate(client, oldState, newState);
+    });
+
+    // Anti-nuke: destructive actions by staff accounts, read from the guild audit log
+    client.on('guildAuditLogEntryCreate', async (entry, guild) => {
+        try {
+            await antiNuke.handleAuditLogEntry(client, entry, guild);
+        } catch (error) {
+            console.error('Anti-nuke error:', error);
+        }
+    });
+
+    return client;
+}
+
+module.exports = {
+    createBot
+};
\ No newline at end of file
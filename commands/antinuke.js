@@ -0,0 +1,126 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const ms = require('ms');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { getGuildSettings, setGuildSetting } = require('../lib/guilds');
+const { getQuarantined, releaseQuarantine } = require('../lib/antinuke');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('antinuke')
+        .setDescription('Manage protection against destructive staff accounts')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show anti-nuke thresholds, trusted users and quarantined members'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('release')
+                .setDescription('Lift a quarantine and give the member their roles back')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Quarantined member')
+                        .setRequired(true)))
+        .addSubcommandGroup(group =>
+            group.setName('trust')
+                .setDescription('Manage users anti-nuke ignores (server owner only)')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Stop anti-nuke from acting on a user or bot')
+                        .addUserOption(option =>
+                            option.setName('user')
+                                .setDescription('User or bot to trust')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Watch a trusted user again')
+                        .addUserOption(option =>
+                            option.setName('user')
+                                .setDescription('User or bot to stop trusting')
+                                .setRequired(true)))),
+    tier: 'admin',
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const client = interaction.client;
+        const guild = interaction.guild;
+        const group = interaction.options.getSubcommandGroup();
+        const subcommand = interaction.options.getSubcommand();
+        const settings = getGuildSettings(client, guild.id).antiNuke;
+
+        if (group === 'trust') {
+            // A compromised admin must not be able to exempt themselves
+            if (interaction.user.id !== guild.ownerId) {
+                return await interaction.reply({
+                    content: '❌ Only the server owner can change anti-nuke trusted users.',
+                    ephemeral: true
+                });
+            }
+
+            const user = interaction.options.getUser('user');
+            const trusted = settings.trusted.filter(userId => userId !== user.id);
+            if (subcommand === 'add') trusted.push(user.id);
+            setGuildSetting(client, guild.id, 'antiNuke.trusted', trusted);
+
+            const change = `**${user.tag}** ${subcommand === 'add' ? 'is now trusted by' : 'is no longer trusted by'} anti-nuke.`;
+            await logAction(client, guild, {
+                title: '🛡️ Anti-nuke changed',
+                actor: interaction.user,
+                fields: [{ name: 'Change', value: change }]
+            });
+            return await interaction.reply({ content: `✅ ${change}`, ephemeral: true });
+        }
+
+        if (subcommand === 'release') {
+            const user = interaction.options.getUser('user');
+            if (user.id === interaction.user.id) {
+                return await interaction.reply({ content: '❌ You cannot release yourself.', ephemeral: true });
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+            let result;
+            try {
+                result = await releaseQuarantine(client, guild, user.id, interaction.user);
+            } catch (error) {
+                return await interaction.editReply(`❌ Failed to release ${user.tag}. ${error.message}`);
+            }
+            if (!result) {
+                return await interaction.editReply(`❌ **${user.tag}** is not quarantined.`);
+            }
+
+            const roles = result.restored.map(roleId => `<@&${roleId}>`).join(', ') || 'none';
+            await logAction(client, guild, {
+                title: '🛡️ Anti-nuke quarantine lifted',
+                actor: interaction.user,
+                target: `<@${user.id}> (${user.tag})`,
+                fields: [{ name: 'Roles restored', value: roles }]
+            });
+            return await interaction.editReply(result.member
+                ? `✅ Released **${user.tag}**. Roles restored: ${roles}.`
+                : `✅ Cleared the quarantine for **${user.tag}**, who is no longer in the server.`);
+        }
+
+        // view
+        const thresholds = ['channelDelete', 'roleDelete', 'ban', 'kick', 'webhookCreate']
+            .map(key => `**${key}:** ${settings[key]}`)
+            .join('\n');
+        const quarantined = Object.entries(getQuarantined(client, guild.id))
+            .map(([userId, record]) => `<@${userId}> - <t:${Math.floor(record.timestamp / 1000)}:R>: ${record.reason}`);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Anti-nuke for ${guild.name}`)
+            .setColor(0x5865f2)
+            .addFields(
+                { name: 'Status', value: settings.enabled ? 'enabled' : 'disabled', inline: true },
+                { name: 'Window', value: ms(settings.timeWindow, { long: true }), inline: true },
+                { name: 'Revert changes', value: settings.revert ? 'yes' : 'no', inline: true },
+                { name: 'Thresholds', value: thresholds },
+                { name: 'Trusted', value: settings.trusted.map(userId => `<@${userId}>`).join(', ') || 'nobody' },
+                { name: 'Quarantined', value: quarantined.join('\n').slice(0, 1024) || 'nobody' }
+            )
+            .setFooter({ text: 'Change thresholds with /config set antiNuke.<setting> (server owner only)' });
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,298 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const ms = require('ms');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { getGuildSettings, setGuildSetting } = require('../lib/guilds');
+const { ACTIONS, compileRule, findViolations, pickViolation } = require('../lib/automod');
+
+const actionChoices = ACTIONS.map(action => ({ name: action, value: action }));
+
+// Discord timeouts can't be longer than 28 days
+const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000;
+const MAX_PATTERN_LENGTH = 200;
+
+function formatAction({ action, duration }) {
+    return action === 'timeout' && duration ? `timeout (${ms(duration, { long: true })})` : action;
+}
+
+function formatList(ids, prefix) {
+    return ids.length ? ids.map(id => `<${prefix}${id}>`).join(', ') : 'none';
+}
+
+// Split "foo, bar baz" into ["foo", "bar baz"]
+function parseWords(raw) {
+    return raw.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('automod')
+        .setDescription('Manage automatic content filters')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show the automod filters and rules'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('toggle')
+                .setDescription('Turn automod on or off for this server')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Enable or disable automod')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('filter')
+                .setDescription('Configure a built-in filter')
+                .addStringOption(option =>
+                    option.setName('filter')
+                        .setDescription('Filter to configure')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Banned words', value: 'words' },
+                            { name: 'Invites to other servers', value: 'invites' },
+                            { name: 'Phishing links', value: 'phishing' }
+                        ))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Enable or disable the filter')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('What to do with offenders (the message is always deleted)')
+                        .setRequired(false)
+                        .addChoices(...actionChoices))
+                .addStringOption(option =>
+                    option.setName('duration')
+                        .setDescription('Timeout length for the timeout action (e.g. 10m, 1h, 1d)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('test')
+                .setDescription('Check which filters and rules a message would trigger')
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('Message text to check')
+                        .setRequired(true)))
+        .addSubcommandGroup(group =>
+            group.setName('words')
+                .setDescription('Manage the banned word list')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Ban words or phrases')
+                        .addStringOption(option =>
+                            option.setName('words')
+                                .setDescription('Comma-separated words or phrases')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Unban words or phrases')
+                        .addStringOption(option =>
+                            option.setName('words')
+                                .setDescription('Comma-separated words or phrases')
+                                .setRequired(true))))
+        .addSubcommandGroup(group =>
+            group.setName('rule')
+                .setDescription('Manage custom regex rules')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add or replace a regex rule')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Rule name')
+                                .setRequired(true)
+                                .setMaxLength(32))
+                        .addStringOption(option =>
+                            option.setName('pattern')
+                                .setDescription('Regular expression, matched case-insensitively')
+                                .setRequired(true)
+                                .setMaxLength(MAX_PATTERN_LENGTH))
+                        .addStringOption(option =>
+                            option.setName('action')
+                                .setDescription('What to do with offenders (the message is always deleted)')
+                                .setRequired(true)
+                                .addChoices(...actionChoices))
+                        .addStringOption(option =>
+                            option.setName('duration')
+                                .setDescription('Timeout length for the timeout action (e.g. 10m, 1h, 1d)')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a regex rule')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Rule name')
+                                .setRequired(true))))
+        .addSubcommandGroup(group =>
+            group.setName('exempt')
+                .setDescription('Manage automod exemptions')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Exempt a channel or role from automod')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to exempt')
+                                .setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to exempt')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove an automod exemption')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to remove')
+                                .setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove')
+                                .setRequired(false)))),
+    tier: 'admin',
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const client = interaction.client;
+        const guildId = interaction.guild.id;
+        const group = interaction.options.getSubcommandGroup();
+        const subcommand = interaction.options.getSubcommand();
+        const settings = getGuildSettings(client, guildId).automod;
+
+        // Reply to an automod change and record it in the log channel
+        const confirm = async content => {
+            await logAction(client, interaction.guild, {
+                title: '🧹 Automod changed',
+                actor: interaction.user,
+                fields: [{ name: 'Change', value: content.replace(/^✅ /, '') }]
+            });
+            return interaction.reply({ content, ephemeral: true });
+        };
+
+        // Optional timeout length; null when not given, throws on bad input
+        const getDuration = () => {
+            const raw = interaction.options.getString('duration');
+            if (!raw) return null;
+            const duration = ms(raw);
+            if (!duration || duration <= 0 || duration > MAX_TIMEOUT) throw new Error('Use a duration like 10m, 1h or 1d, up to 28 days.');
+            return duration;
+        };
+
+        if (group === 'words') {
+            const words = parseWords(interaction.options.getString('words'));
+            const list = settings.bannedWords.filter(word => !words.includes(word));
+            if (subcommand === 'add') list.push(...words);
+            setGuildSetting(client, guildId, 'automod.bannedWords', list);
+
+            // Keep the words themselves out of the log channel
+            return await confirm(`✅ ${words.length} word(s) ${subcommand === 'add' ? 'added to' : 'removed from'} the banned word list (${list.length} total).`);
+        }
+
+        if (group === 'rule') {
+            const name = interaction.options.getString('name').toLowerCase();
+            const rules = settings.rules.filter(rule => rule.name !== name);
+
+            if (subcommand === 'remove') {
+                if (rules.length === settings.rules.length) {
+                    return await interaction.reply({ content: `❌ No rule named **${name}**.`, ephemeral: true });
+                }
+                setGuildSetting(client, guildId, 'automod.rules', rules);
+                return await confirm(`✅ Removed automod rule **${name}**.`);
+            }
+
+            const pattern = interaction.options.getString('pattern');
+            const action = interaction.options.getString('action');
+            let duration;
+            try {
+                compileRule(pattern);
+                duration = getDuration();
+            } catch (error) {
+                return await interaction.reply({ content: `❌ Invalid rule. ${error.message}`, ephemeral: true });
+            }
+
+            const rule = { name, pattern, action, duration };
+            rules.push(rule);
+            setGuildSetting(client, guildId, 'automod.rules', rules);
+            return await confirm(`✅ Rule **${name}** (\`${pattern}\`) will **${formatAction(rule)}**.`);
+        }
+
+        if (group === 'exempt') {
+            const channel = interaction.options.getChannel('channel');
+            const role = interaction.options.getRole('role');
+
+            if (!channel && !role) {
+                return await interaction.reply({
+                    content: '❌ Specify a channel, a role or both.',
+                    ephemeral: true
+                });
+            }
+
+            const update = (key, list, id) => {
+                const next = list.filter(existing => existing !== id);
+                if (subcommand === 'add') next.push(id);
+                setGuildSetting(client, guildId, key, next);
+            };
+            if (channel) update('automod.exemptChannels', settings.exemptChannels, channel.id);
+            if (role) update('automod.exemptRoles', settings.exemptRoles, role.id);
+
+            const targets = [channel && `<#${channel.id}>`, role && `<@&${role.id}>`].filter(Boolean).join(' and ');
+            return await confirm(`✅ ${targets} ${subcommand === 'add' ? 'exempted from' : 'no longer exempt from'} automod.`);
+        }
+
+        if (subcommand === 'toggle') {
+            const enabled = interaction.options.getBoolean('enabled');
+            setGuildSetting(client, guildId, 'automod.enabled', enabled);
+            return await confirm(`✅ Automod **${enabled ? 'enabled' : 'disabled'}**.`);
+        }
+
+        if (subcommand === 'filter') {
+            const name = interaction.options.getString('filter');
+            let duration;
+            try {
+                duration = getDuration();
+            } catch (error) {
+                return await interaction.reply({ content: `❌ Invalid duration. ${error.message}`, ephemeral: true });
+            }
+
+            const filter = {
+                enabled: interaction.options.getBoolean('enabled'),
+                action: interaction.options.getString('action') || settings[name].action,
+                duration: duration || settings[name].duration
+            };
+            setGuildSetting(client, guildId, `automod.${name}`, filter);
+            return await confirm(`✅ **${name}** filter ${filter.enabled ? `enabled (**${formatAction(filter)}**)` : 'disabled'}.`);
+        }
+
+        if (subcommand === 'test') {
+            const violations = await findViolations(client, interaction.guild, interaction.options.getString('text'), settings);
+            if (!violations.length) {
+                return await interaction.reply({ content: '✅ That message would not trigger automod.', ephemeral: true });
+            }
+
+            const lines = violations.map(violation => `• **${violation.filter}**: ${violation.reason} → ${formatAction(violation)}`);
+            return await interaction.reply({
+                content: `🧹 That message would be removed and the author would get **${formatAction(pickViolation(violations))}**.\n${lines.join('\n')}`,
+                ephemeral: true
+            });
+        }
+
+        // view
+        const describeFilter = name => (settings[name].enabled ? formatAction(settings[name]) : 'off');
+        const rules = settings.rules.map(rule => `**${rule.name}:** \`${rule.pattern}\` → ${formatAction(rule)}`);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Automod for ${interaction.guild.name}`)
+            .setColor(0x5865f2)
+            .addFields(
+                { name: 'Status', value: settings.enabled ? 'enabled' : 'disabled', inline: true },
+                { name: 'Banned words', value: `${describeFilter('words')} (${settings.bannedWords.length} words)`, inline: true },
+                { name: 'Invites', value: describeFilter('invites'), inline: true },
+                { name: 'Phishing links', value: describeFilter('phishing'), inline: true },
+                { name: 'Rules', value: rules.join('\n').slice(0, 1024) || 'none' },
+                { name: 'Exemptions', value: `Channels: ${formatList(settings.exemptChannels, '#')}\nRoles: ${formatList(settings.exemptRoles, '@&')}` }
+            );
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { createBackup, listBackups, backupChoices, deleteBackup } = require('../lib/backup');
+const config = require('../config.json');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('backup')
+        .setDescription('Snapshot the server structure so it can be restored after a nuke')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Save roles, channels and permission overwrites')
+                .addBooleanOption(option =>
+                    option.setName('messages')
+                        .setDescription(`Also save the last ${config.backup.messageLimit} messages of each text channel`)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show saved backups'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a saved backup')
+                .addStringOption(option =>
+                    option.setName('backup')
+                        .setDescription('Backup to delete')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+    tier: 'admin',
+
+    async autocomplete(interaction) {
+        await interaction.respond(backupChoices(interaction.guild.id, interaction.options.getFocused()));
+    },
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const guild = interaction.guild;
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const backups = listBackups(guild.id);
+            const lines = backups.map(backup =>
+                `\`${backup.id}\` - <t:${Math.floor(backup.createdAt / 1000)}:f> (${Math.ceil(backup.size / 1024)} KB)`);
+
+            const embed = new EmbedBuilder()
+                .setTitle(`Backups for ${guild.name}`)
+                .setColor(0x5865f2)
+                .setDescription(lines.join('\n') || 'No backups yet. Use `/backup create` to make one.')
+                .setFooter({ text: `The newest ${config.backup.keep} backups are kept` });
+
+            return await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (subcommand === 'delete') {
+            const id = interaction.options.getString('backup');
+            if (!deleteBackup(guild.id, id)) {
+                return await interaction.reply({ content: `❌ Backup \`${id}\` not found.`, ephemeral: true });
+            }
+
+            await logAction(interaction.client, guild, {
+                title: '🗄️ Backup deleted',
+                actor: interaction.user,
+                fields: [{ name: 'Backup', value: `\`${id}\`` }]
+            });
+            return await interaction.reply({ content: `✅ Deleted backup \`${id}\`.`, ephemeral: true });
+        }
+
+        // create
+        const includeMessages = interaction.options.getBoolean('messages') || false;
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const snapshot = await createBackup(guild, interaction.user, { messages: includeMessages });
+            const messageCount = snapshot.messages
+                ? Object.values(snapshot.messages).reduce((total, messages) => total + messages.length, 0)
+                : 0;
+            const summary = `${snapshot.roles.length} roles, ${snapshot.channels.length} channels` +
+                (includeMessages ? `, ${messageCount} messages` : '');
+
+            await logAction(interaction.client, guild, {
+                title: '🗄️ Backup created',
+                actor: interaction.user,
+                fields: [
+                    { name: 'Backup', value: `\`${snapshot.id}\``, inline: true },
+                    { name: 'Contents', value: summary, inline: true }
+                ]
+            });
+
+            await interaction.editReply(`✅ Saved backup \`${snapshot.id}\` (${summary}). Restore it with \`/restore\`.`);
+        } catch (error) {
+            await interaction.editReply(`❌ Failed to create backup. ${error.message}`);
+        }
+    },
+};
\ No newline at end of file
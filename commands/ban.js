@@ -1,10 +1,15 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
+const { scheduleTask, cancelTask } = require('../lib/scheduler');
+const { sendAppealPrompt, attachCase, discardAppeal } = require('../lib/appeals');
+const ms = require('ms');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('ban')
         .setDescription('Ban a user from the server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers)
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('The user to ban')
@@ -12,26 +17,85 @@ module.exports = {
         .addStringOption(option =>
             option.setName('reason')
                 .setDescription('Reason for the ban')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Ban duration for a temporary ban (e.g. 1d, 7d, 30d)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('appeal')
+                .setDescription('DM the user a button to appeal the ban (default: true)')
                 .setRequired(false)),
+    tier: 'senior',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const user = interaction.options.getUser('user');
         const reason = interaction.options.getString('reason') || 'No reason provided';
+        const duration = interaction.options.getString('duration');
+        const appeal = interaction.options.getBoolean('appeal') ?? true;
 
-        try {
-            await interaction.guild.members.ban(user, { reason });
-            await interaction.reply({
-                content: `✅ **${user.tag}** has been banned.\n**Reason:** ${reason}`,
+        const time = duration ? ms(duration) : null;
+        if (duration && (!time || time <= 0)) {
+            return await interaction.reply({
+                content: '❌ Invalid duration. Use format like 1h, 1d, 30d',
                 ephemeral: true
             });
+        }
+
+        // Fetching the member and sending the appeal DM can outlast the 3 second reply window
+        await interaction.deferReply({ ephemeral: true });
+
+        // Users who already left can be banned without a hierarchy check
+        const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) {
+            return await interaction.editReply({ content: hierarchyError });
+        }
+
+        // DM first: once banned, the bot may no longer share a server with the user
+        const prompt = appeal ? await sendAppealPrompt(interaction.client, interaction.guild, user, reason) : null;
+
+        try {
+            await interaction.guild.members.ban(user, { reason });
         } catch (error) {
-            await interaction.reply({
-                content: `❌ Failed to ban **${user.tag}**. ${error.message}`,
-                ephemeral: true
+            if (appeal) {
+                await discardAppeal(interaction.client, interaction.guild, user.id, prompt);
+            }
+            return await interaction.editReply({
+                content: `❌ Failed to ban **${user.tag}**. ${error.message}`
+            });
+        }
+
+        const entry = createCase(interaction.client, {
+            guild: interaction.guild,
+            action: 'ban',
+            target: user,
+            moderator: interaction.user,
+            reason,
+            duration,
+            channel: interaction.channel
+        });
+        if (appeal) {
+            attachCase(interaction.client, interaction.guild.id, user.id, entry.id);
+        }
+
+        if (time) {
+            scheduleTask(interaction.client, {
+                type: 'unban',
+                guildId: interaction.guild.id,
+                targetId: user.id,
+                runAt: Date.now() + time,
+                data: { targetTag: user.tag, caseId: entry.id }
             });
+        } else {
+            // A permanent ban overrides any earlier temporary one
+            cancelTask(interaction.client, 'unban', interaction.guild.id, user.id);
         }
+        await interaction.editReply({
+            content: `✅ **${user.tag}** has been banned${time ? ` for **${duration}**` : ''}. (Case #${entry.id})\n**Reason:** ${reason}${prompt ? '\n📨 Appeal instructions sent by DM.' : ''}`
+        });
     },
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getCase, updateCaseReason, buildCaseEmbed } = require('../lib/cases');
+const { logAction, truncate } = require('../lib/auditlog');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('case')
+        .setDescription('View or edit a moderation case')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show a moderation case')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Case number')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reason')
+                .setDescription('Change the reason on a moderation case')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Case number')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('New reason')
+                        .setRequired(true))),
+    tier: 'moderator',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const subcommand = interaction.options.getSubcommand();
+        const caseId = interaction.options.getInteger('id');
+
+        if (subcommand === 'reason') {
+            const reason = interaction.options.getString('reason');
+            const entry = updateCaseReason(interaction.client, interaction.guild.id, caseId, reason, interaction.user);
+
+            if (!entry) {
+                return await interaction.reply({
+                    content: `❌ Case **#${caseId}** not found.`,
+                    ephemeral: true
+                });
+            }
+
+            await logAction(interaction.client, interaction.guild, {
+                title: `✏️ Case #${entry.id} reason edited`,
+                actor: interaction.user,
+                reason,
+                fields: [
+                    { name: 'Previous reason', value: truncate(entry.previousReason) },
+                    ...(entry.logUrl ? [{ name: 'Case', value: `[Jump to case](${entry.logUrl})` }] : [])
+                ]
+            });
+
+            return await interaction.reply({
+                content: `✅ Updated reason for case **#${entry.id}**.`,
+                embeds: [buildCaseEmbed(entry)],
+                ephemeral: true
+            });
+        }
+
+        const entry = getCase(interaction.client, interaction.guild.id, caseId);
+        if (!entry) {
+            return await interaction.reply({
+                content: `❌ Case **#${caseId}** not found.`,
+                ephemeral: true
+            });
+        }
+
+        await interaction.reply({
+            embeds: [buildCaseEmbed(entry)],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -1,10 +1,15 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const path = require('path');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
+const { deleteMessages } = require('../lib/purge');
+const { archiveChannelMessages } = require('../lib/backup');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('clear')
         .setDescription('Clear all messages in a channel')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
         .addBooleanOption(option =>
             option.setName('confirm')
                 .setDescription('Confirm you want to delete ALL messages')
@@ -12,14 +17,20 @@ module.exports = {
         .addChannelOption(option =>
             option.setName('channel')
                 .setDescription('Channel to clear (current channel if not specified)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('archive')
+                .setDescription('Save the messages to a file before clearing (default: false)')
                 .setRequired(false)),
+    tier: 'senior',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const channel = interaction.options.getChannel('channel') || interaction.channel;
         const confirm = interaction.options.getBoolean('confirm');
+        const archive = interaction.options.getBoolean('archive') || false;
         
         if (!confirm) {
             return await interaction.reply({
@@ -34,6 +45,12 @@ module.exports = {
         });
 
         try {
+            // Archive everything first; if that fails nothing is deleted
+            let archived = null;
+            if (archive) {
+                archived = await archiveChannelMessages(channel);
+            }
+
             let totalDeleted = 0;
             let fetched;
             
@@ -42,40 +59,27 @@ module.exports = {
                 fetched = await channel.messages.fetch({ limit: 100 });
                 
                 if (fetched.size === 0) break;
-                
-                // Separate old messages (14+ days) from new ones
-                const now = Date.now();
-                const twoWeeksAgo = now - 14 * 24 * 60 * 60 * 1000;
-                
-                const newMessages = fetched.filter(msg => msg.createdTimestamp > twoWeeksAgo);
-                const oldMessages = fetched.filter(msg => msg.createdTimestamp <= twoWeeksAgo);
-                
-                // Bulk delete new messages (faster)
-                if (newMessages.size > 0) {
-                    const deleted = await channel.bulkDelete(newMessages, true);
-                    totalDeleted += deleted.size;
-                }
-                
-                // Delete old messages one by one (slower but necessary)
-                for (const [, message] of oldMessages) {
-                    try {
-                        await message.delete();
-                        totalDeleted++;
-                        // Small delay to avoid rate limits
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    } catch (error) {
-                        // Message might already be deleted or permission issues
-                        console.log(`Could not delete message: ${error.message}`);
-                    }
-                }
-                
+
+                const deleted = await deleteMessages(channel, fetched);
+                totalDeleted += deleted;
+
                 // Break if we didn't delete anything to avoid infinite loop
-                if (newMessages.size === 0 && oldMessages.size === 0) break;
+                if (deleted === 0) break;
                 
             } while (fetched.size > 0);
 
+            const entry = createCase(interaction.client, {
+                guild: interaction.guild,
+                action: 'clear',
+                moderator: interaction.user,
+                reason: `Cleared ${totalDeleted} message(s)`,
+                channel,
+                extra: { deleted: totalDeleted, ...(archived && { archive: path.basename(archived.file) }) }
+            });
+
+            const archiveNote = archived ? ` Archived ${archived.count} message(s) to \`${path.basename(archived.file)}\`.` : '';
             await interaction.followUp({
-                content: `✅ Cleared **${totalDeleted}** messages from **${channel.name}**.`,
+                content: `✅ Cleared **${totalDeleted}** messages from **${channel.name}**.${archiveNote} (Case #${entry.id})`,
                 ephemeral: true
             });
 
@@ -0,0 +1,38 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { clockIn, getActiveShift } = require('../lib/shifts');
+const { logAction } = require('../lib/auditlog');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('clockin')
+        .setDescription('Start your staff shift')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+
+        const shift = clockIn(interaction.client, interaction.member);
+        if (!shift) {
+            const active = getActiveShift(interaction.client, interaction.guild.id, interaction.user.id);
+            return await interaction.reply({
+                content: `❌ You are already clocked in (since <t:${Math.floor(active.start / 1000)}:R>).`,
+                ephemeral: true
+            });
+        }
+
+        await logAction(interaction.client, interaction.guild, {
+            title: '🟢 Clocked in',
+            actor: interaction.user,
+            fields: [{ name: 'Tier', value: shift.tier, inline: true }]
+        });
+
+        await interaction.reply({
+            content: `🟢 You are now clocked in as **${shift.tier}**.`,
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
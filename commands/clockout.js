@@ -0,0 +1,40 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { clockOut, formatDuration } = require('../lib/shifts');
+const { logAction } = require('../lib/auditlog');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('clockout')
+        .setDescription('End your staff shift')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+
+        const record = clockOut(interaction.client, interaction.guild.id, interaction.user.id);
+        if (!record) {
+            return await interaction.reply({
+                content: '❌ You are not clocked in.',
+                ephemeral: true
+            });
+        }
+
+        await logAction(interaction.client, interaction.guild, {
+            title: '🔴 Clocked out',
+            actor: interaction.user,
+            fields: [
+                { name: 'Shift length', value: formatDuration(record.duration), inline: true },
+                { name: 'Earned', value: record.pay.toLocaleString(), inline: true }
+            ]
+        });
+
+        await interaction.reply({
+            content: `🔴 You are now clocked out. Shift length: **${formatDuration(record.duration)}**, earned **${record.pay.toLocaleString()}**.`,
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,260 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const ms = require('ms');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { SETTINGS, getGuildData, getGuildSettings, getSettingValue, setGuildSetting, parseSettingValue } = require('../lib/guilds');
+
+// Human-readable setting value for /config view
+function formatValue(key, value) {
+    if (value === null || value === undefined) return 'not set';
+    if (SETTINGS[key] === 'duration') return ms(value, { long: true });
+    if (SETTINGS[key] === 'channel') return `<#${value}>`;
+    if (SETTINGS[key] === 'role') return `<@&${value}>`;
+    return `${value}`;
+}
+
+function formatList(ids, prefix) {
+    return ids.length ? ids.map(id => `<${prefix}${id}>`).join(', ') : 'none';
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View or change the bot settings for this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show the current settings'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('set')
+                .setDescription('Change a setting')
+                .addStringOption(option =>
+                    option.setName('setting')
+                        .setDescription('Setting to change')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('New value (e.g. true, 5, 10s, #channel)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reset')
+                .setDescription('Reset a setting to the default')
+                .addStringOption(option =>
+                    option.setName('setting')
+                        .setDescription('Setting to reset')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('logchannel')
+                .setDescription('Set the moderation log channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Log channel (clears it if not specified)')
+                        .setRequired(false)))
+        .addSubcommandGroup(group =>
+            group.setName('modrole')
+                .setDescription('Manage roles allowed to use moderation commands')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Allow a role to use moderation commands')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to allow')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Stop a role from using moderation commands')
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove')
+                                .setRequired(true))))
+        .addSubcommandGroup(group =>
+            group.setName('lockdown')
+                .setDescription('Manage channels skipped by a server-wide lockdown')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Keep a channel open during server-wide lockdowns')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to keep open')
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Include a channel in server-wide lockdowns again')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to include')
+                                .setRequired(true))))
+        .addSubcommandGroup(group =>
+            group.setName('exempt')
+                .setDescription('Manage anti-spam exemptions')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Exempt a channel or role from anti-spam')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to exempt')
+                                .setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to exempt')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove an anti-spam exemption')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Channel or category to remove')
+                                .setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('Role to remove')
+                                .setRequired(false)))),
+    tier: 'admin',
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = Object.keys(SETTINGS)
+            .filter(key => key.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(key => ({ name: key, value: key }));
+        await interaction.respond(choices);
+    },
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const client = interaction.client;
+        const guildId = interaction.guild.id;
+        const group = interaction.options.getSubcommandGroup();
+        const subcommand = interaction.options.getSubcommand();
+        const settings = getGuildSettings(client, guildId);
+
+        if (subcommand === 'set' || subcommand === 'reset') {
+            const key = interaction.options.getString('setting');
+            if (!SETTINGS[key]) {
+                return await interaction.reply({ content: `❌ Unknown setting **${key}**.`, ephemeral: true });
+            }
+            // Anti-nuke guards against rogue admins, so only the owner can weaken it
+            if (key.startsWith('antiNuke.') && interaction.user.id !== interaction.guild.ownerId) {
+                return await interaction.reply({
+                    content: '❌ Only the server owner can change anti-nuke settings.',
+                    ephemeral: true
+                });
+            }
+        }
+
+        // Reply to a settings change and record it in the log channel
+        const confirm = async content => {
+            await logAction(client, interaction.guild, {
+                title: '⚙️ Settings changed',
+                actor: interaction.user,
+                fields: [{ name: 'Change', value: content.replace(/^✅ /, '') }]
+            });
+            return interaction.reply({ content, ephemeral: true });
+        };
+
+        if (group === 'modrole') {
+            const role = interaction.options.getRole('role');
+            const modRoles = settings.modRoles.filter(roleId => roleId !== role.id);
+            if (subcommand === 'add') modRoles.push(role.id);
+            setGuildSetting(client, guildId, 'modRoles', modRoles);
+
+            return await confirm(`✅ **${role.name}** ${subcommand === 'add' ? 'can now' : 'can no longer'} use moderation commands.`);
+        }
+
+        if (group === 'lockdown') {
+            const channel = interaction.options.getChannel('channel');
+            const allowlist = settings.lockdownAllowlist.filter(channelId => channelId !== channel.id);
+            if (subcommand === 'add') allowlist.push(channel.id);
+            setGuildSetting(client, guildId, 'lockdownAllowlist', allowlist);
+
+            return await confirm(`✅ <#${channel.id}> ${subcommand === 'add' ? 'will stay open during' : 'is included in'} server-wide lockdowns.`);
+        }
+
+        if (group === 'exempt') {
+            const channel = interaction.options.getChannel('channel');
+            const role = interaction.options.getRole('role');
+
+            if (!channel && !role) {
+                return await interaction.reply({
+                    content: '❌ Specify a channel, a role or both.',
+                    ephemeral: true
+                });
+            }
+
+            const update = (key, list, id) => {
+                const next = list.filter(existing => existing !== id);
+                if (subcommand === 'add') next.push(id);
+                setGuildSetting(client, guildId, key, next);
+            };
+            if (channel) update('antiSpam.exemptChannels', settings.antiSpam.exemptChannels, channel.id);
+            if (role) update('antiSpam.exemptRoles', settings.antiSpam.exemptRoles, role.id);
+
+            const targets = [channel && `<#${channel.id}>`, role && `<@&${role.id}>`].filter(Boolean).join(' and ');
+            return await confirm(`✅ ${targets} ${subcommand === 'add' ? 'exempted from' : 'no longer exempt from'} anti-spam.`);
+        }
+
+        if (subcommand === 'logchannel') {
+            const channel = interaction.options.getChannel('channel');
+            setGuildSetting(client, guildId, 'logChannel', channel ? channel.id : null);
+
+            return await confirm(channel ? `✅ Moderation log channel set to <#${channel.id}>.` : '✅ Moderation log channel cleared.');
+        }
+
+        if (subcommand === 'set') {
+            const key = interaction.options.getString('setting');
+            let value;
+            try {
+                value = parseSettingValue(key, interaction.options.getString('value'));
+            } catch (error) {
+                return await interaction.reply({
+                    content: `❌ Invalid value for **${key}**. ${error.message}`,
+                    ephemeral: true
+                });
+            }
+            setGuildSetting(client, guildId, key, value);
+
+            return await confirm(`✅ **${key}** set to **${formatValue(key, value)}**.`);
+        }
+
+        if (subcommand === 'reset') {
+            const key = interaction.options.getString('setting');
+            setGuildSetting(client, guildId, key, undefined);
+
+            return await confirm(`✅ **${key}** reset to **${formatValue(key, getSettingValue(getGuildSettings(client, guildId), key))}**.`);
+        }
+
+        // view
+        const describe = section => Object.keys(SETTINGS)
+            .filter(key => key.startsWith(`${section}.`))
+            .map(key => `**${key.split('.')[1]}:** ${formatValue(key, settings[section][key.split('.')[1]])}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Settings for ${interaction.guild.name}`)
+            .setColor(0x5865f2)
+            .addFields(
+                { name: 'Mod roles', value: formatList(settings.modRoles, '@&') },
+                { name: 'Log channel', value: settings.logChannel ? `<#${settings.logChannel}>` : 'not set', inline: true },
+                { name: 'Raid mode', value: getGuildData(client, guildId).raidMode ? 'enabled' : 'disabled', inline: true },
+                { name: 'Appeal channel', value: formatValue('appealChannel', settings.appealChannel), inline: true },
+                { name: 'Lockdown allowlist', value: formatList(settings.lockdownAllowlist, '#') },
+                { name: 'Anti-spam', value: describe('antiSpam') },
+                { name: 'Anti-spam exemptions', value: `Channels: ${formatList(settings.antiSpam.exemptChannels, '#')}\nRoles: ${formatList(settings.antiSpam.exemptRoles, '@&')}` },
+                { name: 'Anti-raid', value: describe('antiRaid') },
+                { name: 'Verification', value: describe('verification') },
+                { name: 'Tickets', value: describe('tickets') },
+                { name: 'Anti-nuke', value: describe('antiNuke') },
+                { name: 'Voice hopping', value: describe('voiceHop') },
+                { name: 'Name sanitizer', value: describe('sanitizer') }
+            );
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getCases, buildCaseListEmbed } = require('../lib/cases');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show moderation history for a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to look up')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('page')
+                .setDescription('Page number')
+                .setRequired(false)
+                .setMinValue(1)),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user');
+        const page = interaction.options.getInteger('page') || 1;
+
+        const cases = getCases(interaction.client, interaction.guild.id, { targetId: user.id });
+
+        await interaction.reply({
+            embeds: [buildCaseListEmbed(`History for ${user.tag}`, cases, page)],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
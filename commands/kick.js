@@ -1,10 +1,12 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('kick')
         .setDescription('Kick a user from the server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers)
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('The user to kick')
@@ -13,9 +15,10 @@ module.exports = {
             option.setName('reason')
                 .setDescription('Reason for the kick')
                 .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const user = interaction.options.getUser('user');
@@ -29,10 +32,23 @@ module.exports = {
             });
         }
 
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) {
+            return await interaction.reply({ content: hierarchyError, ephemeral: true });
+        }
+
         try {
             await member.kick(reason);
+            const entry = createCase(interaction.client, {
+                guild: interaction.guild,
+                action: 'kick',
+                target: user,
+                moderator: interaction.user,
+                reason,
+                channel: interaction.channel
+            });
             await interaction.reply({
-                content: `✅ **${user.tag}** has been kicked.\n**Reason:** ${reason}`,
+                content: `✅ **${user.tag}** has been kicked. (Case #${entry.id})\n**Reason:** ${reason}`,
                 ephemeral: true
             });
         } catch (error) {
@@ -1,41 +1,105 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { lockChannel, lockServer } = require('../lib/lockdown');
+const { scheduleTask } = require('../lib/scheduler');
+const { logAction } = require('../lib/auditlog');
+const ms = require('ms');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('lockdown')
-        .setDescription('Lock a channel to prevent messages')
+        .setDescription('Lock a channel or the whole server to prevent messages')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
         .addChannelOption(option =>
             option.setName('channel')
-                .setDescription('Channel to lock (current channel if not specified)')
+                .setDescription('Channel, thread or voice channel to lock (current channel if not specified)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Unlock automatically after this long (e.g. 30m, 2h)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('scope')
+                .setDescription('Lock one channel or every text channel in the server')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Channel', value: 'channel' },
+                    { name: 'Server', value: 'server' }
+                ))
+        .addBooleanOption(option =>
+            option.setName('voice')
+                .setDescription('With scope:server, also stop members joining and speaking in voice channels (default: false)')
                 .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const duration = interaction.options.getString('duration');
+        const scope = interaction.options.getString('scope') || 'channel';
+        const voice = interaction.options.getBoolean('voice') || false;
+
+        const time = duration ? ms(duration) : null;
+        if (duration && (!time || time <= 0)) {
+            return await interaction.reply({
+                content: '❌ Invalid duration. Use format like 30m, 2h, 1d',
+                ephemeral: true
+            });
+        }
+
+        const scheduleUnlock = target => {
+            if (!time) return;
+            scheduleTask(interaction.client, {
+                type: 'unlock',
+                guildId: interaction.guild.id,
+                targetId: target.id,
+                runAt: Date.now() + time
+            });
+        };
+
+        if (scope === 'server') {
+            await interaction.reply({
+                content: '🔄 Locking down the server...',
+                ephemeral: true
+            });
+
+            const result = await lockServer(interaction.client, interaction.guild, (processed, total) =>
+                interaction.editReply({ content: `🔄 Locking down the server... **${processed}/${total}** channels` }), { voice });
+            result.channels
+                .filter(locked => !result.failed.some(failure => failure.channel === locked))
+                .forEach(scheduleUnlock);
+
+            const failures = result.failed.map(failure => `• ${failure.channel.name}: ${failure.error}`);
+            await logAction(interaction.client, interaction.guild, {
+                title: '🔒 Server locked down',
+                actor: interaction.user,
+                fields: [
+                    { name: 'Channels locked', value: `${result.done}`, inline: true },
+                    { name: 'Failed', value: `${failures.length}`, inline: true },
+                    { name: 'Duration', value: duration || 'Until unlocked', inline: true },
+                    { name: 'Voice', value: voice ? 'Locked' : 'Not locked', inline: true }
+                ]
+            });
+            return await interaction.editReply({
+                content: `🔒 Locked **${result.done}** channel(s)${time ? ` for **${duration}**` : ''}.`
+                    + (failures.length ? `\n❌ Failed to lock **${failures.length}**:\n${failures.slice(0, 10).join('\n')}` : '')
+            });
+        }
         
         try {
-            // Store original permissions
-            const everyoneRole = interaction.guild.roles.everyone;
-            const originalPerms = channel.permissionOverwrites.cache.get(everyoneRole.id);
-            
-            // Save to JSON
-            if (!interaction.client.data.lockedChannels[channel.id]) {
-                interaction.client.data.lockedChannels[channel.id] = {
-                    originalPerms: originalPerms ? originalPerms.allow.bitfield.toString() : null,
-                    lockedAt: Date.now()
-                };
-                interaction.client.saveData();
-            }
-
-            await channel.permissionOverwrites.edit(everyoneRole, {
-                SendMessages: false
+            await lockChannel(interaction.client, channel);
+            scheduleUnlock(channel);
+            await logAction(interaction.client, interaction.guild, {
+                title: '🔒 Channel locked',
+                actor: interaction.user,
+                target: `<#${channel.id}>`,
+                fields: [{ name: 'Duration', value: duration || 'Until unlocked', inline: true }]
             });
 
             await interaction.reply({
-                content: `🔒 **${channel.name}** has been locked.`,
+                content: `🔒 **${channel.name}** has been locked${time ? ` for **${duration}**` : ''}.`,
                 ephemeral: true
             });
         } catch (error) {
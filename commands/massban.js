@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { addTargetOptions, previewMassAction, undoMassBan } = require('../lib/massaction');
+
+const DELETE_WINDOWS = {
+    none: 0,
+    '1h': 60 * 60,
+    '1d': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('massban')
+        .setDescription('Ban many users at once')
+        .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers)
+        .addSubcommand(subcommand =>
+            addTargetOptions(subcommand.setName('run')
+                .setDescription('Preview and ban users by ID, file, join time or name pattern'))
+                .addStringOption(option =>
+                    option.setName('delete_messages')
+                        .setDescription('Delete their recent messages (default: none)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'None', value: 'none' },
+                            { name: 'Last hour', value: '1h' },
+                            { name: 'Last day', value: '1d' },
+                            { name: 'Last 7 days', value: '7d' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('undo')
+                .setDescription('Unban everyone banned by a mass ban')
+                .addIntegerOption(option =>
+                    option.setName('case')
+                        .setDescription('Case number of the mass ban')
+                        .setRequired(true)
+                        .setMinValue(1))),
+    tier: 'senior',
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+
+        if (interaction.options.getSubcommand() === 'undo') {
+            await interaction.deferReply({ ephemeral: true });
+            return await undoMassBan(interaction, interaction.options.getInteger('case'));
+        }
+
+        await previewMassAction(interaction, 'ban', {
+            deleteMessageSeconds: DELETE_WINDOWS[interaction.options.getString('delete_messages') || 'none']
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { addTargetOptions, previewMassAction } = require('../lib/massaction');
+
+module.exports = {
+    data: addTargetOptions(new SlashCommandBuilder()
+        .setName('masskick')
+        .setDescription('Preview and kick members by ID, file, join time or name pattern')
+        .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers)),
+    tier: 'senior',
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+
+        await previewMassAction(interaction, 'kick');
+    },
+};
\ No newline at end of file
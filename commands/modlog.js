@@ -0,0 +1,58 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getCases, buildCaseListEmbed } = require('../lib/cases');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('modlog')
+        .setDescription('Browse recent moderation cases')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addIntegerOption(option =>
+            option.setName('page')
+                .setDescription('Page number')
+                .setRequired(false)
+                .setMinValue(1))
+        .addStringOption(option =>
+            option.setName('action')
+                .setDescription('Only show one type of action')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Ban', value: 'ban' },
+                    { name: 'Unban', value: 'unban' },
+                    { name: 'Kick', value: 'kick' },
+                    { name: 'Mute', value: 'mute' },
+                    { name: 'Unmute', value: 'unmute' },
+                    { name: 'Purge', value: 'purge' },
+                    { name: 'Clear', value: 'clear' },
+                    { name: 'Warn', value: 'warn' },
+                    { name: 'Pardon', value: 'pardon' },
+                    { name: 'Mass ban', value: 'massban' },
+                    { name: 'Mass kick', value: 'masskick' },
+                    { name: 'Mass unban', value: 'massunban' },
+                    { name: 'Anti-nuke', value: 'antinuke' }
+                ))
+        .addUserOption(option =>
+            option.setName('moderator')
+                .setDescription('Only show actions by this moderator')
+                .setRequired(false)),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const page = interaction.options.getInteger('page') || 1;
+        const action = interaction.options.getString('action');
+        const moderator = interaction.options.getUser('moderator');
+
+        const cases = getCases(interaction.client, interaction.guild.id, {
+            action,
+            moderatorId: moderator ? moderator.id : null
+        });
+
+        await interaction.reply({
+            embeds: [buildCaseListEmbed('Moderation Log', cases, page)],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
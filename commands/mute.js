@@ -1,11 +1,13 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
 const ms = require('ms');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('mute')
         .setDescription('Timeout a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('The user to mute')
@@ -18,9 +20,10 @@ module.exports = {
             option.setName('reason')
                 .setDescription('Reason for the mute')
                 .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const user = interaction.options.getUser('user');
@@ -35,8 +38,13 @@ module.exports = {
             });
         }
 
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) {
+            return await interaction.reply({ content: hierarchyError, ephemeral: true });
+        }
+
         const time = ms(duration);
-        if (!time || time > 2419200000) { // 28 days max
+        if (!time || time <= 0 || time > 2419200000) { // 28 days max
             return await interaction.reply({
                 content: '❌ Invalid duration. Use format like 10m, 1h, 1d (max 28 days)',
                 ephemeral: true
@@ -45,8 +53,17 @@ module.exports = {
 
         try {
             await member.timeout(time, reason);
+            const entry = createCase(interaction.client, {
+                guild: interaction.guild,
+                action: 'mute',
+                target: user,
+                moderator: interaction.user,
+                reason,
+                duration,
+                channel: interaction.channel
+            });
             await interaction.reply({
-                content: `✅ **${user.tag}** has been muted for **${duration}**.\n**Reason:** ${reason}`,
+                content: `✅ **${user.tag}** has been muted for **${duration}**. (Case #${entry.id})\n**Reason:** ${reason}`,
                 ephemeral: true
             });
         } catch (error) {
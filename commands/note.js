@@ -0,0 +1,106 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { paginate } = require('../lib/cases');
+const { MAX_NOTE_LENGTH, addNote, getNotes, getNote, removeNote, formatNoteLine } = require('../lib/notes');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('note')
+        .setDescription('Private moderator notes on users')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Attach a note to a user')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The user the note is about')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('The note')
+                        .setRequired(true)
+                        .setMaxLength(MAX_NOTE_LENGTH)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription("List a user's notes")
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The user to look up')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription('Page number')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Delete a note (its author or Manage Server only)')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Note number')
+                        .setRequired(true)
+                        .setMinValue(1))),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const subcommand = interaction.options.getSubcommand();
+        const { client, guild } = interaction;
+
+        if (subcommand === 'add') {
+            const user = interaction.options.getUser('user');
+            const note = addNote(client, {
+                guild,
+                user,
+                author: interaction.user,
+                content: interaction.options.getString('text')
+            });
+
+            return await interaction.reply({
+                content: `✅ Added note **#${note.id}** to **${user.tag}**.`,
+                ephemeral: true
+            });
+        }
+
+        if (subcommand === 'remove') {
+            const noteId = interaction.options.getInteger('id');
+            const note = getNote(client, guild.id, noteId);
+
+            if (!note) {
+                return await interaction.reply({
+                    content: `❌ Note **#${noteId}** not found.`,
+                    ephemeral: true
+                });
+            }
+            if (note.authorId !== interaction.user.id && !interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+                return await interaction.reply({
+                    content: '❌ Only the note\'s author or members with Manage Server can remove it.',
+                    ephemeral: true
+                });
+            }
+
+            removeNote(client, guild.id, noteId);
+            return await interaction.reply({
+                content: `✅ Removed note **#${note.id}** from **${note.userTag}**.`,
+                ephemeral: true
+            });
+        }
+
+        const user = interaction.options.getUser('user');
+        const notes = getNotes(client, guild.id, user.id);
+        const result = paginate(notes, interaction.options.getInteger('page') || 1);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Notes on ${user.tag}`)
+            .setColor(0x5865f2)
+            .setDescription(result.items.length ? result.items.map(formatNoteLine).join('\n\n') : 'No notes.')
+            .setFooter({ text: `Page ${result.page}/${result.totalPages} • ${notes.length} note(s)` });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
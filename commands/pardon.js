@@ -0,0 +1,52 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getActiveWarnings, pardonWarning } = require('../lib/warnings');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('pardon')
+        .setDescription('Remove a warning from a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The warned user')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('case')
+                .setDescription('Warning case number (latest active warning if not specified)')
+                .setRequired(false)
+                .setMinValue(1))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Reason for the pardon')
+                .setRequired(false)),
+    tier: 'moderator',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user');
+        const caseId = interaction.options.getInteger('case');
+        const reason = interaction.options.getString('reason');
+
+        const active = getActiveWarnings(interaction.client, interaction.guild.id, user.id);
+        const warning = caseId ? active.find(entry => entry.id === caseId) : active[0];
+
+        if (!warning) {
+            return await interaction.reply({
+                content: caseId
+                    ? `❌ Case **#${caseId}** is not an active warning for **${user.tag}**.`
+                    : `❌ **${user.tag}** has no active warnings.`,
+                ephemeral: true
+            });
+        }
+
+        const entry = pardonWarning(interaction.client, interaction.guild, warning, interaction.user, reason);
+
+        await interaction.reply({
+            content: `✅ Pardoned warning **#${warning.id}** for **${user.tag}**. (Case #${entry.id})\n**Active warnings:** ${active.length - 1}`,
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
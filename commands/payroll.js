@@ -0,0 +1,54 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { buildPayroll, formatDuration } = require('../lib/shifts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of each payroll period, relative to now
+const PERIODS = {
+    day: { label: 'Last 24 hours', since: now => now - DAY },
+    week: { label: 'Last 7 days', since: now => now - 7 * DAY },
+    month: { label: 'Last 30 days', since: now => now - 30 * DAY },
+    all: { label: 'All time', since: () => 0 }
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('payroll')
+        .setDescription('Show staff earnings for a period')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option =>
+            option.setName('period')
+                .setDescription('Period to total (last 7 days if not specified)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Last 24 hours', value: 'day' },
+                    { name: 'Last 7 days', value: 'week' },
+                    { name: 'Last 30 days', value: 'month' },
+                    { name: 'All time', value: 'all' }
+                )),
+    tier: 'admin',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const period = PERIODS[interaction.options.getString('period') || 'week'];
+        const payroll = buildPayroll(interaction.client, interaction.guild.id, period.since(Date.now()));
+
+        const lines = payroll.slice(0, 25).map(total =>
+            `<@${total.userId}> • ${total.shifts} shift(s) • ${formatDuration(total.duration)} • **${total.pay.toLocaleString()}**`);
+        const grandTotal = payroll.reduce((sum, total) => sum + total.pay, 0);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Payroll • ${period.label}`)
+            .setColor(0x5865f2)
+            .setDescription(lines.length ? lines.join('\n') : 'No completed shifts in this period.')
+            .setFooter({ text: `Total: ${grandTotal.toLocaleString()} • completed shifts only` });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { TIERS, getCommandAccess, hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { getGuildSettings, setGuildSetting } = require('../lib/guilds');
+
+// Discord permissions that can grant a command or tier on their own
+const PERMISSION_CHOICES = [
+    'BanMembers',
+    'KickMembers',
+    'ModerateMembers',
+    'ManageMessages',
+    'ManageChannels',
+    'ManageRoles',
+    'ManageNicknames',
+    'ManageGuild',
+    'ViewAuditLog',
+    'MuteMembers',
+    'MoveMembers'
+];
+
+// Commands and tiers that can be given roles or a permission
+function getTargets(client) {
+    return [...TIERS, ...client.commands.keys()];
+}
+
+function describeTarget(target) {
+    return TIERS.includes(target) ? `the **${target}** tier` : `**/${target}**`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Control which roles and permissions can use each command')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show who can use each command'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('allow')
+                .setDescription('Let a role use a command or tier')
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('Command or tier (helper, moderator, senior, admin)')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to allow')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('disallow')
+                .setDescription('Remove a role from a command or tier')
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('Command or tier (helper, moderator, senior, admin)')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to remove')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('native')
+                .setDescription('Set the Discord permission that grants a command or tier on its own')
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('Command or tier (helper, moderator, senior, admin)')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('permission')
+                        .setDescription('Discord permission, or none for roles only')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'none (roles only)', value: 'none' },
+                            ...PERMISSION_CHOICES.map(name => ({ name, value: name }))
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reset')
+                .setDescription('Reset a command or tier to its default access')
+                .addStringOption(option =>
+                    option.setName('target')
+                        .setDescription('Command or tier (helper, moderator, senior, admin)')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+    tier: 'admin',
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const choices = getTargets(interaction.client)
+            .filter(target => target.includes(focused))
+            .slice(0, 25)
+            .map(target => ({ name: TIERS.includes(target) ? `${target} (tier)` : `/${target}`, value: target }));
+        await interaction.respond(choices);
+    },
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const client = interaction.client;
+        const guildId = interaction.guild.id;
+        const subcommand = interaction.options.getSubcommand();
+        const { permissions } = getGuildSettings(client, guildId);
+
+        if (subcommand === 'view') {
+            const embed = new EmbedBuilder()
+                .setTitle(`Command permissions for ${interaction.guild.name}`)
+                .setColor(0x5865f2)
+                .setDescription('Administrators can use every command. Roles allowed a tier can also use every lower tier.');
+
+            for (const tier of TIERS) {
+                const lines = [...client.commands.keys()]
+                    .filter(name => (client.commands.get(name).tier || 'moderator') === tier)
+                    .sort()
+                    .map(name => {
+                        const access = getCommandAccess(client, guildId, name);
+                        const roles = access.roles.map(roleId => `<@&${roleId}>`).join(', ') || 'no roles';
+                        return `**/${name}** - ${roles}; ${access.permission || 'no permission'}`;
+                    });
+                embed.addFields({ name: `${tier[0].toUpperCase()}${tier.slice(1)} tier`, value: lines.join('\n').slice(0, 1024) || 'No commands' });
+            }
+
+            return await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const target = interaction.options.getString('target').toLowerCase();
+        if (!getTargets(client).includes(target)) {
+            return await interaction.reply({
+                content: `❌ Unknown command or tier **${target}**.`,
+                ephemeral: true
+            });
+        }
+        const entry = { roles: [], ...permissions[target] };
+        let change;
+
+        if (subcommand === 'allow' || subcommand === 'disallow') {
+            const role = interaction.options.getRole('role');
+            entry.roles = entry.roles.filter(roleId => roleId !== role.id);
+            if (subcommand === 'allow') entry.roles.push(role.id);
+            setGuildSetting(client, guildId, `permissions.${target}`, entry);
+            change = `**${role.name}** ${subcommand === 'allow' ? 'can now use' : 'no longer has access to'} ${describeTarget(target)}.`;
+        } else if (subcommand === 'native') {
+            const permission = interaction.options.getString('permission');
+            entry.permission = permission === 'none' ? null : permission;
+            setGuildSetting(client, guildId, `permissions.${target}`, entry);
+            change = entry.permission
+                ? `Members with **${entry.permission}** can use ${describeTarget(target)}.`
+                : `Only allowed roles can use ${describeTarget(target)}.`;
+        } else {
+            setGuildSetting(client, guildId, `permissions.${target}`, undefined);
+            change = `${describeTarget(target)} reset to its default access.`;
+        }
+
+        await logAction(client, interaction.guild, {
+            title: '⚙️ Command permissions changed',
+            actor: interaction.user,
+            fields: [{ name: 'Change', value: change }]
+        });
+
+        await interaction.reply({ content: `✅ ${change[0].toUpperCase()}${change.slice(1)}`, ephemeral: true });
+    },
+}
\ No newline at end of file
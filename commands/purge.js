@@ -1,33 +1,121 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
+const { buildFilters, purgeMessages } = require('../lib/purge');
+const { compilePattern } = require('../lib/patterns');
+
+const SNOWFLAKE = /^\d{17,20}$/;
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('purge')
-        .setDescription('Delete multiple messages')
+        .setDescription('Delete multiple messages, optionally filtered')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
         .addIntegerOption(option =>
             option.setName('amount')
-                .setDescription('Number of messages to delete (1-100)')
+                .setDescription('Number of matching messages to delete (1-1000)')
                 .setRequired(true)
                 .setMinValue(1)
-                .setMaxValue(100)),
+                .setMaxValue(1000))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Only delete messages from this user')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('bots')
+                .setDescription('Only delete messages from bots')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('attachments')
+                .setDescription('Only delete messages with attachments')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('links')
+                .setDescription('Only delete messages containing links')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('invites')
+                .setDescription('Only delete messages containing Discord invites')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('contains')
+                .setDescription('Only delete messages containing this text')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('regex')
+                .setDescription('Only delete messages matching this regular expression')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('before')
+                .setDescription('Only delete messages before this message ID')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('after')
+                .setDescription('Only delete messages after this message ID')
+                .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const amount = interaction.options.getInteger('amount');
+        const user = interaction.options.getUser('user');
+        const pattern = interaction.options.getString('regex');
+        const before = interaction.options.getString('before');
+        const after = interaction.options.getString('after');
 
-        try {
-            const messages = await interaction.channel.bulkDelete(amount, true);
-            await interaction.reply({
-                content: `✅ Deleted **${messages.size}** messages.`,
+        if ((before && !SNOWFLAKE.test(before)) || (after && !SNOWFLAKE.test(after))) {
+            return await interaction.reply({
+                content: '❌ `before` and `after` must be message IDs.',
                 ephemeral: true
             });
+        }
+
+        let regex = null;
+        if (pattern) {
+            try {
+                regex = compilePattern(pattern);
+            } catch (error) {
+                return await interaction.reply({
+                    content: `❌ Invalid regular expression. ${error.message}`,
+                    ephemeral: true
+                });
+            }
+        }
+
+        const filters = buildFilters({
+            user,
+            bots: interaction.options.getBoolean('bots'),
+            attachments: interaction.options.getBoolean('attachments'),
+            links: interaction.options.getBoolean('links'),
+            invites: interaction.options.getBoolean('invites'),
+            contains: interaction.options.getString('contains'),
+            regex
+        });
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const result = await purgeMessages(interaction.channel, { amount, filters, before, after });
+            const entry = createCase(interaction.client, {
+                guild: interaction.guild,
+                action: 'purge',
+                target: user,
+                moderator: interaction.user,
+                reason: `Purged ${result.deleted} message(s)${filters.length ? ` (${filters.map(filter => filter.name).join(', ')})` : ''}`,
+                channel: interaction.channel,
+                extra: { deleted: result.deleted, scanned: result.scanned }
+            });
+
+            const breakdown = filters.map(filter => `• ${filter.name}: **${result.counts[filter.name]}** matched`);
+            await interaction.editReply({
+                content: `✅ Deleted **${result.deleted}** messages (scanned ${result.scanned}). (Case #${entry.id})`
+                    + (breakdown.length ? `\n${breakdown.join('\n')}` : '')
+            });
         } catch (error) {
-            await interaction.reply({
-                content: `❌ Failed to delete messages. ${error.message}`,
-                ephemeral: true
+            await interaction.editReply({
+                content: `❌ Failed to delete messages. ${error.message}`
             });
         }
     },
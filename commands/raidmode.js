@@ -1,27 +1,53 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getGuildSettings } = require('../lib/guilds');
+const { setRaidMode } = require('../lib/antiraid');
+const verification = require('../lib/verification');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('raidmode')
-        .setDescription('Toggle raid mode (kicks new members)')
+        .setDescription('Toggle raid mode (kicks or verifies new members)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
         .addBooleanOption(option =>
             option.setName('enabled')
                 .setDescription('Enable or disable raid mode')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('action')
+                .setDescription('What to do with new members (defaults to the antiRaid.action setting)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Kick everyone', value: 'kick' },
+                    { name: 'Verify everyone', value: 'verify' }
+                )),
+    tier: 'senior',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const enabled = interaction.options.getBoolean('enabled');
-        
-        interaction.client.data.raidMode = enabled;
-        interaction.client.saveData();
+        const action = enabled
+            ? interaction.options.getString('action') || getGuildSettings(interaction.client, interaction.guild.id).antiRaid.action
+            : null;
+
+        if (action === 'verify' && !verification.isConfigured(interaction.client, interaction.guild)) {
+            return await interaction.reply({
+                content: '❌ Set `verification.role` and `verification.channel` with `/config set` before using verify mode.',
+                ephemeral: true
+            });
+        }
+
+        await setRaidMode(interaction.client, interaction.guild, { enabled, action, actor: interaction.user });
+
+        const effect = action === 'verify'
+            ? '\nNew members will have to pass verification.'
+            : '\nNew members will be automatically kicked.';
 
         await interaction.reply({
-            content: `🛡️ Raid mode has been **${enabled ? 'enabled' : 'disabled'}**.${enabled ? '\nNew members will be automatically kicked.' : ''}`,
+            content: `🛡️ Raid mode has been **${enabled ? 'enabled' : 'disabled'}**.${enabled ? effect : ''}`,
             ephemeral: true
         });
     },
-};
\ No newline at end of file
+};
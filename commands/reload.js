@@ -0,0 +1,62 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { reloadCommands, reloadConfig, deployCommands } = require('../lib/commands');
+
+// The bot's owner from the developer portal, or any member of the owning team
+async function isBotOwner(client, userId) {
+    const application = await client.application.fetch();
+    const owner = application.owner;
+    if (!owner) return false;
+    return owner.members ? owner.members.has(userId) : owner.id === userId;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('reload')
+        .setDescription('Reload changed commands and config.json without restarting (bot owner only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addBooleanOption(option =>
+            option.setName('force')
+                .setDescription('Re-register commands with Discord even if they have not changed')
+                .setRequired(false)),
+    tier: 'admin',
+
+    async execute(interaction) {
+        const client = interaction.client;
+        // Looking up the owner is an API call, so defer first
+        await interaction.deferReply({ ephemeral: true });
+        if (!await isBotOwner(client, interaction.user.id)) {
+            return await interaction.editReply('❌ Only the bot owner can reload the bot.');
+        }
+        const lines = [];
+
+        try {
+            reloadConfig();
+            lines.push('✅ Reloaded `config.json`.');
+        } catch (error) {
+            lines.push(`❌ Kept the old \`config.json\`: ${error.message}`);
+        }
+
+        const result = reloadCommands(client);
+        const changes = [
+            result.added.length && `added ${result.added.map(name => `/${name}`).join(', ')}`,
+            result.updated.length && `reloaded ${result.updated.map(name => `/${name}`).join(', ')}`,
+            result.removed.length && `removed ${result.removed.map(name => `/${name}`).join(', ')}`
+        ].filter(Boolean);
+        lines.push(changes.length ? `✅ Commands: ${changes.join('; ')}.` : '✅ No command files changed.');
+        for (const failure of result.failed) {
+            lines.push(`❌ Kept the old version of ${failure}`);
+        }
+
+        try {
+            const deploy = await deployCommands(client, { force: interaction.options.getBoolean('force') || false });
+            lines.push(deploy.deployed
+                ? `✅ Registered ${deploy.count} commands (${deploy.scope}).`
+                : `⏭️ Command definitions unchanged, nothing sent to Discord (${deploy.scope}).`);
+        } catch (error) {
+            lines.push(`❌ Failed to register commands: ${error.message}`);
+        }
+
+        console.log(`🔄 Reload by ${interaction.user.tag}:\n${lines.join('\n')}`);
+        await interaction.editReply(lines.join('\n'));
+    },
+};
\ No newline at end of file
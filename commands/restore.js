@@ -0,0 +1,110 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { backupChoices, loadBackup, restoreBackup } = require('../lib/backup');
+
+function formatNames(names, prefix = '') {
+    if (!names.length) return 'none';
+    const list = names.map(name => `${prefix}${name}`).join(', ');
+    return list.length > 1024 ? `${list.slice(0, 1000)}… (${names.length} total)` : list;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('restore')
+        .setDescription('Recreate missing roles and channels from a backup')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addStringOption(option =>
+            option.setName('backup')
+                .setDescription('Backup to restore from')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addBooleanOption(option =>
+            option.setName('dry_run')
+                .setDescription('Only show what would change (default: false)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('roles')
+                .setDescription('Recreate missing roles (default: true)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('channels')
+                .setDescription('Recreate missing channels (default: true)')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('overwrites')
+                .setDescription('Reapply permission overwrites on existing channels (default: true)')
+                .setRequired(false)),
+    tier: 'admin',
+
+    async autocomplete(interaction) {
+        await interaction.respond(backupChoices(interaction.guild.id, interaction.options.getFocused()));
+    },
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const guild = interaction.guild;
+        const id = interaction.options.getString('backup');
+        const dryRun = interaction.options.getBoolean('dry_run') || false;
+        const options = {
+            roles: interaction.options.getBoolean('roles') ?? true,
+            channels: interaction.options.getBoolean('channels') ?? true,
+            overwrites: interaction.options.getBoolean('overwrites') ?? true,
+            dryRun
+        };
+
+        let snapshot;
+        try {
+            snapshot = loadBackup(guild.id, id);
+        } catch (error) {
+            return await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+        }
+        if (!snapshot) {
+            return await interaction.reply({ content: `❌ Backup \`${id}\` not found.`, ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const report = await restoreBackup(guild, snapshot, options);
+            const changed = report.rolesCreated.length + report.channelsCreated.length + report.overwritesUpdated.length;
+
+            const embed = new EmbedBuilder()
+                .setTitle(dryRun ? `Restore preview for backup ${snapshot.id}` : `Restored backup ${snapshot.id}`)
+                .setColor(report.failed.length ? 0xfee75c : dryRun ? 0x5865f2 : 0x57f287)
+                .setDescription(changed
+                    ? `Backup taken <t:${Math.floor(snapshot.createdAt / 1000)}:f> by ${snapshot.createdBy.tag}.`
+                    : 'Nothing to restore - the server already matches this backup.')
+                .addFields(
+                    { name: dryRun ? 'Roles to create' : 'Roles created', value: formatNames(report.rolesCreated) },
+                    { name: dryRun ? 'Channels to create' : 'Channels created', value: formatNames(report.channelsCreated, '#') },
+                    { name: dryRun ? 'Overwrites to reapply' : 'Overwrites reapplied', value: formatNames(report.overwritesUpdated, '#') }
+                );
+
+            if (report.failed.length) {
+                embed.addFields({ name: 'Failed', value: formatNames(report.failed) });
+            }
+
+            if (!dryRun && changed) {
+                await logAction(interaction.client, guild, {
+                    title: '🗄️ Backup restored',
+                    actor: interaction.user,
+                    fields: [
+                        { name: 'Backup', value: `\`${snapshot.id}\``, inline: true },
+                        {
+                            name: 'Changes',
+                            value: `${report.rolesCreated.length} role(s), ${report.channelsCreated.length} channel(s), ${report.overwritesUpdated.length} overwrite update(s)`,
+                            inline: true
+                        }
+                    ]
+                });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            await interaction.editReply(`❌ Failed to restore backup. ${error.message}`);
+        }
+    },
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getGuildSettings } = require('../lib/guilds');
+const { logAction } = require('../lib/auditlog');
+const { sanitizeAll } = require('../lib/sanitizer');
+
+// A few example lines from a sweep, capped to keep the reply short
+function formatExamples(inspections, describe) {
+    const lines = inspections.slice(0, 10).map(describe);
+    if (inspections.length > 10) lines.push(`…and ${inspections.length - 10} more`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('sanitize')
+        .setDescription('Clean up hoisted, zalgo and impersonating member names')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageNicknames)
+        .addSubcommand(subcommand =>
+            subcommand.setName('all')
+                .setDescription('Check every member of the server')
+                .addBooleanOption(option =>
+                    option.setName('dry_run')
+                        .setDescription('Only show what would change (default: false)')
+                        .setRequired(false))),
+    tier: 'senior',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const dryRun = interaction.options.getBoolean('dry_run') || false;
+        const { client, guild } = interaction;
+        const settings = getGuildSettings(client, guild.id).sanitizer;
+
+        await interaction.reply({
+            content: '🔄 Checking member names...',
+            ephemeral: true
+        });
+
+        const members = await guild.members.fetch();
+        const result = await sanitizeAll(client, guild, members, {
+            dryRun,
+            onProgress: (processed, total) =>
+                interaction.editReply({ content: `🔄 Checking member names... **${processed}/${total}**` })
+        });
+
+        const verb = dryRun ? 'Would rename' : 'Renamed';
+        let content = `${dryRun ? '🔍 Dry run: checked' : '✅ Checked'} **${result.checked}** member(s).`;
+        if (result.renamed.length) {
+            content += `\n\n**${verb} ${result.renamed.length}:**\n${formatExamples(result.renamed, entry => `• ${entry.current} → ${entry.name}`)}`;
+        }
+        if (result.impersonators.length) {
+            content += `\n\n**Possible impersonators (${result.impersonators.length}, action: ${settings.action}):**\n`
+                + formatExamples(result.impersonators, entry => `• ${entry.current} (<@${entry.member.id}>) resembles ${entry.impersonated.user.tag}`);
+        }
+        if (result.failed.length) {
+            content += `\n\n❌ Failed for **${result.failed.length}**:\n${result.failed.slice(0, 10).map(failure => `• ${failure.member.user.tag}: ${failure.error}`).join('\n')}`;
+        }
+        if (!result.renamed.length && !result.impersonators.length) {
+            content += '\nEvery name is clean.';
+        }
+
+        if (!dryRun) {
+            await logAction(client, guild, {
+                title: '🧼 Member names sanitized',
+                actor: interaction.user,
+                fields: [
+                    { name: 'Checked', value: `${result.checked}`, inline: true },
+                    { name: 'Renamed', value: `${result.renamed.length}`, inline: true },
+                    { name: 'Impersonators', value: `${result.impersonators.length}`, inline: true },
+                    { name: 'Failed', value: `${result.failed.length}`, inline: true }
+                ]
+            });
+        }
+
+        await interaction.editReply({ content: content.slice(0, 2000) });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const config = require('../config.json');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getActiveShift, getShiftHistory, calculatePay, formatDuration } = require('../lib/shifts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('shift')
+        .setDescription('Staff shift information')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand.setName('status')
+                .setDescription('Show the current shift for you or another staff member')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Staff member (yourself if not specified)')
+                        .setRequired(false))),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user') || interaction.user;
+        const shift = getActiveShift(interaction.client, interaction.guild.id, user.id);
+        const week = getShiftHistory(interaction.client, interaction.guild.id, { since: Date.now() - 7 * DAY, userId: user.id });
+        const weekDuration = week.reduce((sum, record) => sum + record.duration, 0);
+        const weekPay = week.reduce((sum, record) => sum + record.pay, 0);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Shift status for ${user.tag}`)
+            .setColor(shift ? 0x57f287 : 0x99aab5);
+
+        if (shift) {
+            const elapsed = Date.now() - shift.start;
+            const idleMinutes = Math.floor((Date.now() - shift.lastActivity) / 60000);
+            embed.addFields(
+                { name: 'Status', value: `🟢 Clocked in as **${shift.tier}**`, inline: true },
+                { name: 'Started', value: `<t:${Math.floor(shift.start / 1000)}:R>`, inline: true },
+                { name: 'Shift length', value: formatDuration(elapsed), inline: true },
+                { name: 'Earned so far', value: calculatePay(shift.tier, elapsed).toLocaleString(), inline: true },
+                { name: 'Last activity', value: `<t:${Math.floor(shift.lastActivity / 1000)}:R>`, inline: true },
+                { name: 'Auto clock-out', value: `in ${Math.max(config.shift.autoClockOut - idleMinutes, 0)} min without activity`, inline: true }
+            );
+        } else {
+            embed.addFields({ name: 'Status', value: '🔴 Clocked out' });
+        }
+
+        embed.addFields({
+            name: 'Last 7 days',
+            value: `${week.length} shift(s) • ${formatDuration(weekDuration)} • earned ${weekPay.toLocaleString()}`
+        });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
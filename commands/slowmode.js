@@ -1,10 +1,14 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { scheduleTask, findTask, cancelTask } = require('../lib/scheduler');
+const { logAction } = require('../lib/auditlog');
+const ms = require('ms');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('slowmode')
         .setDescription('Set slowmode for a channel')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
         .addIntegerOption(option =>
             option.setName('seconds')
                 .setDescription('Slowmode duration in seconds (0 to disable)')
@@ -14,17 +18,58 @@ module.exports = {
         .addChannelOption(option =>
             option.setName('channel')
                 .setDescription('Channel to set slowmode (current channel if not specified)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Restore the previous slowmode after this long (e.g. 15m, 1h)')
                 .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const seconds = interaction.options.getInteger('seconds');
         const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const duration = interaction.options.getString('duration');
+
+        const time = duration ? ms(duration) : null;
+        if (duration && (!time || time <= 0)) {
+            return await interaction.reply({
+                content: '❌ Invalid duration. Use format like 15m, 1h, 1d',
+                ephemeral: true
+            });
+        }
         
         try {
+            const previous = channel.rateLimitPerUser || 0;
+            // A temporary slowmode that's still running restores what was there before it, not itself
+            const pending = findTask(interaction.client, 'slowmode', interaction.guild.id, channel.id);
+            const restoreTo = pending ? pending.data.previous || 0 : previous;
             await channel.setRateLimitPerUser(seconds);
+
+            if (time && seconds > 0) {
+                scheduleTask(interaction.client, {
+                    type: 'slowmode',
+                    guildId: interaction.guild.id,
+                    targetId: channel.id,
+                    runAt: Date.now() + time,
+                    data: { previous: restoreTo }
+                });
+            } else {
+                cancelTask(interaction.client, 'slowmode', interaction.guild.id, channel.id);
+            }
+
+            await logAction(interaction.client, interaction.guild, {
+                title: '🐢 Slowmode changed',
+                actor: interaction.user,
+                target: `<#${channel.id}>`,
+                fields: [
+                    { name: 'Slowmode', value: seconds === 0 ? 'Off' : `${seconds}s`, inline: true },
+                    { name: 'Previous', value: previous === 0 ? 'Off' : `${previous}s`, inline: true },
+                    { name: 'Duration', value: time && seconds > 0 ? duration : 'Until changed', inline: true }
+                ]
+            });
             
             if (seconds === 0) {
                 await interaction.reply({
@@ -33,7 +78,7 @@ module.exports = {
                 });
             } else {
                 await interaction.reply({
-                    content: `✅ Slowmode set to **${seconds} seconds** for **${channel.name}**.`,
+                    content: `✅ Slowmode set to **${seconds} seconds** for **${channel.name}**${time ? ` for **${duration}**` : ''}.`,
                     ephemeral: true
                 });
             }
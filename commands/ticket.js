@@ -0,0 +1,101 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+const { getTicketByChannel, buildPanel, claimTicket, addUserToTicket, closeTicket } = require('../lib/tickets');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('ticket')
+        .setDescription('Manage private support tickets')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand.setName('panel')
+                .setDescription('Post a button members can press to open a ticket (needs Manage Channels)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post the panel in (current channel if not specified)')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('message')
+                        .setDescription('Text shown above the button')
+                        .setMaxLength(2000)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('claim')
+                .setDescription('Take responsibility for this ticket'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Give another user access to this ticket')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to add')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('close')
+                .setDescription('Close this ticket and save its transcript')
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for closing (sent to the user)')
+                        .setRequired(false))),
+    tier: 'helper',
+
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const client = interaction.client;
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'panel') {
+            if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageChannels)) {
+                return await interaction.reply({
+                    content: '❌ You need the Manage Channels permission to post a ticket panel.',
+                    ephemeral: true
+                });
+            }
+
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            try {
+                await channel.send(buildPanel(interaction.guild, interaction.options.getString('message')));
+            } catch (error) {
+                return await interaction.reply({ content: `❌ Failed to post the panel. ${error.message}`, ephemeral: true });
+            }
+
+            await logAction(client, interaction.guild, {
+                title: '🎫 Ticket panel posted',
+                actor: interaction.user,
+                target: `<#${channel.id}>`
+            });
+            return await interaction.reply({ content: `✅ Ticket panel posted in <#${channel.id}>.`, ephemeral: true });
+        }
+
+        const ticket = getTicketByChannel(client, interaction.channelId);
+        if (!ticket) {
+            return await interaction.reply({ content: '❌ This is not an open ticket.', ephemeral: true });
+        }
+
+        if (subcommand === 'claim') {
+            return await claimTicket(interaction, ticket);
+        }
+
+        if (subcommand === 'add') {
+            const user = interaction.options.getUser('user');
+            try {
+                await addUserToTicket(interaction.channel, ticket, user, interaction.user);
+            } catch (error) {
+                return await interaction.reply({ content: `❌ Failed to add ${user.tag}. ${error.message}`, ephemeral: true });
+            }
+            client.saveTickets();
+            return await interaction.reply({ content: `✅ Added <@${user.id}> to this ticket.` });
+        }
+
+        // close
+        await interaction.reply({ content: '🔒 Closing ticket and saving the transcript...' });
+        try {
+            await closeTicket(client, interaction.guild, interaction.channel, ticket, interaction.user, interaction.options.getString('reason'));
+        } catch (error) {
+            await interaction.followUp({ content: `❌ Failed to close ticket. ${error.message}`, ephemeral: true });
+        }
+    },
+};
\ No newline at end of file
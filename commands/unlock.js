@@ -1,35 +1,71 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { unlockChannel, unlockServer } = require('../lib/lockdown');
+const { cancelTask } = require('../lib/scheduler');
+const { logAction } = require('../lib/auditlog');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('unlock')
-        .setDescription('Unlock a channel')
+        .setDescription('Unlock a channel or every locked channel')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
         .addChannelOption(option =>
             option.setName('channel')
                 .setDescription('Channel to unlock (current channel if not specified)')
-                .setRequired(false)),
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('scope')
+                .setDescription('Unlock one channel or every channel locked by the bot')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Channel', value: 'channel' },
+                    { name: 'All', value: 'all' }
+                )),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const scope = interaction.options.getString('scope') || 'channel';
+
+        if (scope === 'all') {
+            await interaction.reply({
+                content: '🔄 Unlocking channels...',
+                ephemeral: true
+            });
+
+            const result = await unlockServer(interaction.client, interaction.guild, (processed, total) =>
+                interaction.editReply({ content: `🔄 Unlocking channels... **${processed}/${total}**` }));
+            result.channels
+                .filter(unlocked => !result.failed.some(failure => failure.channel === unlocked))
+                .forEach(unlocked => cancelTask(interaction.client, 'unlock', interaction.guild.id, unlocked.id));
+
+            const failures = result.failed.map(failure => `• ${failure.channel.name}: ${failure.error}`);
+            await logAction(interaction.client, interaction.guild, {
+                title: '🔓 All locked channels unlocked',
+                actor: interaction.user,
+                fields: [
+                    { name: 'Channels restored', value: `${result.done}`, inline: true },
+                    { name: 'Failed', value: `${failures.length}`, inline: true }
+                ]
+            });
+            return await interaction.editReply({
+                content: `🔓 Restored **${result.done}** channel(s) to their pre-lockdown permissions.`
+                    + (failures.length ? `\n❌ Failed to unlock **${failures.length}**:\n${failures.slice(0, 10).join('\n')}` : '')
+            });
+        }
         
         try {
-            const everyoneRole = interaction.guild.roles.everyone;
-            
-            // Remove the SendMessages: false override
-            await channel.permissionOverwrites.edit(everyoneRole, {
-                SendMessages: null
+            await unlockChannel(interaction.client, channel);
+            cancelTask(interaction.client, 'unlock', interaction.guild.id, channel.id);
+            await logAction(interaction.client, interaction.guild, {
+                title: '🔓 Channel unlocked',
+                actor: interaction.user,
+                target: `<#${channel.id}>`
             });
 
-            // Remove from JSON storage
-            if (interaction.client.data.lockedChannels[channel.id]) {
-                delete interaction.client.data.lockedChannels[channel.id];
-                interaction.client.saveData();
-            }
-
             await interaction.reply({
                 content: `🔓 **${channel.name}** has been unlocked.`,
                 ephemeral: true
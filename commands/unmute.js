@@ -1,21 +1,29 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { hasModPermission, noPermissionReply } = require('../utils');
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('unmute')
         .setDescription('Remove timeout from a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('The user to unmute')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Reason for the unmute')
+                .setRequired(false)),
+    tier: 'moderator',
     
     async execute(interaction) {
-        if (!hasModPermission(interaction.member)) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
             return await interaction.reply(noPermissionReply());
         }
         const user = interaction.options.getUser('user');
         const member = interaction.guild.members.cache.get(user.id);
+        const reason = interaction.options.getString('reason') || 'No reason provided';
 
         if (!member) {
             return await interaction.reply({
@@ -24,10 +32,23 @@ module.exports = {
             });
         }
 
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) {
+            return await interaction.reply({ content: hierarchyError, ephemeral: true });
+        }
+
         try {
-            await member.timeout(null);
+            await member.timeout(null, reason);
+            const entry = createCase(interaction.client, {
+                guild: interaction.guild,
+                action: 'unmute',
+                target: user,
+                moderator: interaction.user,
+                reason,
+                channel: interaction.channel
+            });
             await interaction.reply({
-                content: `✅ **${user.tag}** has been unmuted.`,
+                content: `✅ **${user.tag}** has been unmuted. (Case #${entry.id})`,
                 ephemeral: true
             });
         } catch (error) {
@@ -0,0 +1,105 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, RESTJSONErrorCodes } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getCases, formatCaseLine } = require('../lib/cases');
+const { getNotes, formatNoteLine } = require('../lib/notes');
+const { assessRisk } = require('../lib/risk');
+
+// Join lines into an embed field value, dropping whole lines that would go past `limit`
+// characters. Embed fields hold 1024; pass less when the value shares the field with other text.
+function fieldValue(lines, empty, { separator = '\n', limit = 1024 } = {}) {
+    let value = '';
+    for (const line of lines) {
+        const next = value ? `${value}${separator}${line}` : line;
+        // Leave room for the separator and "…" that mark the cut
+        if (next.length > limit - separator.length - 1) return `${value}${separator}…`;
+        value = next;
+    }
+    return value || empty;
+}
+
+// Absolute and relative Discord timestamps
+function formatTime(timestamp) {
+    const seconds = Math.floor(timestamp / 1000);
+    return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('userinfo')
+        .setDescription('Show account details, moderation history, notes and a risk summary for a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to look up')
+                .setRequired(true)),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user');
+        const { client, guild } = interaction;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const member = await guild.members.fetch(user.id).catch(() => null);
+        // undefined when the bot can't see bans, null when the user isn't banned
+        const ban = member ? null : await guild.bans.fetch(user.id)
+            .catch(error => (error.code === RESTJSONErrorCodes.UnknownBan ? null : undefined));
+
+        const risk = assessRisk(client, guild, user, member);
+        const cases = getCases(client, guild.id, { targetId: user.id });
+        const notes = getNotes(client, guild.id, user.id);
+
+        const counts = {};
+        for (const entry of cases) counts[entry.action] = (counts[entry.action] || 0) + 1;
+        const summary = Object.entries(counts).map(([action, count]) => `${count} ${action}`).join(', ');
+
+        const roles = member
+            ? [...member.roles.cache.values()]
+                .filter(role => role.id !== guild.id)
+                .sort((a, b) => b.position - a.position)
+                .map(role => `<@&${role.id}>`)
+            : [];
+
+        let timeout = 'None';
+        if (member && member.isCommunicationDisabled()) {
+            timeout = `Until ${formatTime(member.communicationDisabledUntilTimestamp)}`;
+        }
+
+        let banStatus = 'Not banned';
+        if (ban === undefined) banStatus = 'Unknown (missing Ban Members permission)';
+        else if (ban) banStatus = `Banned: ${ban.reason || 'No reason provided'}`;
+
+        const riskSummary = `${risk.emoji} **${risk.level}** (score ${risk.score})`;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`User info: ${user.tag}`)
+            .setColor(risk.color)
+            .setThumbnail(user.displayAvatarURL())
+            .addFields(
+                { name: 'User', value: `<@${user.id}> (${user.id})${user.bot ? '\n🤖 Bot account' : ''}`, inline: true },
+                { name: 'Account created', value: formatTime(user.createdTimestamp), inline: true },
+                { name: 'Joined', value: member && member.joinedTimestamp ? formatTime(member.joinedTimestamp) : 'Not in this server', inline: true },
+                { name: 'Timeout', value: timeout, inline: true },
+                { name: 'Ban', value: banStatus, inline: true },
+                { name: `Roles (${roles.length})`, value: fieldValue(roles, 'None', { separator: ' ' }) },
+                {
+                    name: 'Risk',
+                    value: `${riskSummary}\n${fieldValue(risk.reasons.map(reason => `• ${reason}`), 'Nothing notable', { limit: 1024 - riskSummary.length - 1 })}`
+                },
+                {
+                    name: `Moderation history (${cases.length})`,
+                    value: cases.length
+                        ? `${summary}\n\n${fieldValue(cases.slice(0, 3).map(formatCaseLine), '', { limit: 1024 - summary.length - 2 })}`
+                        : 'No cases.'
+                },
+                { name: `Notes (${notes.length})`, value: fieldValue(notes.slice(0, 3).map(formatNoteLine), 'No notes.') }
+            )
+            .setFooter({ text: 'Use /history and /note list for everything' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,213 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { logAction } = require('../lib/auditlog');
+
+const VOICE_CHANNEL_TYPES = [ChannelType.GuildVoice, ChannelType.GuildStageVoice];
+
+// Who an action applies to: the given user, or everyone in the given channel that the moderator outranks
+function resolveTargets(interaction, channelOption) {
+    const user = interaction.options.getUser('user');
+    if (user) {
+        const member = interaction.guild.members.cache.get(user.id);
+        if (!member || !member.voice.channelId) {
+            return { error: `❌ **${user.tag}** is not in a voice channel.` };
+        }
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) return { error: hierarchyError };
+        return { members: [member], skipped: 0 };
+    }
+
+    const channel = interaction.options.getChannel(channelOption);
+    if (!channel) {
+        return { error: '❌ Pick a user or a voice channel.' };
+    }
+    const everyone = [...channel.members.values()];
+    const members = everyone.filter(member => !checkHierarchy(interaction.member, member));
+    return { members, skipped: everyone.length - members.length, channel };
+}
+
+// Run an action on each member, collecting failures instead of stopping at the first
+async function applyAll(members, action) {
+    const result = { done: 0, failed: [] };
+    for (const member of members) {
+        try {
+            await action(member);
+            result.done++;
+        } catch (error) {
+            result.failed.push(`• ${member.user.tag}: ${error.message}`);
+        }
+    }
+    return result;
+}
+
+// Summary line for skipped members and failures of a bulk action
+function formatProblems(skipped, result) {
+    let text = '';
+    if (skipped) text += `\nSkipped **${skipped}** member(s) at or above your highest role.`;
+    if (result.failed.length) text += `\n❌ Failed for **${result.failed.length}**:\n${result.failed.slice(0, 10).join('\n')}`;
+    return text;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('voice')
+        .setDescription('Voice channel moderation')
+        .setDefaultMemberPermissions(PermissionFlagsBits.MoveMembers)
+        .addSubcommand(subcommand =>
+            subcommand.setName('mute')
+                .setDescription('Server mute or unmute a member in voice')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The member to mute')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Set to false to unmute (default: true)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for the mute')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('deafen')
+                .setDescription('Server deafen or undeafen a member in voice')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The member to deafen')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Set to false to undeafen (default: true)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for the deafen')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('disconnect')
+                .setDescription('Disconnect a member, or everyone in a channel, from voice')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The member to disconnect')
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Disconnect everyone in this channel instead')
+                        .addChannelTypes(...VOICE_CHANNEL_TYPES)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for the disconnect')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('move')
+                .setDescription('Move a member, or everyone in a channel, to another voice channel')
+                .addChannelOption(option =>
+                    option.setName('to')
+                        .setDescription('Channel to move them to')
+                        .addChannelTypes(...VOICE_CHANNEL_TYPES)
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The member to move')
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('from')
+                        .setDescription('Move everyone in this channel instead')
+                        .addChannelTypes(...VOICE_CHANNEL_TYPES)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for the move')
+                        .setRequired(false))),
+    tier: 'moderator',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const subcommand = interaction.options.getSubcommand();
+        const reason = interaction.options.getString('reason') || 'No reason provided';
+
+        if (subcommand === 'mute' || subcommand === 'deafen') {
+            const targets = resolveTargets(interaction);
+            if (targets.error) {
+                return await interaction.reply({ content: targets.error, ephemeral: true });
+            }
+            const [member] = targets.members;
+            const enabled = interaction.options.getBoolean('enabled') ?? true;
+            const verb = subcommand === 'mute'
+                ? (enabled ? 'muted' : 'unmuted')
+                : (enabled ? 'deafened' : 'undeafened');
+
+            try {
+                if (subcommand === 'mute') {
+                    await member.voice.setMute(enabled, reason);
+                } else {
+                    await member.voice.setDeaf(enabled, reason);
+                }
+            } catch (error) {
+                return await interaction.reply({
+                    content: `❌ Failed to update **${member.user.tag}**. ${error.message}`,
+                    ephemeral: true
+                });
+            }
+
+            await logAction(interaction.client, interaction.guild, {
+                title: `${enabled ? '🔇' : '🔊'} Voice ${verb}`,
+                actor: interaction.user,
+                target: `<@${member.id}> (${member.user.tag})`,
+                reason
+            });
+            return await interaction.reply({
+                content: `✅ **${member.user.tag}** has been ${verb} in voice.\n**Reason:** ${reason}`,
+                ephemeral: true
+            });
+        }
+
+        // A whole channel can take a while, so answer within Discord's 3 seconds first
+        await interaction.deferReply({ ephemeral: true });
+
+        if (subcommand === 'disconnect') {
+            const targets = resolveTargets(interaction, 'channel');
+            if (targets.error) {
+                return await interaction.editReply({ content: targets.error });
+            }
+
+            const result = await applyAll(targets.members, member => member.voice.disconnect(reason));
+            await logAction(interaction.client, interaction.guild, {
+                title: '📤 Voice disconnect',
+                actor: interaction.user,
+                target: targets.channel ? `Everyone in <#${targets.channel.id}>` : `<@${targets.members[0].id}> (${targets.members[0].user.tag})`,
+                reason,
+                fields: [{ name: 'Disconnected', value: `${result.done}`, inline: true }]
+            });
+            return await interaction.editReply({
+                content: `✅ Disconnected **${result.done}** member(s) from voice.${formatProblems(targets.skipped, result)}`
+            });
+        }
+
+        // move
+        const destination = interaction.options.getChannel('to');
+        const targets = resolveTargets(interaction, 'from');
+        if (targets.error) {
+            return await interaction.editReply({ content: targets.error });
+        }
+
+        const members = targets.members.filter(member => member.voice.channelId !== destination.id);
+        const result = await applyAll(members, member => member.voice.setChannel(destination, reason));
+        await logAction(interaction.client, interaction.guild, {
+            title: '🔀 Voice move',
+            actor: interaction.user,
+            target: targets.channel ? `Everyone in <#${targets.channel.id}>` : `<@${targets.members[0].id}> (${targets.members[0].user.tag})`,
+            reason,
+            fields: [
+                { name: 'To', value: `<#${destination.id}>`, inline: true },
+                { name: 'Moved', value: `${result.done}`, inline: true }
+            ]
+        });
+        await interaction.editReply({
+            content: `✅ Moved **${result.done}** member(s) to **${destination.name}**.${formatProblems(targets.skipped, result)}`
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase } = require('../lib/cases');
+const { getActiveWarnings, escalate } = require('../lib/warnings');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('warn')
+        .setDescription('Warn a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to warn')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Reason for the warning')
+                .setRequired(true)),
+    tier: 'moderator',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user');
+        const reason = interaction.options.getString('reason');
+
+        if (user.bot) {
+            return await interaction.reply({
+                content: '❌ You cannot warn a bot.',
+                ephemeral: true
+            });
+        }
+
+        const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+        const hierarchyError = checkHierarchy(interaction.member, member);
+        if (hierarchyError) {
+            return await interaction.reply({ content: hierarchyError, ephemeral: true });
+        }
+
+        const entry = createCase(interaction.client, {
+            guild: interaction.guild,
+            action: 'warn',
+            target: user,
+            moderator: interaction.user,
+            reason,
+            channel: interaction.channel
+        });
+        const count = getActiveWarnings(interaction.client, interaction.guild.id, user.id).length;
+
+        // Let the user know; DMs may be closed
+        await user.send(`⚠️ You have been warned in **${interaction.guild.name}**.\n**Reason:** ${reason}`).catch(() => null);
+
+        let escalation = '';
+        try {
+            const escalated = await escalate(interaction.client, interaction.guild, user, count);
+            if (escalated) {
+                escalation = `\n🔨 Automatic **${escalated.action}** applied (Case #${escalated.id}).`;
+            }
+        } catch (error) {
+            escalation = `\n❌ Automatic escalation failed. ${error.message}`;
+        }
+
+        await interaction.reply({
+            content: `⚠️ **${user.tag}** has been warned. (Case #${entry.id})\n**Reason:** ${reason}\n**Active warnings:** ${count}${escalation}`,
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { getCases } = require('../lib/cases');
+const { isActiveWarning } = require('../lib/warnings');
+const { truncate } = require('../lib/auditlog');
+
+// Warnings listed, and reason text shown for each, so the list fits an embed description (4096)
+const MAX_LISTED = 15;
+const REASON_LENGTH = 180;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('warnings')
+        .setDescription('List warnings for a user')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to look up')
+                .setRequired(true)),
+    tier: 'helper',
+    
+    async execute(interaction) {
+        if (!hasCommandPermission(interaction.member, interaction.commandName)) {
+            return await interaction.reply(noPermissionReply());
+        }
+        const user = interaction.options.getUser('user');
+
+        const warnings = getCases(interaction.client, interaction.guild.id, { targetId: user.id, action: 'warn' });
+        const active = warnings.filter(entry => isActiveWarning(entry));
+
+        const lines = warnings.slice(0, MAX_LISTED).map(entry => {
+            const status = entry.pardoned ? 'pardoned' : active.includes(entry) ? 'active' : 'expired';
+            return `**#${entry.id}** [${status}] <t:${Math.floor(entry.timestamp / 1000)}:R> by <@${entry.moderatorId}>\n└ ${truncate(entry.reason, REASON_LENGTH)}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Warnings for ${user.tag}`)
+            .setColor(0xf1c40f)
+            .setDescription(lines.length ? lines.join('\n\n') : 'No warnings.')
+            .setFooter({ text: `${active.length} active • ${warnings.length} total` });
+
+        await interaction.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    },
+};
\ No newline at end of file
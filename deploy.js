@@ -1,31 +1,30 @@
-const { REST, Routes } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
-
 require('dotenv').config();
 
-const commands = [];
-const commandsPath = path.join(__dirname, 'commands');
-const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
-
-for (const file of commandFiles) {
-    const command = require(path.join(commandsPath, file));
-    commands.push(command.data.toJSON());
-}
+const { Collection } = require('discord.js');
+const { createStorage } = require('./lib/storage');
+const { listCommandFiles, requireCommand, deployCommands } = require('./lib/commands');
 
-const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN || process.env.SECURITY_BOT_TOKEN);
+// Deploy without logging in. The commands are always sent, and their hash is recorded
+// like an automatic deployment, so the bot's next startup skips the upload. Only the
+// deployments document is written, so a running bot's data.json is left alone.
+const client = {
+    commands: new Collection(),
+    storage: createStorage()
+};
 
 (async () => {
     try {
-        console.log(`🔄 Started refreshing ${commands.length} application (/) commands.`);
-
-        const data = await rest.put(
-            Routes.applicationCommands(process.env.CLIENT_ID),
-            { body: commands },
-        );
+        // Same files as the bot loads, including subdirectories of commands/
+        for (const filePath of listCommandFiles()) {
+            const command = requireCommand(filePath);
+            client.commands.set(command.data.name, command);
+        }
 
-        console.log(`✅ Successfully reloaded ${data.length} application (/) commands.`);
+        // Guild-scoped with NODE_ENV=development and GUILD_ID, global otherwise
+        await deployCommands(client, { force: true });
     } catch (error) {
         console.error('❌ Error deploying commands:', error);
+    } finally {
+        client.storage.close();
     }
 })();
\ No newline at end of file
@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+
+// One-shot import of data.json and cases.json files into the configured storage backend.
+// Usage: npm run import-data -- [source directory] [--force]
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const sourceDir = path.resolve(args.find(arg => !arg.startsWith('--')) || __dirname);
+
+const storage = createStorage();
+console.log(`🔄 Importing from ${sourceDir} into ${storage.type} storage at ${storage.location}`);
+
+let imported = 0;
+for (const name of ['data', 'cases']) {
+    const file = path.join(sourceDir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        console.log(`⏭️ ${name}.json not found, skipping`);
+        continue;
+    }
+
+    if (storage.load(name) !== null && !force) {
+        console.log(`⚠️ ${name} already exists in storage, skipping (use --force to overwrite)`);
+        continue;
+    }
+
+    storage.save(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+    console.log(`✅ Imported ${name}.json`);
+    imported++;
+}
+
+storage.close();
+console.log(`✅ Imported ${imported} file(s).`);
\ No newline at end of file
@@ -3,210 +3,33 @@
  * Simple Discord moderation bot with basic commands
  */
 
-const { Client, Collection, GatewayIntentBits, Partials, REST, Routes } = require('discord.js');
-const fs = require('fs');
-const path = require('path');
-
-// Load environment variables
+// Load environment variables before anything reads them
 require('dotenv').config();
 
-// Create Discord client
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildModeration,
-        GatewayIntentBits.GuildMembers
-    ],
-    partials: [
-        Partials.Message,
-        Partials.Channel,
-        Partials.GuildMember,
-        Partials.User
-    ]
-});
-
-// Create collections for commands and cooldowns
-client.commands = new Collection();
-client.cooldowns = new Collection();
-
-// Load simple JSON storage
-const dataFile = path.join(__dirname, 'data.json');
-if (!fs.existsSync(dataFile)) {
-    fs.writeFileSync(dataFile, JSON.stringify({
-        lockedChannels: {},
-        raidMode: false
-    }, null, 2));
-}
-
-client.data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-
-// Save data function
-client.saveData = () => {
-    fs.writeFileSync(dataFile, JSON.stringify(client.data, null, 2));
-};
-
-// Load commands
-function loadCommands(dir) {
-    const files = fs.readdirSync(dir);
-    
-    for (const file of files) {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        
-        if (stat.isDirectory()) {
-            loadCommands(filePath);
-        } else if (file.endsWith('.js')) {
-            try {
-                const command = require(filePath);
-                if ('data' in command && 'execute' in command) {
-                    client.commands.set(command.data.name, command);
-                    console.log(`✓ Loaded command: ${command.data.name}`);
-                }
-            } catch (error) {
-                console.error(`✗ Error loading command ${file}:`, error.message);
-            }
-        }
-    }
-}
-
-// Load commands from commands directory
-const commandsPath = path.join(__dirname, 'commands');
-if (fs.existsSync(commandsPath)) {
-    loadCommands(commandsPath);
-}
-
-// Auto-deploy commands function
-async function deployCommands() {
-    const commands = [];
-    const commandArray = Array.from(client.commands.values());
-    
-    for (const command of commandArray) {
-        commands.push(command.data.toJSON());
-    }
+const { createBot } = require('./bot');
+const { createServer } = require('./lib/server');
 
-    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN || process.env.SECURITY_BOT_TOKEN);
-
-    try {
-        console.log(`🔄 Started refreshing ${commands.length} application (/) commands.`);
-
-        const data = await rest.put(
-            Routes.applicationCommands(process.env.CLIENT_ID),
-            { body: commands },
-        );
-
-        console.log(`✅ Successfully deployed ${data.length} application (/) commands.`);
-    } catch (error) {
-        console.error('❌ Error auto-deploying commands:', error);
-    }
-}
-
-// Basic anti-spam tracking
-const userMessages = new Map();
-
-// Ready event
-client.once('clientReady', async () => {
-    console.log(`\n🤖 Bot is ready! Logged in as ${client.user.tag}`);
-    console.log(`📊 Loaded ${client.commands.size} commands`);
-    console.log(`🌐 Connected to ${client.guilds.cache.size} servers`);
-    
-    // Auto-deploy commands when bot starts
-    if (process.env.CLIENT_ID) {
-        await deployCommands();
-    } else {
-        console.log('⚠️ CLIENT_ID not found in environment variables. Skipping command deployment.');
-    }
-    console.log('');
-});
-
-// Message handler
-client.on('messageCreate', async (message) => {
-    if (message.author.bot) return;
-    
-    // Basic anti-spam
-    const userId = message.author.id;
-    const now = Date.now();
-    
-    if (!userMessages.has(userId)) {
-        userMessages.set(userId, []);
-    }
-    
-    const userMsgTimes = userMessages.get(userId);
-    const recentMessages = userMsgTimes.filter(time => now - time < 10000); // 10 seconds
-    recentMessages.push(now);
-    userMessages.set(userId, recentMessages);
-    
-    // Delete spam (more than 8 messages in 10 seconds)
-    if (recentMessages.length > 8) {
-        try {
-            await message.delete();
-            console.log(`🚫 Deleted spam message from ${message.author.tag}`);
-        } catch (error) {
-            console.error('Error deleting spam message:', error.message);
-        }
-        return;
-    }
-});
-
-// Interaction handler
-client.on('interactionCreate', async (interaction) => {
-    if (!interaction.isChatInputCommand()) return;
-
-    const command = client.commands.get(interaction.commandName);
-    if (!command) return;
-
-    try {
-        await command.execute(interaction);
-    } catch (error) {
-        console.error('Command execution error:', error);
-        const reply = { content: 'There was an error executing this command!', ephemeral: true };
-        
-        if (interaction.replied || interaction.deferred) {
-            await interaction.followUp(reply);
-        } else {
-            await interaction.reply(reply);
-        }
-    }
-});
-
-// Member join handler (basic raid protection)
-client.on('guildMemberAdd', async (member) => {
-    if (client.data.raidMode) {
-        try {
-            await member.kick('Raid mode is active');
-            console.log(`🛡️ Kicked ${member.user.tag} due to raid mode`);
-        } catch (error) {
-            console.error('Error kicking user in raid mode:', error.message);
-        }
-    }
-});
+// Create Discord client with storage, commands and event handlers
+const client = createBot();
 
 // Error handling
 process.on('unhandledRejection', error => {
     console.error('Unhandled promise rejection:', error);
 });
 
-// Simple health check server (optional, for monitoring)
-if (process.env.ENABLE_HEALTH_CHECK === 'true') {
-    const http = require('http');
-    const healthServer = http.createServer((req, res) => {
-        if (req.url === '/health') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                status: 'ok',
-                uptime: process.uptime(),
-                timestamp: new Date().toISOString(),
-                bot_status: client.readyAt ? 'connected' : 'connecting'
-            }));
-        } else {
-            res.writeHead(404);
-            res.end('Not Found');
-        }
+// Close storage cleanly when the container stops
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        client.storage.close();
+        client.destroy();
+        process.exit(0);
     });
-    
+}
+
+// Health check, metrics and admin API server (optional, for monitoring)
+if (process.env.ENABLE_HEALTH_CHECK === 'true') {
     const port = process.env.HEALTH_PORT || 3000;
-    healthServer.listen(port, () => {
+    createServer(client).listen(port, () => {
         console.log(`🏥 Health check server running on port ${port}`);
     });
 }
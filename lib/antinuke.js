@@ -0,0 +1,320 @@
+const { EmbedBuilder, AuditLogEvent, PermissionFlagsBits, ChannelType } = require('discord.js');
+const ms = require('ms');
+const { createCase } = require('./cases');
+const { getGuildData, getGuildSettings } = require('./guilds');
+const { getLogChannel } = require('./auditlog');
+
+// Audit log actions that count towards a nuke, keyed to their threshold setting
+const WATCHED_ACTIONS = {
+    [AuditLogEvent.ChannelDelete]: 'channelDelete',
+    [AuditLogEvent.RoleDelete]: 'roleDelete',
+    [AuditLogEvent.MemberBanAdd]: 'ban',
+    [AuditLogEvent.MemberKick]: 'kick',
+    [AuditLogEvent.WebhookCreate]: 'webhookCreate'
+};
+
+const ACTION_LABELS = {
+    channelDelete: 'channel deletions',
+    roleDelete: 'role deletions',
+    ban: 'bans',
+    kick: 'kicks',
+    webhookCreate: 'webhooks created'
+};
+
+// Roles with any of these are taken away from a quarantined executor
+const DANGEROUS_PERMISSIONS = [
+    PermissionFlagsBits.Administrator,
+    PermissionFlagsBits.ManageGuild,
+    PermissionFlagsBits.ManageRoles,
+    PermissionFlagsBits.ManageChannels,
+    PermissionFlagsBits.ManageWebhooks,
+    PermissionFlagsBits.BanMembers,
+    PermissionFlagsBits.KickMembers
+];
+
+// Discord timeouts can't be longer than 28 days
+const QUARANTINE_TIMEOUT = 28 * 24 * 60 * 60 * 1000;
+
+// Recent watched actions per executor, keyed by "guildId:userId"
+const recentActions = new Map();
+
+function getQuarantined(client, guildId) {
+    const guildData = getGuildData(client, guildId);
+    if (!guildData.nukeQuarantine) guildData.nukeQuarantine = {};
+    return guildData.nukeQuarantine;
+}
+
+// Old values of a deleted channel or role from its audit log entry
+function deletedValues(entry) {
+    return Object.fromEntries(entry.changes.map(change => [change.key, change.old]));
+}
+
+// Recreate a deleted role from its audit log entry
+async function revertRoleDelete(guild, entry, reason) {
+    const role = deletedValues(entry);
+    const created = await guild.roles.create({
+        name: role.name,
+        color: role.color,
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        permissions: BigInt(role.permissions || 0),
+        reason
+    });
+    return { description: `Recreated role @${created.name}`, oldId: entry.targetId, newId: created.id };
+}
+
+// Recreate a deleted channel from its audit log entry, pointing overwrites at recreated roles
+async function revertChannelDelete(guild, entry, reason, roleIds) {
+    const channel = deletedValues(entry);
+    const overwrites = (channel.permission_overwrites || [])
+        .map(overwrite => ({ ...overwrite, id: roleIds.get(overwrite.id) || overwrite.id }))
+        .filter(overwrite => Number(overwrite.type) === 1 || guild.roles.cache.has(overwrite.id))
+        .map(overwrite => ({ id: overwrite.id, type: Number(overwrite.type), allow: BigInt(overwrite.allow), deny: BigInt(overwrite.deny) }));
+
+    const created = await guild.channels.create({
+        name: channel.name,
+        type: channel.type ?? ChannelType.GuildText,
+        parent: channel.parent_id && guild.channels.cache.has(channel.parent_id) ? channel.parent_id : null,
+        topic: channel.topic || undefined,
+        nsfw: channel.nsfw,
+        rateLimitPerUser: channel.rate_limit_per_user || undefined,
+        bitrate: channel.bitrate || undefined,
+        userLimit: channel.user_limit || undefined,
+        permissionOverwrites: overwrites,
+        reason
+    });
+    return { description: `Recreated #${created.name}` };
+}
+
+// Undo what can be undone: recreate deleted roles then channels, lift bans and delete new webhooks.
+// Kicks can't be reverted. Returns a line per action.
+async function revertActions(client, guild, actions) {
+    const reason = 'Anti-nuke: reverting changes';
+    const roleIds = new Map();
+    const results = [];
+
+    // Roles first so recreated channels can get their overwrites back
+    const ordered = [...actions].sort((a, b) => (b.type === 'roleDelete') - (a.type === 'roleDelete'));
+
+    for (const { type, entry } of ordered) {
+        try {
+            if (type === 'roleDelete') {
+                const result = await revertRoleDelete(guild, entry, reason);
+                roleIds.set(result.oldId, result.newId);
+                results.push(`✅ ${result.description}`);
+            } else if (type === 'channelDelete') {
+                results.push(`✅ ${(await revertChannelDelete(guild, entry, reason, roleIds)).description}`);
+            } else if (type === 'ban') {
+                await guild.members.unban(entry.targetId, reason);
+                results.push(`✅ Unbanned <@${entry.targetId}>`);
+            } else if (type === 'webhookCreate') {
+                const webhook = await client.fetchWebhook(entry.targetId);
+                await webhook.delete(reason);
+                results.push(`✅ Deleted webhook ${webhook.name}`);
+            } else {
+                results.push(`⚠️ Kick of <@${entry.targetId}> can't be undone`);
+            }
+        } catch (error) {
+            results.push(`❌ Failed to revert ${type} (${entry.targetId}): ${error.message}`);
+        }
+    }
+
+    return results;
+}
+
+// Take away an executor's dangerous roles and time them out, or kick them if they're a bot.
+// Records what was removed so /antinuke release can give it back.
+async function quarantineExecutor(client, guild, userId, reason, settings) {
+    const result = { stripped: [], kept: [], quarantined: false, kicked: false };
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return result;
+
+    // A bot's own role is managed by its integration; removing the bot is the only option
+    if (member.user.bot) {
+        if (member.kickable) {
+            await member.kick(reason).then(() => { result.kicked = true; })
+                .catch(error => console.error('Error kicking nuking bot:', error.message));
+        }
+        return result;
+    }
+
+    const dangerous = member.roles.cache.filter(role => DANGEROUS_PERMISSIONS.some(permission => role.permissions.has(permission)));
+    const removable = dangerous.filter(role => role.editable && !role.managed);
+    result.kept = dangerous.filter(role => !removable.has(role.id)).map(role => role.name);
+
+    try {
+        if (removable.size) {
+            await member.roles.remove([...removable.keys()], reason);
+            result.stripped = removable.map(role => ({ id: role.id, name: role.name }));
+        }
+
+        const quarantineRole = settings.quarantineRole && guild.roles.cache.get(settings.quarantineRole);
+        if (quarantineRole && quarantineRole.editable) {
+            await member.roles.add(quarantineRole, reason);
+        }
+
+        if (member.moderatable) {
+            await member.timeout(QUARANTINE_TIMEOUT, reason);
+        }
+        result.quarantined = true;
+    } catch (error) {
+        console.error('Error quarantining nuke executor:', error.message);
+    }
+
+    getQuarantined(client, guild.id)[userId] = {
+        roles: result.stripped.map(role => role.id),
+        reason,
+        timestamp: Date.now()
+    };
+    client.saveData();
+
+    return result;
+}
+
+// Channel used for nuke alerts: the alert channel, then the log channel, then the system channel
+function getAlertChannel(client, guild, settings) {
+    return (settings.alertChannel && guild.channels.cache.get(settings.alertChannel))
+        || getLogChannel(client, guild)
+        || guild.systemChannel;
+}
+
+// Post the alert in the server and DM it to the owner, who may be the only one left with power to act
+async function sendAlert(client, guild, settings, embed) {
+    const channel = getAlertChannel(client, guild, settings);
+    if (channel) {
+        await channel.send({ embeds: [embed] }).catch(error =>
+            console.error('Error sending anti-nuke alert:', error.message));
+    }
+
+    const owner = await guild.fetchOwner().catch(() => null);
+    if (owner) {
+        await owner.send({ embeds: [embed] }).catch(() => null);
+    }
+}
+
+// An executor crossed a threshold: quarantine them, optionally revert, and raise the alarm
+async function handleNuke(client, guild, executor, type, actions, settings) {
+    const reason = `Anti-nuke: ${actions.filter(action => action.type === type).length} ${ACTION_LABELS[type]} in ${ms(settings.timeWindow, { long: true })}`;
+    console.log(`🛡️ Nuke detected in ${guild.name} by ${executor.tag}: ${reason}`);
+
+    // Mark them straight away so actions that arrive while we work are reverted, not re-counted
+    getQuarantined(client, guild.id)[executor.id] = { roles: [], reason, timestamp: Date.now() };
+
+    const quarantine = await quarantineExecutor(client, guild, executor.id, reason, settings);
+    const reverted = settings.revert ? await revertActions(client, guild, actions) : [];
+
+    createCase(client, {
+        guild,
+        action: 'antinuke',
+        target: executor,
+        moderator: client.user,
+        reason,
+        extra: {
+            stripped: quarantine.stripped.map(role => role.id),
+            kicked: quarantine.kicked,
+            reverted: reverted.length
+        }
+    });
+
+    const counts = Object.entries(ACTION_LABELS)
+        .map(([key, label]) => [actions.filter(action => action.type === key).length, label])
+        .filter(([count]) => count > 0)
+        .map(([count, label]) => `${count} ${label}`);
+
+    let response;
+    if (quarantine.kicked) {
+        response = 'Bot kicked from the server.';
+    } else if (quarantine.quarantined) {
+        response = `Quarantined. Removed roles: ${quarantine.stripped.map(role => role.name).join(', ') || 'none'}.`;
+        if (quarantine.kept.length) response += `\n⚠️ Roles above the bot were kept: ${quarantine.kept.join(', ')}. Remove them manually.`;
+    } else {
+        response = '⚠️ The bot could not act against this account. Remove its permissions manually.';
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🚨 Nuke attempt detected')
+        .setColor(0xed4245)
+        .setDescription(`<@${executor.id}> (${executor.tag}) crossed the anti-nuke threshold in **${guild.name}**.`)
+        .addFields(
+            { name: 'Recent actions', value: counts.join('\n') || 'none', inline: true },
+            { name: 'Response', value: response.slice(0, 1024) }
+        )
+        .setFooter({ text: `User ID: ${executor.id} • Restore roles with /antinuke release` })
+        .setTimestamp();
+
+    if (settings.revert) {
+        const lines = reverted.length > 15 ? [...reverted.slice(0, 15), `…and ${reverted.length - 15} more`] : reverted;
+        embed.addFields({ name: 'Reverted', value: lines.join('\n').slice(0, 1024) || 'nothing' });
+    }
+
+    await sendAlert(client, guild, settings, embed);
+}
+
+// Count destructive audit log entries per executor and react once one crosses its threshold
+async function handleAuditLogEntry(client, entry, guild) {
+    const type = WATCHED_ACTIONS[entry.action];
+    if (!type || !entry.executorId) return;
+
+    const settings = getGuildSettings(client, guild.id).antiNuke;
+    if (!settings.enabled) return;
+
+    // The bot's own actions (including /massban) and the owner are never counted
+    const executorId = entry.executorId;
+    if (executorId === client.user.id || executorId === guild.ownerId || settings.trusted.includes(executorId)) return;
+
+    const action = { type, entry, timestamp: Date.now() };
+
+    // Already quarantined: anything still arriving slipped through before their roles were removed
+    if (getQuarantined(client, guild.id)[executorId]) {
+        if (settings.revert) await revertActions(client, guild, [action]);
+        return;
+    }
+
+    const key = `${guild.id}:${executorId}`;
+    const actions = (recentActions.get(key) || []).filter(recent => action.timestamp - recent.timestamp < settings.timeWindow);
+    actions.push(action);
+    recentActions.set(key, actions);
+
+    if (actions.filter(recent => recent.type === type).length < settings[type]) return;
+
+    recentActions.delete(key);
+    const executor = entry.executor || await client.users.fetch(executorId);
+    await handleNuke(client, guild, executor, type, actions, settings);
+}
+
+// Give a quarantined member their roles back and lift the timeout and quarantine role
+async function releaseQuarantine(client, guild, userId, moderator) {
+    const quarantined = getQuarantined(client, guild.id);
+    const record = quarantined[userId];
+    if (!record) return null;
+
+    const reason = `Anti-nuke quarantine lifted by ${moderator.tag}`;
+    const settings = getGuildSettings(client, guild.id).antiNuke;
+    const member = await guild.members.fetch(userId).catch(() => null);
+    const restored = [];
+
+    if (member) {
+        const roles = record.roles.filter(roleId => guild.roles.cache.has(roleId));
+        if (roles.length) {
+            await member.roles.add(roles, reason);
+            restored.push(...roles);
+        }
+        if (settings.quarantineRole && member.roles.cache.has(settings.quarantineRole)) {
+            await member.roles.remove(settings.quarantineRole, reason);
+        }
+        if (member.isCommunicationDisabled()) {
+            await member.timeout(null, reason);
+        }
+    }
+
+    delete quarantined[userId];
+    client.saveData();
+    return { member, restored };
+}
+
+module.exports = {
+    WATCHED_ACTIONS,
+    getQuarantined,
+    handleAuditLogEntry,
+    releaseQuarantine
+};
\ No newline at end of file
@@ -0,0 +1,305 @@
+const { EmbedBuilder } = require('discord.js');
+const ms = require('ms');
+const { createCase } = require('./cases');
+const { getGuildData, getGuildSettings } = require('./guilds');
+const { getLogChannel, logAction } = require('./auditlog');
+const verification = require('./verification');
+const metrics = require('./metrics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Recent joins per guild
+const recentJoins = new Map();
+// Quiet-period timers for raids the bot switched raid mode on for, keyed by guild ID.
+// The raid itself is kept in the guild's data so a restart can pick it up again.
+const raidTimers = new Map();
+
+// Levenshtein-based similarity between two names, 0 (different) to 1 (identical)
+function similarity(a, b) {
+    a = a.toLowerCase().replace(/[^a-z0-9]/g, '');
+    b = b.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Score how suspicious a joining account looks, with the reasons behind it
+function scoreMember(member, burst, settings, now = Date.now()) {
+    const reasons = [];
+    let score = 0;
+
+    const accountAge = now - member.user.createdTimestamp;
+    if (accountAge < DAY) {
+        score += 3;
+        reasons.push('account under a day old');
+    } else if (accountAge < ms(settings.minAccountAge)) {
+        score += 2;
+        reasons.push(`account under ${settings.minAccountAge} old`);
+    }
+
+    if (!member.user.avatar) {
+        score += 1;
+        reasons.push('default avatar');
+    }
+
+    const similar = burst.filter(other =>
+        other.id !== member.id && similarity(other.username, member.user.username) >= settings.nameSimilarity);
+    if (similar.length > 0) {
+        score += 2;
+        reasons.push(`name similar to ${similar.length} other joiner(s)`);
+    }
+
+    return { score, reasons };
+}
+
+async function kickRaider(client, member, reason) {
+    try {
+        await member.kick(reason);
+        metrics.increment('raidKicks');
+        createCase(client, {
+            guild: member.guild,
+            action: 'kick',
+            target: member.user,
+            moderator: client.user,
+            reason
+        });
+        console.log(`🛡️ Kicked ${member.user.tag} (${reason})`);
+        return true;
+    } catch (error) {
+        console.error('Error kicking user in raid mode:', error.message);
+        return false;
+    }
+}
+
+// What raid mode does to new members: the /raidmode choice, then the configured default.
+// Verifying falls back to kicking when verification isn't set up.
+function getRaidAction(client, guild) {
+    const action = getGuildData(client, guild.id).raidAction || getGuildSettings(client, guild.id).antiRaid.action;
+    return action === 'verify' && verification.isConfigured(client, guild) ? 'verify' : 'kick';
+}
+
+// Kick or quarantine a member and remember it for the raid summary
+async function handleRaider(client, member, reason) {
+    const raid = getGuildData(client, member.guild.id).autoRaid;
+
+    if (getRaidAction(client, member.guild) === 'verify') {
+        try {
+            await verification.startVerification(client, member, reason);
+            console.log(`🛡️ Sent ${member.user.tag} to verification (${reason})`);
+            if (raid) {
+                raid.verified.push({ id: member.id, tag: member.user.tag });
+                client.saveData();
+            }
+            return;
+        } catch (error) {
+            console.error('Error starting verification in raid mode:', error.message);
+        }
+    }
+
+    const kicked = await kickRaider(client, member, reason);
+    if (kicked && raid) {
+        raid.kicked.push({ id: member.id, tag: member.user.tag });
+        client.saveData();
+    }
+}
+
+// Channel used for raid alerts and summaries: the alert channel, then the log channel, then the system channel
+function getAlertChannel(client, guild, settings) {
+    return (settings.alertChannel && guild.channels.cache.get(settings.alertChannel))
+        || getLogChannel(client, guild)
+        || guild.systemChannel;
+}
+
+async function sendAlert(client, guild, settings, embed) {
+    const channel = getAlertChannel(client, guild, settings);
+    if (!channel) return;
+    await channel.send({ embeds: [embed] }).catch(error =>
+        console.error('Error sending raid alert:', error.message));
+}
+
+// Members listed in a raid summary, capped to keep the embed short
+function formatList(entries) {
+    const lines = entries.map(entry => `• ${entry.tag} (${entry.id})`);
+    const list = lines.length > 30 ? [...lines.slice(0, 30), `…and ${lines.length - 30} more`] : lines;
+    return list.join('\n') || 'Nobody';
+}
+
+// Turn raid mode on or off, remembering when the last raid started and ended
+function toggleRaidMode(guildData, enabled, now = Date.now()) {
+    if (enabled && !guildData.raidMode) {
+        guildData.raidStartedAt = now;
+    } else if (!enabled && guildData.raidMode) {
+        if (guildData.raidStartedAt) guildData.lastRaid = { startedAt: guildData.raidStartedAt, endedAt: now };
+        delete guildData.raidStartedAt;
+    }
+    guildData.raidMode = enabled;
+}
+
+// Whether a member joined while raid mode was on, now or during the last raid
+function joinedDuringRaid(client, member) {
+    if (!member.joinedTimestamp) return false;
+    const guildData = getGuildData(client, member.guild.id);
+    const periods = [
+        guildData.raidMode && guildData.raidStartedAt ? { startedAt: guildData.raidStartedAt, endedAt: Infinity } : null,
+        guildData.lastRaid
+    ].filter(Boolean);
+    return periods.some(period => member.joinedTimestamp >= period.startedAt && member.joinedTimestamp <= period.endedAt);
+}
+
+// Switch raid mode off after a quiet period and post who was kicked
+async function endRaid(client, guild) {
+    raidTimers.delete(guild.id);
+    const guildData = getGuildData(client, guild.id);
+    const raid = guildData.autoRaid;
+    if (!raid) return;
+    delete guildData.autoRaid;
+
+    // A moderator may have turned raid mode off already
+    if (!guildData.raidMode) {
+        client.saveData();
+        return;
+    }
+
+    toggleRaidMode(guildData, false);
+    client.saveData();
+    const settings = getGuildSettings(client, guild.id).antiRaid;
+    console.log(`🛡️ Raid mode disabled automatically in ${guild.name}`);
+
+    const kicked = formatList(raid.kicked);
+    let description = `No new joins for ${ms(settings.quietPeriod, { long: true })}.\n\n**Kicked (${raid.kicked.length}):**\n${kicked}`;
+    if (raid.verified.length) {
+        description += `\n\n**Sent to verification (${raid.verified.length}):**\n${formatList(raid.verified)}`;
+    }
+
+    await sendAlert(client, guild, settings, new EmbedBuilder()
+        .setTitle('🛡️ Raid mode disabled')
+        .setColor(0x57f287)
+        .setDescription(description)
+        .addFields(
+            { name: 'Started', value: `<t:${Math.floor(raid.startedAt / 1000)}:R>`, inline: true },
+            { name: 'Joins seen', value: `${raid.joins}`, inline: true }
+        )
+        .setTimestamp());
+}
+
+function armRaidTimer(client, guild, delay) {
+    clearTimeout(raidTimers.get(guild.id));
+    raidTimers.set(guild.id, setTimeout(() => endRaid(client, guild), delay));
+}
+
+// Restart the quiet-period countdown for an active raid
+function touchRaid(client, guild, settings) {
+    const raid = getGuildData(client, guild.id).autoRaid;
+    if (!raid) return;
+
+    raid.endsAt = Date.now() + settings.quietPeriod;
+    client.saveData();
+    armRaidTimer(client, guild, settings.quietPeriod);
+}
+
+// Re-arm the quiet-period timers of raids that were running when the bot stopped;
+// called once the client is ready. Raids whose quiet period already passed end right away.
+async function resumeRaids(client) {
+    for (const guild of client.guilds.cache.values()) {
+        const raid = getGuildData(client, guild.id).autoRaid;
+        if (!raid || raidTimers.has(guild.id)) continue;
+
+        const remaining = (raid.endsAt || 0) - Date.now();
+        if (remaining > 0) {
+            armRaidTimer(client, guild, remaining);
+        } else {
+            await endRaid(client, guild);
+        }
+    }
+}
+
+// Turn raid mode on because joins crossed the threshold
+async function startRaid(client, guild, burst, settings) {
+    const guildData = getGuildData(client, guild.id);
+    toggleRaidMode(guildData, true);
+    guildData.autoRaid = { startedAt: Date.now(), endsAt: null, kicked: [], verified: [], joins: burst.length };
+    client.saveData();
+    console.log(`🛡️ Raid detected in ${guild.name}: ${burst.length} joins in ${settings.timeWindow / 1000}s`);
+
+    await sendAlert(client, guild, settings, new EmbedBuilder()
+        .setTitle('🚨 Raid detected — raid mode enabled')
+        .setColor(0xed4245)
+        .setDescription(`${burst.length} members joined within ${ms(settings.timeWindow, { long: true })}. New members will be ${getRaidAction(client, guild) === 'verify' ? 'sent to verification' : 'kicked'} until joins calm down.`)
+        .setTimestamp());
+}
+
+// Switch raid mode by hand, from /raidmode or the admin API. The action only applies when enabling.
+async function setRaidMode(client, guild, { enabled, action = null, actor, reason }) {
+    const guildData = getGuildData(client, guild.id);
+    toggleRaidMode(guildData, enabled);
+    guildData.raidAction = enabled ? action : null;
+    client.saveData();
+
+    await logAction(client, guild, {
+        title: `🛡️ Raid mode ${enabled ? 'enabled' : 'disabled'}`,
+        actor,
+        reason,
+        fields: enabled && action ? [{ name: 'Action', value: action, inline: true }] : []
+    });
+}
+
+// Track a join and kick or quarantine it if raid mode is (or just became) active.
+// Resolves to true when raid mode dealt with the member.
+async function handleMemberAdd(client, member) {
+    const guild = member.guild;
+    const guildData = getGuildData(client, guild.id);
+    const settings = getGuildSettings(client, guild.id).antiRaid;
+    const now = Date.now();
+
+    if (settings.enabled) {
+        const joins = (recentJoins.get(guild.id) || []).filter(entry => now - entry.timestamp < settings.timeWindow);
+        joins.push({ id: member.id, username: member.user.username, timestamp: now, member });
+        recentJoins.set(guild.id, joins);
+
+        if (guildData.autoRaid) {
+            guildData.autoRaid.joins++;
+            touchRaid(client, guild, settings);
+        } else if (!guildData.raidMode && joins.length >= settings.joinThreshold) {
+            await startRaid(client, guild, joins, settings);
+            touchRaid(client, guild, settings);
+
+            // Catch the members that crossed the threshold but look suspicious
+            for (const entry of joins) {
+                if (entry.id === member.id) continue;
+                const { score, reasons } = scoreMember(entry.member, joins, settings, now);
+                if (score >= settings.kickScore) {
+                    await handleRaider(client, entry.member, `Raid detected: ${reasons.join(', ')}`);
+                }
+            }
+        }
+    }
+
+    if (guildData.raidMode) {
+        await handleRaider(client, member, 'Raid mode is active');
+        return true;
+    }
+    return false;
+}
+
+module.exports = {
+    similarity,
+    scoreMember,
+    getRaidAction,
+    joinedDuringRaid,
+    setRaidMode,
+    resumeRaids,
+    handleMemberAdd
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+const ms = require('ms');
+const { createCase } = require('./cases');
+const { getGuildSettings } = require('./guilds');
+const { logAction } = require('./auditlog');
+const metrics = require('./metrics');
+
+// Recent messages per guild member, keyed by `${guildId}:${userId}`
+const recentMessages = new Map();
+
+// Messages older than this can't be bulk deleted
+const BULK_DELETE_LIMIT = 14 * 24 * 60 * 60 * 1000;
+
+// Exemptions shared by anti-spam and automod: settings with exemptChannels and exemptRoles
+function isExempt(message, settings) {
+    if (settings.exemptChannels.includes(message.channel.id)) return true;
+    if (message.channel.parentId && settings.exemptChannels.includes(message.channel.parentId)) return true;
+    if (!message.member) return false;
+    return settings.exemptRoles.some(roleId => message.member.roles.cache.has(roleId));
+}
+
+// Compact record of a message kept in the sliding window
+function toEntry(message) {
+    return {
+        id: message.id,
+        channelId: message.channel.id,
+        timestamp: message.createdTimestamp,
+        content: message.content.trim().toLowerCase(),
+        mentions: message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0),
+        media: message.attachments.size + message.stickers.size
+    };
+}
+
+// Work out whether the latest entry pushes the window over a limit; returns a reason or null
+function detectSpam(history, latest, settings) {
+    if (history.length > settings.messageLimit) {
+        return `${history.length} messages in ${settings.timeWindow / 1000}s`;
+    }
+
+    if (latest.mentions >= settings.mentionLimit) {
+        return `${latest.mentions} mentions in one message`;
+    }
+
+    if (latest.content) {
+        const duplicates = history.filter(entry => entry.content === latest.content).length;
+        if (duplicates >= settings.duplicateLimit) {
+            return `${duplicates} duplicate messages`;
+        }
+    }
+
+    if (latest.media > 0) {
+        const withMedia = history.filter(entry => entry.media > 0).length;
+        if (withMedia >= settings.attachmentLimit) {
+            return `${withMedia} messages with attachments or stickers`;
+        }
+    }
+
+    return null;
+}
+
+// Delete every tracked message in the burst, one bulk delete per channel
+async function deleteBurst(guild, history) {
+    const byChannel = new Map();
+    const cutoff = Date.now() - BULK_DELETE_LIMIT;
+
+    for (const entry of history) {
+        if (entry.timestamp <= cutoff) continue;
+        if (!byChannel.has(entry.channelId)) byChannel.set(entry.channelId, []);
+        byChannel.get(entry.channelId).push(entry.id);
+    }
+
+    let deleted = 0;
+    for (const [channelId, ids] of byChannel) {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) continue;
+
+        try {
+            if (ids.length === 1) {
+                await channel.messages.delete(ids[0]);
+                deleted++;
+            } else {
+                const result = await channel.bulkDelete(ids, true);
+                deleted += result.size;
+            }
+        } catch (error) {
+            console.error('Error deleting spam messages:', error.message);
+        }
+    }
+
+    return deleted;
+}
+
+// Track a message and act on it if it completes a spam burst
+async function handleMessage(client, message) {
+    if (!message.guild) return;
+    const settings = getGuildSettings(client, message.guild.id).antiSpam;
+    if (!settings.enabled || isExempt(message, settings)) return;
+
+    const key = `${message.guild.id}:${message.author.id}`;
+    const now = Date.now();
+    const history = (recentMessages.get(key) || []).filter(entry => now - entry.timestamp < settings.timeWindow);
+    const latest = toEntry(message);
+    history.push(latest);
+    recentMessages.set(key, history);
+
+    const reason = detectSpam(history, latest, settings);
+    if (!reason) return;
+
+    // Reset so the rest of the burst doesn't trigger again
+    recentMessages.delete(key);
+
+    const deleted = await deleteBurst(message.guild, history);
+    metrics.increment('spamDeleted', '', deleted);
+    console.log(`🚫 Deleted ${deleted} spam message(s) from ${message.author.tag} (${reason})`);
+
+    if (!message.member || !message.member.moderatable) {
+        await logAction(client, message.guild, {
+            title: '🚫 Spam deleted',
+            actor: client.user,
+            target: `<@${message.author.id}> (${message.author.tag})`,
+            reason: `Anti-spam: ${reason}`,
+            fields: [{ name: 'Messages deleted', value: `${deleted}`, inline: true }]
+        });
+        return;
+    }
+
+    try {
+        await message.member.timeout(settings.muteTime, `Anti-spam: ${reason}`);
+        createCase(client, {
+            guild: message.guild,
+            action: 'mute',
+            target: message.author,
+            moderator: client.user,
+            reason: `Anti-spam: ${reason}`,
+            duration: ms(settings.muteTime),
+            channel: message.channel,
+            extra: { deleted }
+        });
+    } catch (error) {
+        console.error('Error muting spammer:', error.message);
+    }
+}
+
+module.exports = {
+    isExempt,
+    detectSpam,
+    handleMessage
+};
\ No newline at end of file
@@ -0,0 +1,287 @@
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    EmbedBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { hasCommandPermission, noPermissionReply } = require('../utils');
+const { createCase } = require('./cases');
+const { getGuildData, getGuildSettings } = require('./guilds');
+const { getLogChannel } = require('./auditlog');
+const { cancelTask } = require('./scheduler');
+
+// Custom IDs look like appeal:<action>:<guildId>:<userId>
+function customId(action, guildId, userId) {
+    return `appeal:${action}:${guildId}:${userId}`;
+}
+
+function getAppeals(client, guildId) {
+    const guildData = getGuildData(client, guildId);
+    if (!guildData.appeals) {
+        guildData.appeals = {};
+    }
+    return guildData.appeals;
+}
+
+// Staff channel that receives appeals: the appeal channel, falling back to the log channel
+function getReviewChannel(client, guild) {
+    const { appealChannel } = getGuildSettings(client, guild.id);
+    return (appealChannel && guild.channels.cache.get(appealChannel)) || getLogChannel(client, guild);
+}
+
+// DM a user who is about to be banned with a button to appeal, returning the DM (null if DMs are closed).
+// Must run before the ban, since the bot can't DM users it no longer shares a server with.
+async function sendAppealPrompt(client, guild, user, reason) {
+    getAppeals(client, guild.id)[user.id] = {
+        userId: user.id,
+        userTag: user.tag,
+        caseId: null,
+        status: 'open',
+        bannedAt: Date.now()
+    };
+    client.saveData();
+
+    const embed = new EmbedBuilder()
+        .setTitle(`You have been banned from ${guild.name}`)
+        .setColor(0xed4245)
+        .addFields({ name: 'Reason', value: reason.slice(0, 1024) })
+        .setDescription('If you believe this was a mistake, you can submit an appeal for the moderators to review.');
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId('open', guild.id, user.id))
+            .setLabel('Appeal ban')
+            .setStyle(ButtonStyle.Primary)
+    );
+
+    try {
+        return await user.send({ embeds: [embed], components: [row] });
+    } catch (error) {
+        // DMs may be closed
+        return null;
+    }
+}
+
+// Record the case number once the ban has gone through
+function attachCase(client, guildId, userId, caseId) {
+    const appeal = getAppeals(client, guildId)[userId];
+    if (!appeal) return;
+    appeal.caseId = caseId;
+    client.saveData();
+}
+
+// Forget the appeal opened for a ban that didn't go through, and correct the DM if one was sent
+async function discardAppeal(client, guild, userId, prompt) {
+    const appeals = getAppeals(client, guild.id);
+    if (appeals[userId]) {
+        delete appeals[userId];
+        client.saveData();
+    }
+
+    if (prompt) {
+        await prompt.edit({
+            content: `Your ban from **${guild.name}** did not go through, so there is nothing to appeal. Please ignore the previous message.`,
+            embeds: [],
+            components: []
+        }).catch(error => console.error('Error correcting appeal DM:', error.message));
+    }
+}
+
+function buildAppealModal(guildId, userId) {
+    return new ModalBuilder()
+        .setCustomId(customId('submit', guildId, userId))
+        .setTitle('Ban appeal')
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('reason')
+                    .setLabel('Why should you be unbanned?')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMinLength(20)
+                    .setMaxLength(1000)
+                    .setRequired(true)
+            )
+        );
+}
+
+function buildDenyModal(guildId, userId) {
+    return new ModalBuilder()
+        .setCustomId(customId('deny', guildId, userId))
+        .setTitle('Deny appeal')
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('reason')
+                    .setLabel('Reason (sent to the user)')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(1000)
+                    .setRequired(true)
+            )
+        );
+}
+
+function buildReviewEmbed(appeal) {
+    const colors = { pending: 0xfee75c, accepted: 0x57f287, denied: 0xed4245 };
+    const embed = new EmbedBuilder()
+        .setTitle(`Ban appeal • ${appeal.userTag}`)
+        .setColor(colors[appeal.status])
+        .addFields(
+            { name: 'User', value: `<@${appeal.userId}> (${appeal.userId})`, inline: true },
+            { name: 'Case', value: appeal.caseId ? `#${appeal.caseId}` : 'unknown', inline: true },
+            { name: 'Status', value: appeal.status, inline: true },
+            { name: 'Appeal', value: appeal.text }
+        )
+        .setTimestamp(appeal.submittedAt);
+
+    if (appeal.reviewerId) {
+        embed.addFields({ name: 'Reviewed by', value: `<@${appeal.reviewerId}>`, inline: true });
+    }
+    if (appeal.decisionReason) {
+        embed.addFields({ name: 'Decision reason', value: appeal.decisionReason });
+    }
+
+    return embed;
+}
+
+function buildReviewButtons(guildId, userId, disabled = false) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId('accept', guildId, userId))
+            .setLabel('Accept')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId(customId('denyprompt', guildId, userId))
+            .setLabel('Deny')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled)
+    );
+}
+
+async function notifyUser(client, userId, content) {
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send(content);
+    } catch (error) {
+        // DMs may be closed
+    }
+}
+
+// Post a submitted appeal to the staff review channel
+async function submitAppeal(interaction, guild, appeal) {
+    const channel = getReviewChannel(interaction.client, guild);
+    if (!channel) {
+        return await interaction.reply({
+            content: '❌ This server is not accepting appeals right now.',
+            ephemeral: true
+        });
+    }
+
+    appeal.status = 'pending';
+    appeal.text = interaction.fields.getTextInputValue('reason');
+    appeal.submittedAt = Date.now();
+
+    const message = await channel.send({
+        embeds: [buildReviewEmbed(appeal)],
+        components: [buildReviewButtons(guild.id, appeal.userId)]
+    });
+    appeal.reviewChannelId = channel.id;
+    appeal.reviewMessageId = message.id;
+    interaction.client.saveData();
+
+    await interaction.reply({ content: `✅ Your appeal has been sent to the moderators of **${guild.name}**.` });
+}
+
+// Close the appeal, update the review message and tell the user
+async function decideAppeal(interaction, guild, appeal, status, decisionReason) {
+    appeal.status = status;
+    appeal.reviewerId = interaction.user.id;
+    appeal.decisionReason = decisionReason || null;
+    appeal.decidedAt = Date.now();
+    interaction.client.saveData();
+
+    const update = {
+        embeds: [buildReviewEmbed(appeal)],
+        components: [buildReviewButtons(guild.id, appeal.userId, true)]
+    };
+    if (interaction.isButton()) {
+        await interaction.update(update);
+    } else {
+        await interaction.message.edit(update);
+        await interaction.reply({ content: `✅ Appeal from **${appeal.userTag}** denied.`, ephemeral: true });
+    }
+
+    await notifyUser(interaction.client, appeal.userId, status === 'accepted'
+        ? `✅ Your ban appeal for **${guild.name}** was accepted. You have been unbanned and may rejoin.`
+        : `❌ Your ban appeal for **${guild.name}** was denied.\n**Reason:** ${decisionReason}`);
+}
+
+// Buttons and modals with an appeal: custom ID
+async function handleComponent(interaction) {
+    const [, action, guildId, userId] = interaction.customId.split(':');
+    const client = interaction.client;
+    const guild = client.guilds.cache.get(guildId);
+    const appeal = guild ? getAppeals(client, guildId)[userId] : null;
+
+    if (!guild || !appeal) {
+        return await interaction.reply({ content: '❌ This appeal is no longer available.', ephemeral: true });
+    }
+
+    // Steps taken by the banned user from their DMs
+    if (action === 'open' || action === 'submit') {
+        if (interaction.user.id !== userId) return;
+        if (appeal.status !== 'open') {
+            return await interaction.reply({ content: '❌ You have already appealed this ban.', ephemeral: true });
+        }
+        if (action === 'open') {
+            return await interaction.showModal(buildAppealModal(guildId, userId));
+        }
+        return await submitAppeal(interaction, guild, appeal);
+    }
+
+    // Steps taken by moderators in the review channel; deciding an appeal needs /ban access
+    if (!hasCommandPermission(interaction.member, 'ban')) {
+        return await interaction.reply(noPermissionReply());
+    }
+    if (appeal.status !== 'pending') {
+        return await interaction.reply({ content: `❌ This appeal has already been ${appeal.status}.`, ephemeral: true });
+    }
+
+    if (action === 'denyprompt') {
+        return await interaction.showModal(buildDenyModal(guildId, userId));
+    }
+
+    if (action === 'deny') {
+        const reason = interaction.fields.getTextInputValue('reason');
+        return await decideAppeal(interaction, guild, appeal, 'denied', reason);
+    }
+
+    if (action === 'accept') {
+        try {
+            await guild.members.unban(userId, `Ban appeal accepted by ${interaction.user.tag}`);
+        } catch (error) {
+            return await interaction.reply({ content: `❌ Failed to unban **${appeal.userTag}**. ${error.message}`, ephemeral: true });
+        }
+        // A temporary ban has nothing left to lift
+        cancelTask(client, 'unban', guildId, userId);
+
+        createCase(client, {
+            guild,
+            action: 'unban',
+            target: { id: userId, tag: appeal.userTag },
+            moderator: interaction.user,
+            reason: `Ban appeal accepted${appeal.caseId ? ` (Case #${appeal.caseId})` : ''}`
+        });
+        return await decideAppeal(interaction, guild, appeal, 'accepted');
+    }
+}
+
+module.exports = {
+    sendAppealPrompt,
+    attachCase,
+    discardAppeal,
+    handleComponent
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+const { EmbedBuilder } = require('discord.js');
+const { getGuildSettings } = require('./guilds');
+
+const COLORS = {
+    action: 0x5865f2,
+    edit: 0xfee75c,
+    delete: 0xed4245,
+    join: 0x57f287,
+    leave: 0xe67e22,
+    roles: 0x9b59b6
+};
+
+// Cut text to fit an embed, marking the cut. Field values are capped at 1024 characters.
+function truncate(text, length = 1024) {
+    if (!text) return '*empty*';
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// The guild's configured log channel, if it still exists
+function getLogChannel(client, guild) {
+    const { logChannel } = getGuildSettings(client, guild.id);
+    if (!logChannel) return null;
+    return guild.channels.cache.get(logChannel) || null;
+}
+
+// Post embeds to the log channel; resolves to the sent message or null
+async function sendLog(client, guild, embeds) {
+    const channel = getLogChannel(client, guild);
+    if (!channel) return null;
+
+    try {
+        return await channel.send({ embeds: Array.isArray(embeds) ? embeds : [embeds] });
+    } catch (error) {
+        console.error('Error sending to log channel:', error.message);
+        return null;
+    }
+}
+
+// Log a command or automatic action that doesn't create a case (locks, slowmode, settings)
+async function logAction(client, guild, { title, actor, target, reason, fields = [] }) {
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(COLORS.action)
+        .addFields({ name: 'Moderator', value: `<@${actor.id}> (${actor.tag})`, inline: true })
+        .setTimestamp();
+
+    if (target) embed.addFields({ name: 'Target', value: target, inline: true });
+    if (reason) embed.addFields({ name: 'Reason', value: truncate(reason) });
+    if (fields.length) embed.addFields(fields);
+
+    return sendLog(client, guild, embed);
+}
+
+async function logMessageEdit(client, oldMessage, newMessage) {
+    if (!newMessage.guild || !newMessage.author || newMessage.author.bot) return;
+    if (oldMessage.content === newMessage.content) return;
+
+    await sendLog(client, newMessage.guild, new EmbedBuilder()
+        .setTitle('✏️ Message edited')
+        .setColor(COLORS.edit)
+        .setDescription(`<@${newMessage.author.id}> in <#${newMessage.channelId}> • [Jump](${newMessage.url})`)
+        .addFields(
+            { name: 'Before', value: oldMessage.partial ? '*not cached*' : truncate(oldMessage.content) },
+            { name: 'After', value: truncate(newMessage.content) }
+        )
+        .setFooter({ text: `User ID: ${newMessage.author.id}` })
+        .setTimestamp());
+}
+
+async function logMessageDelete(client, message) {
+    if (!message.guild || (message.author && message.author.bot)) return;
+
+    const author = message.author ? `<@${message.author.id}>` : 'Unknown author';
+    const embed = new EmbedBuilder()
+        .setTitle('🗑️ Message deleted')
+        .setColor(COLORS.delete)
+        .setDescription(`${author} in <#${message.channelId}>`)
+        .addFields({ name: 'Content', value: message.partial ? '*not cached*' : truncate(message.content) })
+        .setFooter({ text: `Message ID: ${message.id}` })
+        .setTimestamp();
+
+    if (message.attachments && message.attachments.size) {
+        embed.addFields({ name: 'Attachments', value: truncate(message.attachments.map(a => a.name).join(', ')) });
+    }
+
+    await sendLog(client, message.guild, embed);
+}
+
+async function logBulkDelete(client, messages, channel) {
+    if (!channel.guild) return;
+
+    await sendLog(client, channel.guild, new EmbedBuilder()
+        .setTitle('🗑️ Messages bulk deleted')
+        .setColor(COLORS.delete)
+        .setDescription(`**${messages.size}** message(s) deleted in <#${channel.id}>`)
+        .setTimestamp());
+}
+
+async function logMemberJoin(client, member) {
+    await sendLog(client, member.guild, new EmbedBuilder()
+        .setTitle('📥 Member joined')
+        .setColor(COLORS.join)
+        .setThumbnail(member.user.displayAvatarURL())
+        .setDescription(`<@${member.id}> (${member.user.tag})`)
+        .addFields({ name: 'Account created', value: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`, inline: true })
+        .setFooter({ text: `User ID: ${member.id}` })
+        .setTimestamp());
+}
+
+async function logMemberLeave(client, member) {
+    const roles = member.roles && member.roles.cache
+        ? member.roles.cache.filter(role => role.id !== member.guild.id).map(role => `<@&${role.id}>`).join(', ')
+        : '';
+
+    await sendLog(client, member.guild, new EmbedBuilder()
+        .setTitle('📤 Member left')
+        .setColor(COLORS.leave)
+        .setDescription(`<@${member.id}> (${member.user.tag})`)
+        .addFields({ name: 'Roles', value: truncate(roles || 'none') })
+        .setFooter({ text: `User ID: ${member.id}` })
+        .setTimestamp());
+}
+
+async function logRoleChange(client, oldMember, newMember) {
+    if (oldMember.partial) return;
+
+    const added = newMember.roles.cache.filter(role => !oldMember.roles.cache.has(role.id));
+    const removed = oldMember.roles.cache.filter(role => !newMember.roles.cache.has(role.id));
+    if (added.size === 0 && removed.size === 0) return;
+
+    const embed = new EmbedBuilder()
+        .setTitle('🎭 Roles updated')
+        .setColor(COLORS.roles)
+        .setDescription(`<@${newMember.id}> (${newMember.user.tag})`)
+        .setFooter({ text: `User ID: ${newMember.id}` })
+        .setTimestamp();
+
+    if (added.size) embed.addFields({ name: 'Added', value: truncate(added.map(role => `<@&${role.id}>`).join(', ')) });
+    if (removed.size) embed.addFields({ name: 'Removed', value: truncate(removed.map(role => `<@&${role.id}>`).join(', ')) });
+
+    await sendLog(client, newMember.guild, embed);
+}
+
+module.exports = {
+    truncate,
+    getLogChannel,
+    sendLog,
+    logAction,
+    logMessageEdit,
+    logMessageDelete,
+    logBulkDelete,
+    logMemberJoin,
+    logMemberLeave,
+    logRoleChange
+};
\ No newline at end of file
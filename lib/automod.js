@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const ms = require('ms');
+const { hasModPermission } = require('../utils');
+const { createCase } = require('./cases');
+const { getGuildSettings } = require('./guilds');
+const { logAction } = require('./auditlog');
+const { isExempt } = require('./antispam');
+const { getActiveWarnings, escalate } = require('./warnings');
+const { getDataDir } = require('./storage');
+const { compilePattern, testPattern } = require('./patterns');
+
+// Actions a filter or rule can take, mildest first. Every action also deletes the message.
+const ACTIONS = ['delete', 'warn', 'timeout', 'kick', 'ban'];
+
+// Timeout used when a filter or rule doesn't set its own duration
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+
+// The bundled list ships with the bot; the local list in DATA_DIR is for additions
+const BUNDLED_PHISHING_FILE = path.join(__dirname, '..', 'phishing-domains.txt');
+const LOCAL_PHISHING_FILE = 'phishing-domains.local.txt';
+
+// How often the phishing lists are checked for changes
+const PHISHING_RELOAD_INTERVAL = 60 * 1000;
+
+// How long a resolved invite is remembered
+const INVITE_CACHE_TIME = 60 * 60 * 1000;
+
+const INVITE_PATTERN = /(?:discord(?:app)?\.com\/invite|discord\.gg|dsc\.gg)\/([\w-]+)/gi;
+const URL_PATTERN = /https?:\/\/([^\s/?#<>]+)/gi;
+
+const LEET = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't'
+};
+
+const phishing = { domains: new Set(), stamp: null, checkedAt: 0 };
+const inviteCache = new Map();
+const ruleCache = new Map();
+
+// Undo leetspeak in one word. Only words with letters in them are touched, and only short digit runs,
+// so "h3ll0" becomes "hello" while "2024" and "Bob2024" keep their numbers.
+function undoLeet(word) {
+    if (!/[a-z]/.test(word)) return word;
+    return word
+        .replace(/(?<![0-9])[0-9]{1,2}(?![0-9])/g, digits => [...digits].map(char => LEET[char]).join(''))
+        // Symbols only stand in for letters inside a word, so "bad!" stays "bad"
+        .replace(/[@$!|+](?=[a-z0-9])/g, char => LEET[char]);
+}
+
+// Lowercase, strip accents and zero-width characters, and optionally undo leetspeak
+function normalizeText(text, leet = true) {
+    let normalized = text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f\u200b-\u200d\u2060\ufeff]/g, '')
+        .toLowerCase();
+
+    if (leet) {
+        normalized = normalized.split(/(\s+)/).map(undoLeet).join('');
+    }
+
+    return normalized
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Squeeze runs of three or more of the same character down to `keep`, so a stretched "baaaad"
+// reads as "bad" (keep 1) and "asssss" as "ass" (keep 2). Doubled letters in ordinary words stay.
+function squeezeRuns(text, keep) {
+    return text.replace(/(.)\1{2,}/g, run => run[0].repeat(keep));
+}
+
+// Banned words or phrases found in the text, matched on whole words
+function findBannedWords(text, words) {
+    const bases = [normalizeText(text, false), normalizeText(text)];
+    const variants = [...new Set(bases.flatMap(base => [base, squeezeRuns(base, 1), squeezeRuns(base, 2)]))]
+        .map(variant => ` ${variant} `);
+    return words.filter(word => {
+        const needle = ` ${normalizeText(word)} `;
+        return needle.trim() && variants.some(variant => variant.includes(needle));
+    });
+}
+
+function readDomainList(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// Bundled plus local phishing domains, re-read when either file changes
+function getPhishingDomains() {
+    const now = Date.now();
+    if (now - phishing.checkedAt < PHISHING_RELOAD_INTERVAL) return phishing.domains;
+    phishing.checkedAt = now;
+
+    const files = [BUNDLED_PHISHING_FILE, path.join(getDataDir(), LOCAL_PHISHING_FILE)];
+    const stamp = files.map(file => (fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0)).join(':');
+    if (stamp !== phishing.stamp) {
+        phishing.domains = new Set(files.flatMap(readDomainList));
+        phishing.stamp = stamp;
+        console.log(`🎣 Loaded ${phishing.domains.size} phishing domain(s)`);
+    }
+
+    return phishing.domains;
+}
+
+// Phishing domains linked in the text, including subdomains of listed domains
+function findPhishingDomains(text) {
+    const domains = getPhishingDomains();
+    const found = new Set();
+
+    for (const [, authority] of text.matchAll(URL_PATTERN)) {
+        const host = authority.split('@').pop().split(':')[0].toLowerCase().replace(/\.$/, '');
+        const parts = host.split('.');
+        for (let i = 0; i < parts.length - 1; i++) {
+            const candidate = parts.slice(i).join('.');
+            if (domains.has(candidate)) found.add(candidate);
+        }
+    }
+
+    return [...found];
+}
+
+// Guild an invite code points to, or null if it can't be resolved
+async function resolveInviteGuild(client, code) {
+    const cached = inviteCache.get(code);
+    if (cached && cached.expiresAt > Date.now()) return cached.guildId;
+
+    const invite = await client.fetchInvite(code).catch(() => null);
+    const guildId = invite && invite.guild ? invite.guild.id : null;
+    inviteCache.set(code, { guildId, expiresAt: Date.now() + INVITE_CACHE_TIME });
+    return guildId;
+}
+
+// Invite codes in the text that lead anywhere other than this guild
+async function findForeignInvites(client, guild, text) {
+    const codes = [...new Set([...text.matchAll(INVITE_PATTERN)].map(match => match[1]))];
+    const foreign = [];
+
+    for (const code of codes) {
+        if (code === guild.vanityURLCode) continue;
+        if (await resolveInviteGuild(client, code) !== guild.id) foreign.push(code);
+    }
+
+    return foreign;
+}
+
+// Compile a custom rule's pattern, throwing on an invalid or unsafe regex
+function compileRule(pattern) {
+    if (!ruleCache.has(pattern)) {
+        ruleCache.set(pattern, compilePattern(pattern));
+    }
+    return ruleCache.get(pattern);
+}
+
+// Everything in the text that breaks a filter or rule, as { filter, reason, action, duration }
+async function findViolations(client, guild, text, settings) {
+    const violations = [];
+
+    if (settings.phishing.enabled) {
+        const domains = findPhishingDomains(text);
+        if (domains.length) {
+            violations.push({ filter: 'phishing', reason: `phishing link (${domains.join(', ')})`, ...settings.phishing });
+        }
+    }
+
+    if (settings.invites.enabled) {
+        const invites = await findForeignInvites(client, guild, text);
+        if (invites.length) {
+            violations.push({ filter: 'invites', reason: `invite to another server (${invites.join(', ')})`, ...settings.invites });
+        }
+    }
+
+    if (settings.words.enabled && settings.bannedWords.length) {
+        const words = findBannedWords(text, settings.bannedWords);
+        if (words.length) {
+            violations.push({ filter: 'words', reason: `banned word (${words.map(word => `"${word}"`).join(', ')})`, ...settings.words });
+        }
+    }
+
+    for (const rule of settings.rules) {
+        try {
+            if (testPattern(compileRule(rule.pattern), text)) {
+                violations.push({ filter: 'rule', reason: `matched rule "${rule.name}"`, action: rule.action, duration: rule.duration });
+            }
+        } catch (error) {
+            console.error(`Skipping invalid automod rule ${rule.name}:`, error.message);
+        }
+    }
+
+    return violations;
+}
+
+// The violation with the harshest action
+function pickViolation(violations) {
+    return violations.reduce((worst, violation) =>
+        (ACTIONS.indexOf(violation.action) > ACTIONS.indexOf(worst.action) ? violation : worst));
+}
+
+// Punish the author; falls back to logging the deletion when the action isn't possible
+async function applyAction(client, message, violation) {
+    const { guild, member, author } = message;
+    const reason = `Automod: ${violation.reason}`;
+    const caseOptions = { guild, target: author, moderator: client.user, reason, channel: message.channel };
+
+    try {
+        if (violation.action === 'warn') {
+            createCase(client, { ...caseOptions, action: 'warn' });
+            await author.send(`⚠️ You have been warned in **${guild.name}**.\n**Reason:** ${reason}`).catch(() => null);
+            await escalate(client, guild, author, getActiveWarnings(client, guild.id, author.id).length);
+            return;
+        }
+        if (violation.action === 'timeout' && member && member.moderatable) {
+            const duration = violation.duration || DEFAULT_TIMEOUT;
+            await member.timeout(duration, reason);
+            createCase(client, { ...caseOptions, action: 'mute', duration: ms(duration) });
+            return;
+        }
+        if (violation.action === 'kick' && member && member.kickable) {
+            await member.kick(reason);
+            createCase(client, { ...caseOptions, action: 'kick' });
+            return;
+        }
+        if (violation.action === 'ban' && (!member || member.bannable)) {
+            await guild.members.ban(author, { reason });
+            createCase(client, { ...caseOptions, action: 'ban' });
+            return;
+        }
+    } catch (error) {
+        console.error(`Error applying automod ${violation.action}:`, error.message);
+    }
+
+    await logAction(client, guild, {
+        title: '🧹 Automod: message deleted',
+        actor: client.user,
+        target: `<@${author.id}> (${author.tag})`,
+        reason,
+        fields: [
+            { name: 'Channel', value: `<#${message.channel.id}>`, inline: true },
+            { name: 'Content', value: message.content.slice(0, 1024) }
+        ]
+    });
+}
+
+// Check a new or edited message; resolves to true if automod removed it
+async function handleMessage(client, message) {
+    if (!message.guild || !message.content || message.author.bot) return false;
+    const settings = getGuildSettings(client, message.guild.id).automod;
+    if (!settings.enabled || isExempt(message, settings)) return false;
+    if (message.member && hasModPermission(message.member)) return false;
+
+    const violations = await findViolations(client, message.guild, message.content, settings);
+    if (!violations.length) return false;
+
+    const violation = pickViolation(violations);
+    await message.delete().catch(error => console.error('Error deleting automod message:', error.message));
+    console.log(`🧹 Automod removed a message from ${message.author.tag} (${violation.reason})`);
+
+    await applyAction(client, message, violation);
+    return true;
+}
+
+// Edits are checked like new messages, so filtered content can't be edited in afterwards
+async function handleEdit(client, oldMessage, newMessage) {
+    if (newMessage.partial) {
+        newMessage = await newMessage.fetch().catch(() => null);
+        if (!newMessage) return false;
+    }
+    if (!oldMessage.partial && oldMessage.content === newMessage.content) return false;
+
+    return handleMessage(client, newMessage);
+}
+
+module.exports = {
+    ACTIONS,
+    normalizeText,
+    findBannedWords,
+    findPhishingDomains,
+    compileRule,
+    findViolations,
+    pickViolation,
+    handleMessage,
+    handleEdit
+};
\ No newline at end of file
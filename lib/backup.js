@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const { ChannelType, OverwriteType } = require('discord.js');
+const config = require('../config.json');
+const { getDataDir } = require('./storage');
+
+// Bump when the snapshot layout changes; restore refuses versions it doesn't know
+const SNAPSHOT_VERSION = 1;
+
+// Folders under DATA_DIR
+const BACKUP_DIR = 'backups';
+const ARCHIVE_DIR = 'archives';
+
+// Channel types a snapshot can recreate. Threads come and go and are left out.
+const RESTORABLE_TYPES = [
+    ChannelType.GuildCategory,
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildVoice,
+    ChannelType.GuildStageVoice,
+    ChannelType.GuildForum
+];
+
+// Channel types whose messages can be captured
+const TEXT_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+function guildDir(folder, guildId) {
+    return path.join(getDataDir(), folder, guildId);
+}
+
+// Write to a temp file and rename it into place, like the JSON storage backend
+function writeFileAtomic(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, contents);
+    fs.renameSync(tempFile, file);
+}
+
+function serializeMessage(message) {
+    return {
+        id: message.id,
+        authorId: message.author.id,
+        authorTag: message.author.tag,
+        content: message.content,
+        createdAt: message.createdTimestamp,
+        attachments: message.attachments.map(attachment => attachment.url)
+    };
+}
+
+function serializeRole(role) {
+    return {
+        id: role.id,
+        name: role.name,
+        color: role.color,
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        permissions: role.permissions.bitfield.toString(),
+        position: role.position,
+        managed: role.managed,
+        everyone: role.id === role.guild.id
+    };
+}
+
+function serializeChannel(channel) {
+    return {
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        parentId: channel.parentId,
+        position: channel.rawPosition,
+        topic: channel.topic || null,
+        nsfw: Boolean(channel.nsfw),
+        rateLimitPerUser: channel.rateLimitPerUser || 0,
+        bitrate: channel.bitrate || null,
+        userLimit: channel.userLimit || null,
+        overwrites: channel.permissionOverwrites.cache.map(overwrite => ({
+            id: overwrite.id,
+            type: overwrite.type,
+            allow: overwrite.allow.bitfield.toString(),
+            deny: overwrite.deny.bitfield.toString()
+        }))
+    };
+}
+
+// Last `limit` messages of a text channel, oldest first
+async function fetchRecentMessages(channel, limit) {
+    const messages = [];
+    let before;
+
+    while (messages.length < limit) {
+        const fetched = await channel.messages.fetch({ limit: Math.min(100, limit - messages.length), ...(before ? { before } : {}) });
+        if (fetched.size === 0) break;
+        messages.push(...fetched.map(serializeMessage));
+        before = fetched.last().id;
+        if (fetched.size < 100) break;
+    }
+
+    return messages.reverse();
+}
+
+// Capture roles, channels and overwrites, plus recent messages if asked, and save the snapshot
+async function createBackup(guild, moderator, { messages = false } = {}) {
+    const roles = await guild.roles.fetch();
+    const channels = await guild.channels.fetch();
+    const createdAt = Date.now();
+
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        id: `${createdAt}`,
+        guildId: guild.id,
+        guildName: guild.name,
+        createdAt,
+        createdBy: { id: moderator.id, tag: moderator.tag },
+        roles: roles.map(serializeRole),
+        channels: channels.filter(channel => channel && RESTORABLE_TYPES.includes(channel.type)).map(serializeChannel),
+        messages: null
+    };
+
+    if (messages) {
+        snapshot.messages = {};
+        for (const channel of channels.values()) {
+            if (!channel || !TEXT_TYPES.includes(channel.type) || !channel.viewable) continue;
+            snapshot.messages[channel.id] = await fetchRecentMessages(channel, config.backup.messageLimit)
+                .catch(() => []);
+        }
+    }
+
+    writeFileAtomic(path.join(guildDir(BACKUP_DIR, guild.id), `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+    pruneBackups(guild.id);
+    return snapshot;
+}
+
+// Newest first, without loading the snapshots
+function listBackups(guildId) {
+    const dir = guildDir(BACKUP_DIR, guildId);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => {
+            const stats = fs.statSync(path.join(dir, file));
+            return { id: file.replace('.json', ''), createdAt: Number(file.replace('.json', '')), size: stats.size };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Autocomplete choices for a guild's backups, newest first
+function backupChoices(guildId, focused) {
+    return listBackups(guildId)
+        .map(backup => ({
+            name: `${new Date(backup.createdAt).toISOString().replace('T', ' ').slice(0, 16)} UTC (${Math.ceil(backup.size / 1024)} KB)`,
+            value: backup.id
+        }))
+        .filter(choice => choice.name.includes(focused) || choice.value.includes(focused))
+        .slice(0, 25);
+}
+
+function loadBackup(guildId, id) {
+    if (!/^\d+$/.test(id)) return null;
+    const file = path.join(guildDir(BACKUP_DIR, guildId), `${id}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Backup ${id} was made by a newer version of the bot (format v${snapshot.version}).`);
+    }
+    return snapshot;
+}
+
+function deleteBackup(guildId, id) {
+    if (!/^\d+$/.test(id)) return false;
+    const file = path.join(guildDir(BACKUP_DIR, guildId), `${id}.json`);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+}
+
+// Keep only the newest `backup.keep` snapshots per guild
+function pruneBackups(guildId) {
+    for (const backup of listBackups(guildId).slice(config.backup.keep)) {
+        deleteBackup(guildId, backup.id);
+    }
+}
+
+// Overwrites from a snapshot with role IDs mapped to recreated roles. Overwrites for
+// roles that no longer exist are dropped; member overwrites are kept as they are.
+function mapOverwrites(guild, overwrites, roleIds) {
+    return overwrites
+        .map(overwrite => ({ ...overwrite, id: roleIds.get(overwrite.id) || overwrite.id }))
+        .filter(overwrite => overwrite.type === OverwriteType.Member || guild.roles.cache.has(overwrite.id))
+        .map(overwrite => ({
+            id: overwrite.id,
+            type: overwrite.type,
+            allow: BigInt(overwrite.allow),
+            deny: BigInt(overwrite.deny)
+        }));
+}
+
+function overwritesMatch(channel, overwrites) {
+    const current = channel.permissionOverwrites.cache;
+    return current.size === overwrites.length && overwrites.every(overwrite => {
+        const existing = current.get(overwrite.id);
+        return existing && existing.allow.bitfield === overwrite.allow && existing.deny.bitfield === overwrite.deny;
+    });
+}
+
+// Recreate missing roles and channels and reapply channel overwrites from a snapshot.
+// Existing roles and channels are matched by ID and never deleted. With dryRun, only counts.
+async function restoreBackup(guild, snapshot, { roles = true, channels = true, overwrites = true, dryRun = false } = {}) {
+    const reason = `Restore from backup ${snapshot.id}`;
+    const report = { rolesCreated: [], channelsCreated: [], overwritesUpdated: [], failed: [] };
+
+    await guild.roles.fetch();
+    await guild.channels.fetch();
+
+    // Old role ID -> ID of the role that replaces it
+    const roleIds = new Map();
+    // Old channel ID -> ID of the channel that replaces it
+    const channelIds = new Map();
+    // Channels made by this restore, which already got their overwrites on creation
+    const createdChannels = new Set();
+
+    // A role or channel missing by ID may already have been recreated by an earlier restore;
+    // reuse one with the same name that isn't itself part of the snapshot
+    const savedRoleIds = new Set(snapshot.roles.map(role => role.id));
+    for (const role of snapshot.roles) {
+        if (guild.roles.cache.has(role.id)) continue;
+        const match = guild.roles.cache.find(existing => existing.name === role.name && !savedRoleIds.has(existing.id));
+        if (match) roleIds.set(role.id, match.id);
+    }
+    const savedChannelIds = new Set(snapshot.channels.map(channel => channel.id));
+    for (const channel of snapshot.channels) {
+        if (guild.channels.cache.has(channel.id)) continue;
+        const match = guild.channels.cache.find(existing =>
+            existing.name === channel.name && existing.type === channel.type && !savedChannelIds.has(existing.id));
+        if (match) channelIds.set(channel.id, match.id);
+    }
+
+    if (roles) {
+        const missing = snapshot.roles
+            .filter(role => !role.everyone && !role.managed && !guild.roles.cache.has(role.id) && !roleIds.has(role.id))
+            .sort((a, b) => a.position - b.position);
+
+        for (const role of missing) {
+            if (dryRun) {
+                report.rolesCreated.push(role.name);
+                continue;
+            }
+            try {
+                const created = await guild.roles.create({
+                    name: role.name,
+                    color: role.color,
+                    hoist: role.hoist,
+                    mentionable: role.mentionable,
+                    permissions: BigInt(role.permissions),
+                    reason
+                });
+                roleIds.set(role.id, created.id);
+                report.rolesCreated.push(role.name);
+            } catch (error) {
+                report.failed.push(`role ${role.name}: ${error.message}`);
+            }
+        }
+    }
+
+    if (channels) {
+        // Categories first so recreated channels can be put back under them
+        const missing = snapshot.channels
+            .filter(channel => !guild.channels.cache.has(channel.id) && !channelIds.has(channel.id))
+            .sort((a, b) => (b.type === ChannelType.GuildCategory) - (a.type === ChannelType.GuildCategory) || a.position - b.position);
+
+        for (const channel of missing) {
+            if (dryRun) {
+                report.channelsCreated.push(channel.name);
+                continue;
+            }
+            try {
+                const parent = channel.parentId ? channelIds.get(channel.parentId) || channel.parentId : null;
+                const created = await guild.channels.create({
+                    name: channel.name,
+                    type: channel.type,
+                    parent: parent && guild.channels.cache.has(parent) ? parent : null,
+                    topic: channel.topic || undefined,
+                    nsfw: channel.nsfw,
+                    rateLimitPerUser: channel.rateLimitPerUser || undefined,
+                    bitrate: channel.bitrate || undefined,
+                    userLimit: channel.userLimit || undefined,
+                    permissionOverwrites: mapOverwrites(guild, channel.overwrites, roleIds),
+                    reason
+                });
+                channelIds.set(channel.id, created.id);
+                createdChannels.add(created.id);
+                report.channelsCreated.push(channel.name);
+            } catch (error) {
+                report.failed.push(`channel #${channel.name}: ${error.message}`);
+            }
+        }
+    }
+
+    if (overwrites) {
+        for (const saved of snapshot.channels) {
+            const channel = guild.channels.cache.get(channelIds.get(saved.id) || saved.id);
+            if (!channel || createdChannels.has(channel.id)) continue;
+
+            const mapped = mapOverwrites(guild, saved.overwrites, roleIds);
+            if (overwritesMatch(channel, mapped)) continue;
+
+            if (dryRun) {
+                report.overwritesUpdated.push(channel.name);
+                continue;
+            }
+            try {
+                await channel.permissionOverwrites.set(mapped, reason);
+                report.overwritesUpdated.push(channel.name);
+            } catch (error) {
+                report.failed.push(`overwrites for #${channel.name}: ${error.message}`);
+            }
+        }
+    }
+
+    return report;
+}
+
+// Save every message in a channel to a JSON Lines file, oldest last, before it gets cleared.
+// Each batch is appended as it's fetched so a crash part way through still leaves a usable file.
+async function archiveChannelMessages(channel) {
+    const file = path.join(guildDir(ARCHIVE_DIR, channel.guild.id), `${channel.id}-${Date.now()}.jsonl`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ version: SNAPSHOT_VERSION, channelId: channel.id, channelName: channel.name, archivedAt: Date.now() })}\n`);
+
+    let count = 0;
+    let before;
+    while (true) {
+        const fetched = await channel.messages.fetch({ limit: 100, ...(before ? { before } : {}) });
+        if (fetched.size === 0) break;
+
+        fs.appendFileSync(file, `${fetched.map(message => JSON.stringify(serializeMessage(message))).join('\n')}\n`);
+        count += fetched.size;
+        before = fetched.last().id;
+        if (fetched.size < 100) break;
+    }
+
+    return { file, count };
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    guildDir,
+    writeFileAtomic,
+    createBackup,
+    listBackups,
+    backupChoices,
+    loadBackup,
+    deleteBackup,
+    restoreBackup,
+    archiveChannelMessages
+};
\ No newline at end of file
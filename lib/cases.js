@@ -0,0 +1,176 @@
+const { EmbedBuilder } = require('discord.js');
+const { sendLog, truncate } = require('./auditlog');
+const { nextGuildId } = require('./guilds');
+
+// Embed colours per moderation action
+const ACTION_COLORS = {
+    ban: 0xed4245,
+    unban: 0x57f287,
+    kick: 0xe67e22,
+    mute: 0xfee75c,
+    unmute: 0x57f287,
+    purge: 0x5865f2,
+    clear: 0x5865f2,
+    warn: 0xf1c40f,
+    pardon: 0x57f287,
+    massban: 0xed4245,
+    masskick: 0xe67e22,
+    massunban: 0x57f287,
+    antinuke: 0xed4245
+};
+
+const CASES_PER_PAGE = 10;
+
+// Reason text shown per line in listings, so a page of cases fits an embed description (4096)
+const LINE_LENGTH = 300;
+
+// Record a moderation action and return the new case
+function createCase(client, { guild, action, target, moderator, reason, duration, channel, extra }) {
+    const entry = {
+        id: nextGuildId(client.cases, guild.id),
+        guildId: guild.id,
+        action,
+        targetId: target ? target.id : null,
+        targetTag: target ? target.tag : null,
+        moderatorId: moderator.id,
+        moderatorTag: moderator.tag,
+        reason: reason || 'No reason provided',
+        duration: duration || null,
+        channelId: channel ? channel.id : null,
+        timestamp: Date.now()
+    };
+
+    if (extra) entry.extra = extra;
+
+    client.cases.list.push(entry);
+    client.saveCases();
+    logCase(client, guild, entry);
+    return entry;
+}
+
+// Post the case to the guild's log channel and keep a link to the log message
+async function logCase(client, guild, entry) {
+    const message = await sendLog(client, guild, buildCaseEmbed(entry));
+    if (!message) return;
+
+    entry.logUrl = message.url;
+    client.saveCases();
+}
+
+// Look up a single case within a guild
+function getCase(client, guildId, caseId) {
+    return client.cases.list.find(entry => entry.guildId === guildId && entry.id === caseId) || null;
+}
+
+// Whether a case acted on a user, directly or as part of a mass action
+function involvesUser(entry, userId) {
+    return entry.targetId === userId || Boolean(entry.extra && entry.extra.userIds && entry.extra.userIds.includes(userId));
+}
+
+// All cases in a guild, newest first, optionally filtered
+function getCases(client, guildId, { targetId, moderatorId, action } = {}) {
+    return client.cases.list
+        .filter(entry => entry.guildId === guildId)
+        .filter(entry => !targetId || involvesUser(entry, targetId))
+        .filter(entry => !moderatorId || entry.moderatorId === moderatorId)
+        .filter(entry => !action || entry.action === action)
+        .reverse();
+}
+
+// Change the reason on an existing case, keeping the previous one for reference
+function updateCaseReason(client, guildId, caseId, reason, editor) {
+    const entry = getCase(client, guildId, caseId);
+    if (!entry) return null;
+
+    entry.previousReason = entry.reason;
+    entry.reason = reason;
+    entry.editedBy = editor.id;
+    entry.editedAt = Date.now();
+    client.saveCases();
+    return entry;
+}
+
+// Slice a list of cases into a page (1-based)
+function paginate(cases, page) {
+    const totalPages = Math.max(1, Math.ceil(cases.length / CASES_PER_PAGE));
+    const current = Math.min(Math.max(page || 1, 1), totalPages);
+    const start = (current - 1) * CASES_PER_PAGE;
+
+    return {
+        items: cases.slice(start, start + CASES_PER_PAGE),
+        page: current,
+        totalPages
+    };
+}
+
+// One-line summary used in history and modlog listings
+function formatCaseLine(entry) {
+    let target = entry.targetId ? `<@${entry.targetId}>` : `<#${entry.channelId}>`;
+    if (!entry.targetId && entry.extra && entry.extra.count !== undefined) {
+        target = `${entry.extra.count} member(s)`;
+    }
+    const duration = entry.duration ? ` (${entry.duration})` : '';
+    return `**#${entry.id}** ${entry.action.toUpperCase()}${duration} • ${target} by <@${entry.moderatorId}> • <t:${Math.floor(entry.timestamp / 1000)}:R>\n└ ${truncate(entry.reason, LINE_LENGTH)}`;
+}
+
+// Full embed for a single case
+function buildCaseEmbed(entry) {
+    const embed = new EmbedBuilder()
+        .setTitle(`Case #${entry.id} • ${entry.action.toUpperCase()}`)
+        .setColor(ACTION_COLORS[entry.action] || 0x99aab5)
+        .addFields(
+            { name: 'Moderator', value: `<@${entry.moderatorId}> (${entry.moderatorTag})`, inline: true },
+            { name: 'Reason', value: truncate(entry.reason) }
+        )
+        .setTimestamp(entry.timestamp);
+
+    if (entry.targetId) {
+        embed.spliceFields(0, 0, { name: 'Target', value: `<@${entry.targetId}> (${entry.targetTag})`, inline: true });
+    }
+    if (entry.duration) {
+        embed.addFields({ name: 'Duration', value: entry.duration, inline: true });
+    }
+    if (entry.channelId) {
+        embed.addFields({ name: 'Channel', value: `<#${entry.channelId}>`, inline: true });
+    }
+    if (entry.extra && entry.extra.count !== undefined) {
+        embed.addFields({ name: 'Members', value: `${entry.extra.count} (${entry.extra.failed} failed)`, inline: true });
+    }
+    if (entry.extra && entry.extra.criteria) {
+        embed.addFields({ name: 'Criteria', value: entry.extra.criteria });
+    }
+    if (entry.extra && entry.extra.deleted !== undefined) {
+        embed.addFields({ name: 'Messages deleted', value: `${entry.extra.deleted}`, inline: true });
+    }
+    if (entry.logUrl) {
+        embed.addFields({ name: 'Log', value: `[Jump to log entry](${entry.logUrl})`, inline: true });
+    }
+    if (entry.editedBy) {
+        embed.setFooter({ text: truncate(`Reason edited • previously: ${entry.previousReason}`, 2048) });
+    }
+
+    return embed;
+}
+
+// Paged listing embed shared by /history and /modlog
+function buildCaseListEmbed(title, cases, page) {
+    const result = paginate(cases, page);
+
+    return new EmbedBuilder()
+        .setTitle(title)
+        .setColor(0x5865f2)
+        .setDescription(result.items.length ? result.items.map(formatCaseLine).join('\n\n') : 'No cases found.')
+        .setFooter({ text: `Page ${result.page}/${result.totalPages} • ${cases.length} case(s)` });
+}
+
+module.exports = {
+    CASES_PER_PAGE,
+    createCase,
+    getCase,
+    getCases,
+    updateCaseReason,
+    paginate,
+    formatCaseLine,
+    buildCaseEmbed,
+    buildCaseListEmbed
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { REST, Routes } = require('discord.js');
+const config = require('../config.json');
+
+const COMMANDS_DIR = path.join(__dirname, '..', 'commands');
+const CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// Command files under commands/, including subdirectories
+function listCommandFiles(dir = COMMANDS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir).flatMap(file => {
+        const filePath = path.join(dir, file);
+        if (fs.statSync(filePath).isDirectory()) return listCommandFiles(filePath);
+        return file.endsWith('.js') ? [filePath] : [];
+    });
+}
+
+// Require a command file, or throw if it isn't a command module
+function requireCommand(filePath) {
+    const command = require(filePath);
+    if (!('data' in command && 'execute' in command)) {
+        throw new Error('missing data or execute export');
+    }
+    return command;
+}
+
+// Load every command at startup, remembering each file's modification time for /reload
+function loadCommands(client) {
+    client.commandFiles = new Map();
+
+    for (const filePath of listCommandFiles()) {
+        try {
+            const command = requireCommand(filePath);
+            client.commands.set(command.data.name, command);
+            client.commandFiles.set(filePath, { name: command.data.name, mtimeMs: fs.statSync(filePath).mtimeMs });
+            console.log(`✓ Loaded command: ${command.data.name}`);
+        } catch (error) {
+            console.error(`✗ Error loading command ${path.basename(filePath)}:`, error.message);
+        }
+    }
+}
+
+// Re-require command files that were added, changed or removed since they were last loaded.
+// A file that fails to load keeps its previous version.
+function reloadCommands(client) {
+    const result = { added: [], updated: [], removed: [], failed: [] };
+    const files = listCommandFiles();
+
+    for (const filePath of files) {
+        const mtimeMs = fs.statSync(filePath).mtimeMs;
+        const known = client.commandFiles.get(filePath);
+        if (known && known.mtimeMs === mtimeMs) continue;
+
+        const cached = require.cache[require.resolve(filePath)];
+        delete require.cache[require.resolve(filePath)];
+        try {
+            const command = requireCommand(filePath);
+            if (known && known.name !== command.data.name) client.commands.delete(known.name);
+            client.commands.set(command.data.name, command);
+            client.commandFiles.set(filePath, { name: command.data.name, mtimeMs });
+            (known ? result.updated : result.added).push(command.data.name);
+        } catch (error) {
+            if (cached) require.cache[require.resolve(filePath)] = cached;
+            result.failed.push(`${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    for (const [filePath, known] of client.commandFiles) {
+        if (files.includes(filePath)) continue;
+        delete require.cache[require.resolve(filePath)];
+        client.commands.delete(known.name);
+        client.commandFiles.delete(filePath);
+        result.removed.push(known.name);
+    }
+
+    return result;
+}
+
+// Re-read config.json into the object every module already holds, so no require cache games are needed
+function reloadConfig() {
+    const fresh = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    for (const key of Object.keys(config)) delete config[key];
+    Object.assign(config, fresh);
+}
+
+// Guild-scoped registration in development (instant), global otherwise (can take up to an hour)
+function getCommandsRoute() {
+    if (process.env.NODE_ENV === 'development' && process.env.GUILD_ID) {
+        return { route: Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID), scope: `guild ${process.env.GUILD_ID}` };
+    }
+    return { route: Routes.applicationCommands(process.env.CLIENT_ID), scope: 'global' };
+}
+
+function hashCommands(commands) {
+    return crypto.createHash('sha256').update(JSON.stringify(commands)).digest('hex');
+}
+
+// Register the loaded commands with Discord. The last deployed hash per scope is kept in its own
+// "deployments" document, so nothing is sent when the command JSON hasn't changed (unless forced).
+// It's read fresh each time because deploy.js writes it from a separate process.
+async function deployCommands(client, { force = false } = {}) {
+    const commands = [...client.commands.values()]
+        .map(command => command.data.toJSON())
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const { route, scope } = getCommandsRoute();
+    const hash = hashCommands(commands);
+
+    if (!force && (client.storage.load('deployments') || {})[scope] === hash) {
+        console.log(`⏭️ Commands unchanged, skipping ${scope} deployment.`);
+        return { deployed: false, scope, count: commands.length };
+    }
+
+    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN || process.env.SECURITY_BOT_TOKEN);
+    console.log(`🔄 Started refreshing ${commands.length} ${scope} application (/) commands.`);
+
+    const data = await rest.put(route, { body: commands });
+    const deployments = client.storage.load('deployments') || {};
+    deployments[scope] = hash;
+    client.storage.save('deployments', deployments);
+
+    console.log(`✅ Successfully deployed ${data.length} ${scope} application (/) commands.`);
+    return { deployed: true, scope, count: data.length };
+}
+
+module.exports = {
+    listCommandFiles,
+    requireCommand,
+    loadCommands,
+    reloadCommands,
+    reloadConfig,
+    getCommandsRoute,
+    deployCommands
+};
\ No newline at end of file
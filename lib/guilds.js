@@ -0,0 +1,258 @@
+const ms = require('ms');
+const config = require('../config.json');
+
+// Settings a guild can change with /config, and how to parse the value
+const SETTINGS = {
+    'appealChannel': 'channel',
+    'antiSpam.enabled': 'boolean',
+    'antiSpam.messageLimit': 'integer',
+    'antiSpam.timeWindow': 'duration',
+    'antiSpam.muteTime': 'duration',
+    'antiSpam.duplicateLimit': 'integer',
+    'antiSpam.mentionLimit': 'integer',
+    'antiSpam.attachmentLimit': 'integer',
+    'antiRaid.enabled': 'boolean',
+    'antiRaid.joinThreshold': 'integer',
+    'antiRaid.timeWindow': 'duration',
+    'antiRaid.quietPeriod': 'duration',
+    'antiRaid.kickScore': 'integer',
+    'antiRaid.minAccountAge': 'durationString',
+    'antiRaid.nameSimilarity': 'ratio',
+    'antiRaid.alertChannel': 'channel',
+    'antiRaid.action': ['kick', 'verify'],
+    'verification.enabled': 'boolean',
+    'verification.role': 'role',
+    'verification.channel': 'channel',
+    'verification.timeLimit': 'duration',
+    'verification.mode': ['button', 'captcha'],
+    'tickets.mode': ['channel', 'thread'],
+    'tickets.category': 'channel',
+    'tickets.logChannel': 'channel',
+    'tickets.limit': 'integer',
+    'antiNuke.enabled': 'boolean',
+    'antiNuke.timeWindow': 'duration',
+    'antiNuke.channelDelete': 'integer',
+    'antiNuke.roleDelete': 'integer',
+    'antiNuke.ban': 'integer',
+    'antiNuke.kick': 'integer',
+    'antiNuke.webhookCreate': 'integer',
+    'antiNuke.revert': 'boolean',
+    'antiNuke.quarantineRole': 'role',
+    'antiNuke.alertChannel': 'channel',
+    'voiceHop.enabled': 'boolean',
+    'voiceHop.joinLimit': 'integer',
+    'voiceHop.timeWindow': 'duration',
+    'voiceHop.action': ['disconnect', 'timeout'],
+    'voiceHop.muteTime': 'duration',
+    'sanitizer.enabled': 'boolean',
+    'sanitizer.hoisting': 'boolean',
+    'sanitizer.unicode': 'boolean',
+    'sanitizer.impersonation': 'boolean',
+    'sanitizer.similarity': 'ratio',
+    'sanitizer.action': ['rename', 'flag', 'timeout', 'kick'],
+    'sanitizer.muteTime': 'duration',
+    'sanitizer.fallbackName': 'nickname'
+};
+
+// Defaults every guild starts from; config.json supplies the thresholds
+function defaultSettings() {
+    return {
+        modRoles: [],
+        logChannel: null,
+        lockdownAllowlist: [],
+        appealChannel: null,
+        permissions: {},
+        antiSpam: { ...config.security.antiSpam },
+        antiRaid: { action: 'kick', ...config.security.antiRaid },
+        automod: { ...config.security.automod },
+        antiNuke: { trusted: [], ...config.security.antiNuke },
+        voiceHop: { ...config.security.voiceHop },
+        sanitizer: { ...config.security.sanitizer },
+        verification: {
+            enabled: false,
+            role: null,
+            channel: null,
+            timeLimit: 10 * 60 * 1000,
+            mode: 'button'
+        },
+        tickets: {
+            mode: 'channel',
+            category: null,
+            logChannel: null,
+            limit: 1
+        }
+    };
+}
+
+// Stored state for a guild, created on first use
+function getGuildData(client, guildId) {
+    if (!client.data.guilds) {
+        client.data.guilds = {};
+    }
+    if (!client.data.guilds[guildId]) {
+        client.data.guilds[guildId] = {
+            settings: {},
+            raidMode: false,
+            lockedChannels: {}
+        };
+    }
+    return client.data.guilds[guildId];
+}
+
+// Effective settings: defaults overlaid with the guild's own overrides, section by section
+function getGuildSettings(client, guildId) {
+    const defaults = defaultSettings();
+    const overrides = getGuildData(client, guildId).settings;
+    const settings = { ...defaults, ...overrides };
+
+    for (const [key, value] of Object.entries(defaults)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            settings[key] = { ...value, ...overrides[key] };
+        }
+    }
+
+    return settings;
+}
+
+// Read a setting by its dotted path
+function getSettingValue(settings, key) {
+    return key.split('.').reduce((value, part) => (value ? value[part] : undefined), settings);
+}
+
+// Store a guild override at a dotted path such as "antiSpam.messageLimit"
+function setGuildSetting(client, guildId, key, value) {
+    const settings = getGuildData(client, guildId).settings;
+    const parts = key.split('.');
+    const last = parts.pop();
+
+    let target = settings;
+    for (const part of parts) {
+        if (!target[part]) target[part] = {};
+        target = target[part];
+    }
+
+    if (value === undefined) {
+        delete target[last];
+    } else {
+        target[last] = value;
+    }
+    client.saveData();
+}
+
+// Parse a /config value for a setting, throwing on invalid input
+function parseSettingValue(key, raw) {
+    const type = SETTINGS[key];
+    const value = raw.trim();
+
+    // A list of allowed values
+    if (Array.isArray(type)) {
+        if (!type.includes(value.toLowerCase())) throw new Error(`Expected one of: ${type.join(', ')}.`);
+        return value.toLowerCase();
+    }
+
+    switch (type) {
+    case 'boolean':
+        if (['true', 'on', 'yes', 'enable', 'enabled'].includes(value.toLowerCase())) return true;
+        if (['false', 'off', 'no', 'disable', 'disabled'].includes(value.toLowerCase())) return false;
+        throw new Error('Expected true or false.');
+    case 'integer': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) throw new Error('Expected a whole number above 0.');
+        return number;
+    }
+    case 'ratio': {
+        const number = Number(value);
+        if (Number.isNaN(number) || number < 0 || number > 1) throw new Error('Expected a number between 0 and 1.');
+        return number;
+    }
+    case 'duration': {
+        const time = ms(value);
+        if (!time || time <= 0) throw new Error('Expected a duration like 10s, 5m or 1h.');
+        return time;
+    }
+    case 'durationString': {
+        const time = ms(value);
+        if (!time || time <= 0) throw new Error('Expected a duration like 1d or 7d.');
+        return value;
+    }
+    case 'nickname':
+        if (!value || value.length > 32) throw new Error('Expected a name of 1 to 32 characters.');
+        return value;
+    case 'channel': {
+        if (['none', 'off'].includes(value.toLowerCase())) return null;
+        const match = value.match(/^(?:<#)?(\d{17,20})>?$/);
+        if (!match) throw new Error('Expected a channel mention or ID.');
+        return match[1];
+    }
+    case 'role': {
+        if (['none', 'off'].includes(value.toLowerCase())) return null;
+        const match = value.match(/^(?:<@&)?(\d{17,20})>?$/);
+        if (!match) throw new Error('Expected a role mention or ID.');
+        return match[1];
+    }
+    default:
+        throw new Error(`Unknown setting: ${key}`);
+    }
+}
+
+// Move pre-guild data.json content (global raidMode/lockedChannels) into the guilds it belongs to
+function migrateLegacyData(client, legacyModRoles) {
+    const data = client.data;
+    if (!('raidMode' in data) && !('lockedChannels' in data)) return;
+
+    // Locked channels map to their guild exactly; everything else goes to the default guild
+    const lockedChannels = data.lockedChannels || {};
+    const defaultGuild = client.guilds.cache.get(process.env.GUILD_ID)
+        || client.guilds.cache.find(guild => legacyModRoles.some(roleId => guild.roles.cache.has(roleId)))
+        || (client.guilds.cache.size === 1 ? client.guilds.cache.first() : null);
+
+    for (const [channelId, lock] of Object.entries(lockedChannels)) {
+        const guild = client.guilds.cache.find(g => g.channels.cache.has(channelId)) || defaultGuild;
+        if (guild) {
+            getGuildData(client, guild.id).lockedChannels[channelId] = lock;
+        }
+    }
+
+    // Keep the legacy keys until a default guild can be found
+    if (!defaultGuild) {
+        console.log('⚠️ Could not determine the default guild for data.json migration. Set GUILD_ID to choose one.');
+        return;
+    }
+
+    const guildData = getGuildData(client, defaultGuild.id);
+    guildData.raidMode = Boolean(data.raidMode);
+    if (!guildData.settings.modRoles) {
+        guildData.settings.modRoles = legacyModRoles.filter(roleId => defaultGuild.roles.cache.has(roleId));
+    }
+    console.log(`📦 Migrated data.json into guild ${defaultGuild.name}`);
+
+    delete data.raidMode;
+    delete data.lockedChannels;
+    client.saveData();
+}
+
+// Next number for a guild in a store with a `list` (cases, tickets, notes), so every server
+// counts from #1. A guild without a counter yet, e.g. from a file written when one number was
+// shared by all servers, carries on after its highest existing number.
+function nextGuildId(store, guildId) {
+    if (!store.nextIds) {
+        store.nextIds = {};
+    }
+    const id = store.nextIds[guildId] ?? store.list
+        .filter(entry => entry.guildId === guildId)
+        .reduce((highest, entry) => Math.max(highest, entry.id), 0) + 1;
+    store.nextIds[guildId] = id + 1;
+    return id;
+}
+
+module.exports = {
+    SETTINGS,
+    defaultSettings,
+    getGuildData,
+    getGuildSettings,
+    getSettingValue,
+    setGuildSetting,
+    parseSettingValue,
+    nextGuildId,
+    migrateLegacyData
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { getGuildData, getGuildSettings } = require('./guilds');
+
+// Channel types a server-wide lockdown covers
+const SERVER_LOCK_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.GuildMedia
+];
+
+// Added to a server-wide lockdown with `voice`
+const VOICE_LOCK_TYPES = [
+    ChannelType.GuildVoice,
+    ChannelType.GuildStageVoice
+];
+
+// Permissions denied to @everyone while a channel is locked
+function getLockPermissions(channel) {
+    switch (channel.type) {
+    case ChannelType.GuildVoice:
+        return { Connect: false, Speak: false, SendMessages: false };
+    case ChannelType.GuildStageVoice:
+        return { Connect: false, Speak: false, RequestToSpeak: false, SendMessages: false };
+    case ChannelType.GuildForum:
+    case ChannelType.GuildMedia:
+        return { SendMessages: false, SendMessagesInThreads: false };
+    default:
+        return {
+            SendMessages: false,
+            SendMessagesInThreads: false,
+            CreatePublicThreads: false,
+            CreatePrivateThreads: false
+        };
+    }
+}
+
+// Turn stored allow/deny bitfields into edit() options that reproduce them exactly
+function toOverwriteOptions(allow, deny) {
+    const options = {};
+    for (const [name, bit] of Object.entries(PermissionFlagsBits)) {
+        if ((allow & bit) === bit) options[name] = true;
+        else if ((deny & bit) === bit) options[name] = false;
+        else options[name] = null;
+    }
+    return options;
+}
+
+// Lock a channel (or thread), remembering exactly what it looked like before
+async function lockChannel(client, channel) {
+    const { lockedChannels } = getGuildData(client, channel.guild.id);
+
+    // Threads and forum posts have no overwrites of their own, so lock the thread itself
+    if (channel.isThread()) {
+        if (!lockedChannels[channel.id]) {
+            lockedChannels[channel.id] = {
+                thread: true,
+                wasLocked: channel.locked,
+                lockedAt: Date.now()
+            };
+            client.saveData();
+        }
+        await channel.setLocked(true);
+        return;
+    }
+
+    const everyoneRole = channel.guild.roles.everyone;
+    const original = channel.permissionOverwrites.cache.get(everyoneRole.id);
+
+    // Save to JSON
+    if (!lockedChannels[channel.id]) {
+        lockedChannels[channel.id] = {
+            overwrite: original
+                ? { allow: original.allow.bitfield.toString(), deny: original.deny.bitfield.toString() }
+                : null,
+            lockedAt: Date.now()
+        };
+        client.saveData();
+    }
+
+    await channel.permissionOverwrites.edit(everyoneRole, getLockPermissions(channel));
+}
+
+// Put a channel back exactly as it was before lockChannel
+async function unlockChannel(client, channel) {
+    const { lockedChannels } = getGuildData(client, channel.guild.id);
+    const lock = lockedChannels[channel.id];
+    const everyoneRole = channel.guild.roles.everyone;
+
+    if (channel.isThread()) {
+        await channel.setLocked(lock ? lock.wasLocked : false);
+    } else if (!lock || !('overwrite' in lock)) {
+        // Unknown or pre-upgrade lock: only lift what the old lockdown set
+        await channel.permissionOverwrites.edit(everyoneRole, {
+            SendMessages: null
+        });
+    } else if (lock.overwrite) {
+        await channel.permissionOverwrites.edit(
+            everyoneRole,
+            toOverwriteOptions(BigInt(lock.overwrite.allow), BigInt(lock.overwrite.deny))
+        );
+    } else {
+        await channel.permissionOverwrites.delete(everyoneRole);
+    }
+
+    // Remove from JSON storage
+    if (lock) {
+        delete lockedChannels[channel.id];
+        client.saveData();
+    }
+}
+
+// Channels a server-wide lockdown would touch, minus the guild's allowlist
+function getServerLockChannels(client, guild, { voice = false } = {}) {
+    const { lockdownAllowlist } = getGuildSettings(client, guild.id);
+    const types = voice ? [...SERVER_LOCK_TYPES, ...VOICE_LOCK_TYPES] : SERVER_LOCK_TYPES;
+
+    return guild.channels.cache.filter(channel =>
+        types.includes(channel.type)
+        && !lockdownAllowlist.includes(channel.id)
+        && !(channel.parentId && lockdownAllowlist.includes(channel.parentId)));
+}
+
+// Run lockChannel/unlockChannel over many channels, reporting progress as it goes
+async function runBulk(channels, action, onProgress) {
+    const result = { done: 0, failed: [] };
+    let processed = 0;
+
+    for (const channel of channels) {
+        try {
+            await action(channel);
+            result.done++;
+        } catch (error) {
+            result.failed.push({ channel, error: error.message });
+        }
+
+        processed++;
+        if (onProgress && (processed % 5 === 0 || processed === channels.length)) {
+            await onProgress(processed, channels.length);
+        }
+    }
+
+    return result;
+}
+
+// Lock every text channel (and voice channel with `voice`) in the guild except the allowlist
+async function lockServer(client, guild, onProgress, { voice = false } = {}) {
+    const channels = [...getServerLockChannels(client, guild, { voice }).values()];
+    const result = await runBulk(channels, channel => lockChannel(client, channel), onProgress);
+    return { ...result, channels };
+}
+
+// Restore every channel the bot has locked in the guild
+async function unlockServer(client, guild, onProgress) {
+    const { lockedChannels } = getGuildData(client, guild.id);
+    const channels = [];
+
+    for (const channelId of Object.keys(lockedChannels)) {
+        const channel = await guild.channels.fetch(channelId).catch(() => null);
+        if (channel) {
+            channels.push(channel);
+        } else {
+            // Channel is gone; nothing left to restore
+            delete lockedChannels[channelId];
+        }
+    }
+    client.saveData();
+
+    const result = await runBulk(channels, channel => unlockChannel(client, channel), onProgress);
+    return { ...result, channels };
+}
+
+module.exports = {
+    getLockPermissions,
+    toOverwriteOptions,
+    lockChannel,
+    unlockChannel,
+    getServerLockChannels,
+    lockServer,
+    unlockServer
+};
\ No newline at end of file
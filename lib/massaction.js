@@ -0,0 +1,410 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const ms = require('ms');
+const { hasCommandPermission, hasModPermission, checkHierarchy, noPermissionReply } = require('../utils');
+const { createCase, getCase } = require('./cases');
+const { truncate } = require('./auditlog');
+const { compilePattern, testPattern } = require('./patterns');
+
+// Most members one mass action can target
+const MAX_TARGETS = 1000;
+const MAX_FILE_SIZE = 256 * 1024;
+
+// Discord bans up to 200 users per bulk ban request; kicks, unbans and bans without
+// the bulk ban permissions go one at a time
+const BAN_BATCH_SIZE = 200;
+const BATCH_SIZE = 10;
+const BATCH_DELAY = 1000;
+
+// Previews must be confirmed within this time
+const CONFIRM_TIMEOUT = 5 * 60 * 1000;
+
+// IDs on their own or inside mentions
+const ID_PATTERN = /\d{17,20}/g;
+
+const VERBS = {
+    ban: { label: 'ban', past: 'banned', emoji: '🔨' },
+    kick: { label: 'kick', past: 'kicked', emoji: '👢' }
+};
+
+// Previews waiting for confirmation, keyed by the ID of the command interaction
+const pendingRuns = new Map();
+
+function sleep(time) {
+    return new Promise(resolve => setTimeout(resolve, time));
+}
+
+// Target options shared by /massban and /masskick
+function addTargetOptions(builder) {
+    return builder
+        .addStringOption(option =>
+            option.setName('ids')
+                .setDescription('User IDs or mentions, separated by spaces, commas or new lines')
+                .setRequired(false))
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('Text file of user IDs')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('joined')
+                .setDescription('Members who joined within this window (e.g. 10m, 2h)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('pattern')
+                .setDescription('Regex matched against usernames and display names')
+                .setRequired(false)
+                .setMaxLength(200))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Reason for the action')
+                .setRequired(false));
+}
+
+function parseIds(text) {
+    return [...new Set(text.match(ID_PATTERN) || [])];
+}
+
+async function readIdFile(attachment) {
+    if (attachment.size > MAX_FILE_SIZE) {
+        throw new Error(`The file is larger than ${MAX_FILE_SIZE / 1024} KB.`);
+    }
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+        throw new Error(`Could not download the file (HTTP ${response.status}).`);
+    }
+    return parseIds(await response.text());
+}
+
+// Read and validate the target options; throws with a user-facing message
+async function parseCriteria(interaction) {
+    const ids = parseIds(interaction.options.getString('ids') || '');
+    const file = interaction.options.getAttachment('file');
+    if (file) ids.push(...(await readIdFile(file)).filter(id => !ids.includes(id)));
+
+    const joined = interaction.options.getString('joined');
+    const joinedWithin = joined ? ms(joined) : null;
+    if (joined && (!joinedWithin || joinedWithin <= 0)) {
+        throw new Error('Invalid join window. Use a duration like 10m or 2h.');
+    }
+
+    const rawPattern = interaction.options.getString('pattern');
+    let pattern = null;
+    if (rawPattern) {
+        try {
+            pattern = compilePattern(rawPattern);
+        } catch (error) {
+            throw new Error(`Invalid pattern. ${error.message}`);
+        }
+    }
+
+    if (!ids.length && !joinedWithin && !pattern) {
+        throw new Error('Give at least one of: ids, file, joined or pattern.');
+    }
+
+    return { ids, joinedWithin, pattern };
+}
+
+function describeCriteria({ ids, joinedWithin, pattern }) {
+    const parts = [];
+    if (ids.length) parts.push(`${ids.length} listed ID(s)`);
+    if (joinedWithin) parts.push(`joined in the last ${ms(joinedWithin, { long: true })}`);
+    if (pattern) parts.push(`name matches \`/${pattern.source}/i\``);
+    return parts.join(', ');
+}
+
+function matchesPattern(member, pattern) {
+    return [member.user.username, member.user.globalName, member.displayName]
+        .some(name => name && testPattern(pattern, name));
+}
+
+// Members fetched by ID in chunks of 100 (the gateway limit per request)
+async function fetchMembers(guild, ids) {
+    const members = new Map();
+    for (let i = 0; i < ids.length; i += 100) {
+        const fetched = await guild.members.fetch({ user: ids.slice(i, i + 100) }).catch(() => null);
+        if (fetched) fetched.forEach(member => members.set(member.id, member));
+    }
+    return members;
+}
+
+// Work out who a mass action would hit. Members found by join time and name pattern must match
+// both; listed IDs are always included. Staff, the moderator, the bot and anyone the hierarchy
+// protects are skipped, as are users not in the server for kicks.
+async function resolveTargets(interaction, action, criteria) {
+    const { guild, member: moderator, client } = interaction;
+    const candidates = new Map();
+
+    if (criteria.joinedWithin || criteria.pattern) {
+        const since = criteria.joinedWithin ? Date.now() - criteria.joinedWithin : 0;
+        const members = await guild.members.fetch();
+        for (const member of members.values()) {
+            if (member.joinedTimestamp < since) continue;
+            if (criteria.pattern && !matchesPattern(member, criteria.pattern)) continue;
+            candidates.set(member.id, member);
+        }
+    }
+
+    const listed = criteria.ids.filter(id => !candidates.has(id));
+    const listedMembers = await fetchMembers(guild, listed);
+    for (const id of listed) {
+        candidates.set(id, listedMembers.get(id) || null);
+    }
+
+    const targets = [];
+    const skipped = new Map();
+    const skip = reason => skipped.set(reason, (skipped.get(reason) || 0) + 1);
+
+    for (const [id, member] of candidates) {
+        if (id === moderator.id) skip('yourself');
+        else if (id === client.user.id) skip('the bot');
+        else if (!member && action === 'kick') skip('not in the server');
+        else if (member && hasModPermission(member)) skip('staff');
+        else if (member && checkHierarchy(moderator, member)) skip('role too high');
+        else if (targets.length >= MAX_TARGETS) skip(`over the ${MAX_TARGETS} member limit`);
+        else targets.push({ id, tag: member ? member.user.tag : null });
+    }
+
+    return { targets, skipped: [...skipped] };
+}
+
+function formatTargets(targets, limit = 20) {
+    const lines = targets.slice(0, limit).map(target => `<@${target.id}>${target.tag ? ` (${target.tag})` : ''}`);
+    if (targets.length > limit) lines.push(`…and ${targets.length - limit} more`);
+    return lines.join('\n') || 'Nobody';
+}
+
+function buildButtons(id) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`mass:confirm:${id}`)
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+            .setCustomId(`mass:cancel:${id}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+}
+
+// Dry run: work out the targets and show them with Confirm and Cancel buttons
+async function previewMassAction(interaction, action, extra = {}) {
+    await interaction.deferReply({ ephemeral: true });
+
+    let criteria;
+    try {
+        criteria = await parseCriteria(interaction);
+    } catch (error) {
+        return await interaction.editReply(`❌ ${error.message}`);
+    }
+
+    const { targets, skipped } = await resolveTargets(interaction, action, criteria);
+    const verb = VERBS[action];
+    const reason = interaction.options.getString('reason') || 'No reason provided';
+
+    const embed = new EmbedBuilder()
+        .setTitle(`${verb.emoji} Mass ${verb.label} preview`)
+        .setColor(0xed4245)
+        .setDescription(`**${targets.length}** member(s) will be ${verb.past}.\n\n${formatTargets(targets)}`)
+        .addFields(
+            { name: 'Criteria', value: describeCriteria(criteria) },
+            { name: 'Reason', value: truncate(reason) }
+        )
+        .setFooter({ text: 'Nothing has been done yet. Confirm within 5 minutes.' });
+
+    if (skipped.length) {
+        embed.addFields({ name: 'Skipped', value: skipped.map(([why, count]) => `${why}: ${count}`).join('\n') });
+    }
+
+    if (!targets.length) {
+        return await interaction.editReply({ embeds: [embed.setFooter({ text: 'Nothing to do.' })] });
+    }
+
+    pendingRuns.set(interaction.id, {
+        action,
+        guildId: interaction.guild.id,
+        moderatorId: interaction.user.id,
+        targets,
+        reason,
+        criteria: describeCriteria(criteria),
+        expiresAt: Date.now() + CONFIRM_TIMEOUT,
+        ...extra
+    });
+    setTimeout(() => pendingRuns.delete(interaction.id), CONFIRM_TIMEOUT);
+
+    await interaction.editReply({ embeds: [embed], components: [buildButtons(interaction.id)] });
+}
+
+// Ban or kick the targets in batches, posting progress after each batch
+async function executeRun(interaction, run) {
+    const guild = interaction.guild;
+    const verb = VERBS[run.action];
+    const batchSize = run.action === 'ban' ? BAN_BATCH_SIZE : BATCH_SIZE;
+    const done = [];
+    const failed = [];
+    const startedAt = Date.now();
+
+    for (let i = 0; i < run.targets.length; i += batchSize) {
+        const batch = run.targets.slice(i, i + batchSize).map(target => target.id);
+
+        if (run.action === 'ban') {
+            const options = { reason: run.reason, deleteMessageSeconds: run.deleteMessageSeconds };
+            try {
+                const result = await guild.bans.bulkCreate(batch, options);
+                done.push(...result.bannedUsers);
+                failed.push(...result.failedUsers);
+            } catch (error) {
+                // Bulk bans also need Manage Server; fall back to banning one by one
+                console.error('Error bulk banning, banning individually:', error.message);
+                for (const id of batch) {
+                    try {
+                        await guild.members.ban(id, options);
+                        done.push(id);
+                    } catch (banError) {
+                        failed.push(id);
+                    }
+                }
+            }
+        } else {
+            for (const id of batch) {
+                try {
+                    await guild.members.kick(id, run.reason);
+                    done.push(id);
+                } catch (error) {
+                    failed.push(id);
+                }
+            }
+        }
+
+        await interaction.editReply({
+            content: `⏳ ${verb.past[0].toUpperCase()}${verb.past.slice(1)} ${done.length + failed.length}/${run.targets.length}…`,
+            embeds: [],
+            components: []
+        }).catch(() => null);
+
+        if (i + batchSize < run.targets.length) await sleep(BATCH_DELAY);
+    }
+
+    const entry = createCase(interaction.client, {
+        guild,
+        action: `mass${run.action}`,
+        target: null,
+        moderator: interaction.user,
+        reason: run.reason,
+        channel: interaction.channel,
+        extra: { count: done.length, failed: failed.length, criteria: run.criteria, userIds: done }
+    });
+    console.log(`${verb.emoji} Mass ${verb.label} by ${interaction.user.tag}: ${done.length} ${verb.past}, ${failed.length} failed`);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`${verb.emoji} Mass ${verb.label} complete`)
+        .setColor(0x57f287)
+        .setDescription(`**${done.length}** member(s) ${verb.past}, **${failed.length}** failed.`)
+        .addFields(
+            { name: 'Case', value: `#${entry.id}`, inline: true },
+            { name: 'Took', value: ms(Date.now() - startedAt, { long: true }), inline: true },
+            { name: 'Criteria', value: run.criteria }
+        );
+
+    if (failed.length) {
+        embed.addFields({ name: 'Failed', value: formatTargets(failed.map(id => ({ id })), 10) });
+    }
+
+    const components = run.action === 'ban' && done.length
+        ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`mass:undo:${entry.id}`)
+                .setLabel('Undo (unban all)')
+                .setStyle(ButtonStyle.Secondary))]
+        : [];
+
+    await interaction.editReply({ content: '', embeds: [embed], components }).catch(() => null);
+}
+
+// Unban everyone banned by a mass ban case, in batches with progress
+async function undoMassBan(interaction, caseId) {
+    const client = interaction.client;
+    const entry = getCase(client, interaction.guild.id, caseId);
+
+    if (!entry || entry.action !== 'massban') {
+        return await interaction.editReply({ content: `❌ Case #${caseId} is not a mass ban.`, embeds: [], components: [] });
+    }
+    if (entry.extra.undone) {
+        return await interaction.editReply({ content: `❌ Mass ban #${caseId} has already been undone.`, embeds: [], components: [] });
+    }
+
+    // Mark first so a second click can't start another undo
+    entry.extra.undone = true;
+    client.saveCases();
+
+    const userIds = entry.extra.userIds;
+    let unbanned = 0;
+    let failed = 0;
+
+    for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+        for (const id of userIds.slice(i, i + BATCH_SIZE)) {
+            try {
+                await interaction.guild.members.unban(id, `Undo mass ban #${caseId}`);
+                unbanned++;
+            } catch (error) {
+                failed++;
+            }
+        }
+
+        await interaction.editReply({ content: `⏳ Unbanned ${unbanned + failed}/${userIds.length}…`, embeds: [], components: [] })
+            .catch(() => null);
+        if (i + BATCH_SIZE < userIds.length) await sleep(BATCH_DELAY);
+    }
+
+    const undo = createCase(client, {
+        guild: interaction.guild,
+        action: 'massunban',
+        target: null,
+        moderator: interaction.user,
+        reason: `Undo mass ban #${caseId}`,
+        channel: interaction.channel,
+        extra: { count: unbanned, failed, batch: caseId }
+    });
+
+    await interaction.editReply({
+        content: `✅ Mass ban #${caseId} undone: **${unbanned}** unbanned, **${failed}** failed. (Case #${undo.id})`,
+        embeds: [],
+        components: []
+    }).catch(() => null);
+}
+
+// Buttons with a mass: custom ID
+async function handleComponent(interaction) {
+    const [, action, id] = interaction.customId.split(':');
+
+    if (action === 'undo') {
+        if (!hasCommandPermission(interaction.member, 'massban')) {
+            return await interaction.reply(noPermissionReply());
+        }
+        await interaction.update({ content: '⏳ Undoing mass ban…', embeds: [], components: [] });
+        return await undoMassBan(interaction, Number(id));
+    }
+
+    const run = pendingRuns.get(id);
+    if (!run || run.expiresAt < Date.now()) {
+        return await interaction.update({ content: '❌ This preview has expired. Run the command again.', embeds: [], components: [] });
+    }
+    if (interaction.user.id !== run.moderatorId) {
+        return await interaction.reply({ content: '❌ Only the moderator who ran this command can confirm it.', ephemeral: true });
+    }
+    pendingRuns.delete(id);
+
+    if (action === 'cancel') {
+        return await interaction.update({ content: '✅ Cancelled. Nothing was done.', embeds: [], components: [] });
+    }
+
+    await interaction.update({ content: `⏳ Starting mass ${VERBS[run.action].label} of ${run.targets.length} member(s)…`, embeds: [], components: [] });
+    await executeRun(interaction, run);
+}
+
+module.exports = {
+    MAX_TARGETS,
+    addTargetOptions,
+    parseIds,
+    previewMassAction,
+    undoMassBan,
+    handleComponent
+};
\ No newline at end of file
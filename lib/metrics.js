@@ -0,0 +1,52 @@
+// Counters since startup, served on /metrics in the Prometheus text format
+const COUNTERS = {
+    commands: { name: 'security_bot_commands_total', help: 'Slash commands run, by command', label: 'command' },
+    commandFailures: { name: 'security_bot_command_failures_total', help: 'Slash commands that threw an error, by command', label: 'command' },
+    spamDeleted: { name: 'security_bot_spam_messages_deleted_total', help: 'Messages deleted by anti-spam' },
+    raidKicks: { name: 'security_bot_raid_kicks_total', help: 'Members kicked by raid protection' },
+    voiceHops: { name: 'security_bot_voice_hops_total', help: 'Members caught hopping between voice channels' }
+};
+
+// Current values per counter, keyed by label value ('' for counters without a label)
+const values = new Map(Object.keys(COUNTERS).map(key => [key, new Map()]));
+
+function increment(key, label = '', amount = 1) {
+    const counter = values.get(key);
+    counter.set(label, (counter.get(label) || 0) + amount);
+}
+
+// Label values need backslashes, quotes and newlines escaped
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatMetric(name, help, type, samples) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join('\n');
+}
+
+// Every counter plus gauges read from the client at scrape time
+function render(client) {
+    const blocks = Object.entries(COUNTERS).map(([key, { name, help, label }]) => {
+        const counter = values.get(key);
+        const samples = label
+            ? [...counter].map(([value, count]) => `${name}{${label}="${escapeLabel(value)}"} ${count}`)
+            : [`${name} ${counter.get('') || 0}`];
+        return formatMetric(name, help, 'counter', samples);
+    });
+
+    blocks.push(formatMetric('security_bot_guilds', 'Servers the bot is in', 'gauge', [`security_bot_guilds ${client.guilds.cache.size}`]));
+    blocks.push(formatMetric('security_bot_uptime_seconds', 'Seconds since the process started', 'gauge', [`security_bot_uptime_seconds ${Math.floor(process.uptime())}`]));
+
+    // No heartbeat has been acknowledged until the bot connects
+    const ping = client.ws.ping;
+    if (Number.isFinite(ping) && ping >= 0) {
+        blocks.push(formatMetric('security_bot_gateway_latency_milliseconds', 'Gateway heartbeat latency', 'gauge', [`security_bot_gateway_latency_milliseconds ${ping}`]));
+    }
+
+    return `${blocks.join('\n')}\n`;
+}
+
+module.exports = {
+    increment,
+    render
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { nextGuildId } = require('./guilds');
+const { truncate } = require('./auditlog');
+
+// Longest note accepted, well under an embed field's limit
+const MAX_NOTE_LENGTH = 1000;
+
+// Note text shown per line in lists, so a page of 10 notes fits an embed description (4096)
+const LINE_LENGTH = 300;
+
+// Attach a private moderator note to a user and return it
+function addNote(client, { guild, user, author, content }) {
+    const note = {
+        id: nextGuildId(client.notes, guild.id),
+        guildId: guild.id,
+        userId: user.id,
+        userTag: user.tag,
+        authorId: author.id,
+        authorTag: author.tag,
+        content,
+        timestamp: Date.now()
+    };
+
+    client.notes.list.push(note);
+    client.saveNotes();
+    return note;
+}
+
+// A user's notes in a guild, newest first
+function getNotes(client, guildId, userId) {
+    return client.notes.list
+        .filter(note => note.guildId === guildId && note.userId === userId)
+        .reverse();
+}
+
+function getNote(client, guildId, noteId) {
+    return client.notes.list.find(note => note.guildId === guildId && note.id === noteId) || null;
+}
+
+// Delete a note; returns the removed note or null if there was none
+function removeNote(client, guildId, noteId) {
+    const note = getNote(client, guildId, noteId);
+    if (!note) return null;
+
+    client.notes.list.splice(client.notes.list.indexOf(note), 1);
+    client.saveNotes();
+    return note;
+}
+
+// One-line summary used in /note list and /userinfo
+function formatNoteLine(note) {
+    return `**#${note.id}** <t:${Math.floor(note.timestamp / 1000)}:R> by <@${note.authorId}>\n└ ${truncate(note.content, LINE_LENGTH)}`;
+}
+
+module.exports = {
+    MAX_NOTE_LENGTH,
+    addNote,
+    getNotes,
+    getNote,
+    removeNote,
+    formatNoteLine
+};
\ No newline at end of file
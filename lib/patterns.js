@@ -0,0 +1,76 @@
+// Admin-supplied regular expressions run on the main thread, so one that backtracks
+// catastrophically (e.g. (a+)+$) would stall the whole bot on a single crafted message.
+
+// Text tested against a pattern is cut to Discord's message limit without Nitro
+const MAX_TEST_LENGTH = 2000;
+
+// Most times the quantifier at the start of the text lets its atom repeat, or null if there isn't one
+function readQuantifier(text) {
+    const match = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/.exec(text);
+    if (!match) return null;
+    if (match[0] === '?') return 1;
+    if (!match[1]) return Infinity;
+    if (!match[2]) return Number(match[1]);
+    return match[3] === '' ? Infinity : Number(match[3]);
+}
+
+// What makes a pattern unsafe to run, or null if nothing does. Rejects backreferences and any
+// repeated group that itself contains a quantifier or alternation, the shapes behind exponential backtracking.
+function findUnsafeConstruct(pattern) {
+    const groups = [{ quantified: false, alternates: false }];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1])) return 'backreferences';
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternates: false });
+            const prefix = /^\?(?:[:=!]|<[=!]|<[\w$]+>)/.exec(pattern.slice(i + 1));
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')' && groups.length > 1) {
+            groups.pop();
+            const quantifier = readQuantifier(pattern.slice(i + 1));
+            const parent = groups[groups.length - 1];
+            if (quantifier > 1 && (group.quantified || group.alternates)) {
+                return 'repeated groups that contain a quantifier or alternation';
+            }
+            parent.quantified = parent.quantified || group.quantified || quantifier !== null;
+            parent.alternates = parent.alternates || group.alternates;
+        } else if (char === '|') {
+            group.alternates = true;
+        } else if (readQuantifier(pattern.slice(i)) !== null) {
+            group.quantified = true;
+        }
+    }
+
+    return null;
+}
+
+// Compile an admin-supplied pattern (case-insensitive), throwing on an invalid or unsafe regex
+function compilePattern(pattern) {
+    const regex = new RegExp(pattern, 'i');
+    const problem = findUnsafeConstruct(pattern);
+    if (problem) {
+        throw new Error(`Patterns can't use ${problem}, as they can take too long to match.`);
+    }
+    return regex;
+}
+
+// Test text against a compiled pattern, looking at no more than MAX_TEST_LENGTH characters
+function testPattern(regex, text) {
+    return regex.test(text.slice(0, MAX_TEST_LENGTH));
+}
+
+module.exports = {
+    MAX_TEST_LENGTH,
+    findUnsafeConstruct,
+    compilePattern,
+    testPattern
+};
\ No newline at end of file
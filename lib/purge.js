@@ -0,0 +1,112 @@
+const { testPattern } = require('./patterns');
+
+// Messages older than this can't be bulk deleted
+const TWO_WEEKS = 14 * 24 * 60 * 60 * 1000;
+
+// Upper bound on messages scanned by one filtered purge
+const MAX_SCAN = 5000;
+
+const LINK_PATTERN = /https?:\/\/\S+/i;
+const INVITE_PATTERN = /(?:discord(?:app)?\.com\/invite|discord\.gg|dsc\.gg)\/[\w-]+/i;
+
+// Delete a batch of messages: bulk delete for recent ones, one by one for anything 14+ days old
+async function deleteMessages(channel, messages) {
+    let totalDeleted = 0;
+
+    // Separate old messages (14+ days) from new ones
+    const twoWeeksAgo = Date.now() - TWO_WEEKS;
+    const newMessages = messages.filter(msg => msg.createdTimestamp > twoWeeksAgo);
+    const oldMessages = messages.filter(msg => msg.createdTimestamp <= twoWeeksAgo);
+
+    // Bulk delete new messages (faster)
+    if (newMessages.size > 1) {
+        const deleted = await channel.bulkDelete(newMessages, true);
+        totalDeleted += deleted.size;
+    } else if (newMessages.size === 1) {
+        await newMessages.first().delete();
+        totalDeleted++;
+    }
+
+    // Delete old messages one by one (slower but necessary)
+    for (const [, message] of oldMessages) {
+        try {
+            await message.delete();
+            totalDeleted++;
+            // Small delay to avoid rate limits
+            await new Promise(resolve => setTimeout(resolve, 100));
+        } catch (error) {
+            // Message might already be deleted or permission issues
+            console.log(`Could not delete message: ${error.message}`);
+        }
+    }
+
+    return totalDeleted;
+}
+
+// Build the list of named filters a message must all pass to be purged
+function buildFilters({ user, bots, attachments, links, invites, contains, regex }) {
+    const filters = [];
+
+    if (user) filters.push({ name: `from ${user.tag}`, test: msg => msg.author.id === user.id });
+    if (bots) filters.push({ name: 'bots', test: msg => msg.author.bot });
+    if (attachments) filters.push({ name: 'attachments', test: msg => msg.attachments.size > 0 });
+    if (links) filters.push({ name: 'links', test: msg => LINK_PATTERN.test(msg.content) });
+    if (invites) filters.push({ name: 'invites', test: msg => INVITE_PATTERN.test(msg.content) });
+    if (contains) {
+        const needle = contains.toLowerCase();
+        filters.push({ name: `contains "${contains}"`, test: msg => msg.content.toLowerCase().includes(needle) });
+    }
+    if (regex) filters.push({ name: `matches /${regex.source}/`, test: msg => testPattern(regex, msg.content) });
+
+    return filters;
+}
+
+// Snowflakes grow over time, so they can be compared to bound a range
+function isAfter(id, afterId) {
+    return BigInt(id) > BigInt(afterId);
+}
+
+// Scan backwards from `before` (or the latest message), deleting up to `amount` messages that pass
+// every filter and stopping at `after`. Reports how many scanned messages each filter matched.
+async function purgeMessages(channel, { amount, filters = [], before, after }) {
+    const counts = Object.fromEntries(filters.map(filter => [filter.name, 0]));
+    let scanned = 0;
+    let deleted = 0;
+    let cursor = before;
+
+    while (deleted < amount && scanned < MAX_SCAN) {
+        const fetched = await channel.messages.fetch({ limit: 100, ...(cursor ? { before: cursor } : {}) });
+        if (fetched.size === 0) break;
+
+        cursor = fetched.last().id;
+        const inRange = after ? fetched.filter(msg => isAfter(msg.id, after)) : fetched;
+        scanned += inRange.size;
+
+        const matching = inRange.filter(msg => {
+            let passes = true;
+            for (const filter of filters) {
+                if (filter.test(msg)) counts[filter.name]++;
+                else passes = false;
+            }
+            return passes;
+        });
+
+        const batch = matching.first(amount - deleted);
+        if (batch.length > 0) {
+            deleted += await deleteMessages(channel, matching.filter(msg => batch.includes(msg)));
+        }
+
+        // Reached the start of the range (or the channel)
+        if (inRange.size < fetched.size || fetched.size < 100) break;
+    }
+
+    return { scanned, deleted, counts };
+}
+
+module.exports = {
+    TWO_WEEKS,
+    MAX_SCAN,
+    deleteMessages,
+    buildFilters,
+    purgeMessages
+};
\ No newline at end of file
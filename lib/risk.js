@@ -0,0 +1,59 @@
+const { getGuildSettings } = require('./guilds');
+const { getCases } = require('./cases');
+const { getActiveWarnings } = require('./warnings');
+const { scoreMember, joinedDuringRaid } = require('./antiraid');
+const { getQuarantined } = require('./antinuke');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Risk levels from the highest score down
+const LEVELS = [
+    { min: 5, label: 'High', emoji: '🔴', color: 0xed4245 },
+    { min: 2, label: 'Medium', emoji: '🟡', color: 0xfee75c },
+    { min: 0, label: 'Low', emoji: '🟢', color: 0x57f287 }
+];
+
+// Past actions that count against a user
+const PUNISHMENTS = ['ban', 'kick', 'mute', 'massban', 'masskick', 'antinuke'];
+
+// Rough indicator of how much attention a user needs, with the reasons behind it.
+// `member` is null for users who aren't in the server.
+function assessRisk(client, guild, user, member, now = Date.now()) {
+    // Same account checks raid detection scores joiners with
+    const account = scoreMember(member || { id: user.id, user }, [], getGuildSettings(client, guild.id).antiRaid, now);
+    let score = account.score;
+    const reasons = [...account.reasons];
+
+    if (member && joinedDuringRaid(client, member)) {
+        score += 2;
+        reasons.push('joined during raid mode');
+    } else if (member && member.joinedTimestamp && now - member.joinedTimestamp < DAY) {
+        score += 1;
+        reasons.push('joined in the last day');
+    }
+
+    const warnings = getActiveWarnings(client, guild.id, user.id).length;
+    if (warnings > 0) {
+        score += Math.min(warnings, 3);
+        reasons.push(`${warnings} active warning(s)`);
+    }
+
+    const punishments = getCases(client, guild.id, { targetId: user.id })
+        .filter(entry => PUNISHMENTS.includes(entry.action)).length;
+    if (punishments > 0) {
+        score += Math.min(punishments, 3);
+        reasons.push(`${punishments} previous ban(s), kick(s) or mute(s)`);
+    }
+
+    if (getQuarantined(client, guild.id)[user.id]) {
+        score += 5;
+        reasons.push('quarantined by anti-nuke');
+    }
+
+    const level = LEVELS.find(entry => score >= entry.min);
+    return { score, level: level.label, emoji: level.emoji, color: level.color, reasons };
+}
+
+module.exports = {
+    assessRisk
+};
\ No newline at end of file
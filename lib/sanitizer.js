@@ -0,0 +1,221 @@
+const ms = require('ms');
+const { hasModPermission } = require('../utils');
+const { createCase } = require('./cases');
+const { getGuildSettings } = require('./guilds');
+const { logAction } = require('./auditlog');
+const { normalizeText } = require('./automod');
+const { similarity } = require('./antiraid');
+
+// Discord's nickname length limit
+const MAX_NICKNAME_LENGTH = 32;
+
+// Names shorter than this (once normalized) are too generic to call impersonation
+const MIN_IMPERSONATION_LENGTH = 3;
+
+// Cyrillic and Greek letters that look like Latin ones, used only when comparing names
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't',
+    'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ɡ': 'g',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+// Leading spaces and ASCII symbols that sort a name above the letters in the member list
+const HOIST_PATTERN = /^[\s!-\/:-@\[-`]+/;
+
+// Closing partners of the opening brackets HOIST_PATTERN can strip
+const CLOSING_BRACKETS = { '(': ')', '<': '>', '[': ']' };
+
+// Names already flagged or timed out per member, keyed by guild and user ID. A partial old
+// member (every role change with Partials.GuildMember) can't tell us the name changed.
+const handledNames = new Map();
+
+// Three or more stacked combining marks is zalgo, not an accent
+const ZALGO_PATTERN = /\p{M}{3,}/gu;
+
+// Zero-width, direction override and other invisible formatting characters
+const INVISIBLE_PATTERN = /[\p{Cf}\u115f\u1160\u3164\uffa0]/gu;
+
+// Clean up a display name. Returns the cleaned name and which problems were fixed.
+function sanitizeName(name, settings) {
+    const problems = [];
+    let cleaned = name;
+
+    if (settings.unicode) {
+        // NFKC turns fullwidth and "fancy" mathematical letters back into plain ones
+        const normalized = cleaned.normalize('NFKC').replace(ZALGO_PATTERN, '').replace(INVISIBLE_PATTERN, '');
+        if (normalized !== cleaned) problems.push('unicode');
+        cleaned = normalized;
+    }
+
+    if (settings.hoisting && HOIST_PATTERN.test(cleaned)) {
+        problems.push('hoisting');
+        const [prefix] = cleaned.match(HOIST_PATTERN);
+        cleaned = cleaned.slice(prefix.length);
+        // "[Clan] Bob" becomes "Clan Bob" rather than "Clan] Bob"
+        for (const char of prefix) {
+            if (CLOSING_BRACKETS[char]) cleaned = cleaned.replace(CLOSING_BRACKETS[char], '');
+        }
+    }
+
+    cleaned = cleaned.replace(/\s+/g, ' ').trim().slice(0, MAX_NICKNAME_LENGTH).trim();
+    return { name: cleaned || settings.fallbackName, problems };
+}
+
+// Comparable form of a name: look-alike letters mapped to Latin, accents, leetspeak and spacing removed
+function nameSkeleton(name) {
+    const mapped = [...name.normalize('NFKC')].map(char => CONFUSABLES[char.toLowerCase()] || char).join('');
+    return normalizeText(mapped).replace(/ /g, '');
+}
+
+// Staff members' names in comparable form: anyone hasModPermission counts as staff
+function getStaffNames(guild) {
+    return guild.members.cache
+        .filter(member => !member.user.bot && hasModPermission(member))
+        .map(member => ({
+            member,
+            skeletons: [...new Set([member.displayName, member.user.username].filter(Boolean).map(nameSkeleton))]
+                .filter(skeleton => skeleton.length >= MIN_IMPERSONATION_LENGTH)
+        }));
+}
+
+// The staff member a name imitates, if any
+function findImpersonated(member, name, staff, settings) {
+    const skeleton = nameSkeleton(name);
+    if (skeleton.length < MIN_IMPERSONATION_LENGTH) return null;
+
+    const match = staff.find(entry => entry.member.id !== member.id
+        && entry.skeletons.some(other => other === skeleton || similarity(other, skeleton) >= settings.similarity));
+    return match ? match.member : null;
+}
+
+// Work out what should happen to a member's name without changing anything
+function inspectMember(client, member, staff = getStaffNames(member.guild)) {
+    const settings = getGuildSettings(client, member.guild.id).sanitizer;
+    const current = member.displayName;
+    const { name, problems } = sanitizeName(current, settings);
+    const impersonated = settings.impersonation ? findImpersonated(member, name, staff, settings) : null;
+
+    return {
+        member,
+        current,
+        name: impersonated && settings.action === 'rename' ? settings.fallbackName : name,
+        problems,
+        impersonated,
+        action: impersonated ? settings.action : problems.length && name !== current ? 'rename' : null
+    };
+}
+
+// Carry out an inspection: rename, time out or kick, recording cases and alerts.
+// Resolves to true when the member was removed from the server.
+async function applyInspection(client, inspection, { log = true } = {}) {
+    const { member, current, name, impersonated, action } = inspection;
+    const settings = getGuildSettings(client, member.guild.id).sanitizer;
+    if (!action) return false;
+
+    const reason = impersonated
+        ? `Name "${current}" resembles staff member ${impersonated.user.tag}`
+        : `Sanitized name: ${inspection.problems.join(', ')}`;
+
+    if (action === 'rename') {
+        await member.setNickname(name, reason);
+    } else if (action === 'timeout') {
+        await member.timeout(settings.muteTime, reason);
+        createCase(client, {
+            guild: member.guild,
+            action: 'mute',
+            target: member.user,
+            moderator: client.user,
+            reason,
+            duration: ms(settings.muteTime)
+        });
+    } else if (action === 'kick') {
+        await member.kick(reason);
+        createCase(client, {
+            guild: member.guild,
+            action: 'kick',
+            target: member.user,
+            moderator: client.user,
+            reason
+        });
+    }
+
+    if (log || impersonated) {
+        await logAction(client, member.guild, {
+            title: impersonated ? '🎭 Possible staff impersonation' : '🧼 Name sanitized',
+            actor: client.user,
+            target: `<@${member.id}> (${member.user.tag})`,
+            reason,
+            fields: action === 'rename' || action === 'flag'
+                ? [{ name: action === 'rename' ? 'Renamed to' : 'Action', value: action === 'rename' ? name : 'Flagged for review', inline: true }]
+                : []
+        });
+    }
+
+    return action === 'kick';
+}
+
+// Check a joining or changed member when the sanitizer is on. Staff and members above the bot are left alone.
+// Resolves to true when the member was removed from the server.
+async function handleMember(client, member) {
+    const settings = getGuildSettings(client, member.guild.id).sanitizer;
+    if (!settings.enabled || member.user.bot || !member.manageable || hasModPermission(member)) return false;
+
+    try {
+        const inspection = inspectMember(client, member);
+        const key = `${member.guild.id}:${member.id}`;
+        if (inspection.impersonated && handledNames.get(key) === inspection.current) return false;
+
+        const removed = await applyInspection(client, inspection);
+        if (inspection.impersonated) {
+            handledNames.set(key, inspection.current);
+        } else {
+            handledNames.delete(key);
+        }
+        return removed;
+    } catch (error) {
+        console.error('Error sanitizing member name:', error.message);
+        return false;
+    }
+}
+
+// Nickname or name changes are checked like joins
+async function handleMemberUpdate(client, oldMember, newMember) {
+    if (!oldMember.partial && oldMember.displayName === newMember.displayName) return false;
+    return handleMember(client, newMember);
+}
+
+// Check every member (used by /sanitize all), whether or not the automatic sanitizer is on
+async function sanitizeAll(client, guild, members, { dryRun = false, onProgress } = {}) {
+    const staff = getStaffNames(guild);
+    const result = { checked: 0, renamed: [], impersonators: [], failed: [] };
+    const targets = [...members.values()].filter(member => !member.user.bot && member.manageable && !hasModPermission(member));
+
+    for (const member of targets) {
+        const inspection = inspectMember(client, member, staff);
+        result.checked++;
+
+        if (inspection.action) {
+            try {
+                if (!dryRun) await applyInspection(client, inspection, { log: false });
+                (inspection.impersonated ? result.impersonators : result.renamed).push(inspection);
+            } catch (error) {
+                result.failed.push({ member, error: error.message });
+            }
+        }
+
+        if (onProgress && (result.checked % 50 === 0 || result.checked === targets.length)) {
+            await onProgress(result.checked, targets.length);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    sanitizeName,
+    nameSkeleton,
+    inspectMember,
+    handleMember,
+    handleMemberUpdate,
+    sanitizeAll
+};
\ No newline at end of file
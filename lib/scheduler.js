@@ -0,0 +1,172 @@
+const { RESTJSONErrorCodes } = require('discord.js');
+const { createCase } = require('./cases');
+const { unlockChannel } = require('./lockdown');
+const { logAction } = require('./auditlog');
+
+// How often pending tasks are checked. Polling instead of one timer per task
+// keeps long bans working past setTimeout's ~24.8 day limit.
+const CHECK_INTERVAL = 15 * 1000;
+
+// A failing task is retried after 1, 2, 4 and 8 minutes, then given up on
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+// Task runners keyed by task type
+const handlers = {
+    async unban(client, guild, task) {
+        // A ban lifted by hand leaves nothing to do, rather than failing until the task is given up
+        const unbanned = await guild.members.unban(task.targetId, 'Temporary ban expired').then(() => true, error => {
+            if (error.code === RESTJSONErrorCodes.UnknownBan) return false;
+            throw error;
+        });
+        if (!unbanned) return;
+        createCase(client, {
+            guild,
+            action: 'unban',
+            target: { id: task.targetId, tag: task.data.targetTag },
+            moderator: client.user,
+            reason: `Temporary ban expired (Case #${task.data.caseId})`
+        });
+        console.log(`⏰ Unbanned ${task.data.targetTag} (temporary ban expired)`);
+    },
+
+    async unlock(client, guild, task) {
+        const channel = await guild.channels.fetch(task.targetId).catch(() => null);
+        if (!channel) return;
+        await unlockChannel(client, channel);
+        console.log(`⏰ Unlocked #${channel.name} (lockdown expired)`);
+    },
+
+    async slowmode(client, guild, task) {
+        const channel = await guild.channels.fetch(task.targetId).catch(() => null);
+        if (!channel) return;
+        await channel.setRateLimitPerUser(task.data.previous || 0, 'Temporary slowmode expired');
+        console.log(`⏰ Reset slowmode in #${channel.name} (temporary slowmode expired)`);
+    }
+};
+
+// Let other modules add task types without the scheduler depending on them
+function registerTaskHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+function getTasks(client) {
+    if (!client.data.scheduledTasks) {
+        client.data.scheduledTasks = [];
+    }
+    return client.data.scheduledTasks;
+}
+
+// Queue a task, replacing any pending task of the same type for the same target
+function scheduleTask(client, { type, guildId, targetId, runAt, data = {} }) {
+    cancelTask(client, type, guildId, targetId, false);
+    const task = { type, guildId, targetId, runAt, data };
+    getTasks(client).push(task);
+    client.saveData();
+    return task;
+}
+
+// The pending task of a type for a target, if any
+function findTask(client, type, guildId, targetId) {
+    return getTasks(client).find(task =>
+        task.type === type && task.guildId === guildId && task.targetId === targetId) || null;
+}
+
+// Drop a pending task, e.g. when a moderator undoes the action by hand
+function cancelTask(client, type, guildId, targetId, save = true) {
+    const tasks = getTasks(client);
+    const index = tasks.findIndex(task =>
+        task.type === type && task.guildId === guildId && task.targetId === targetId);
+    if (index === -1) return false;
+
+    tasks.splice(index, 1);
+    if (save) client.saveData();
+    return true;
+}
+
+// Run every task that is due, including ones that expired while the bot was offline
+async function runDueTasks(client) {
+    const now = Date.now();
+    const due = getTasks(client).filter(task => task.runAt <= now);
+    if (due.length === 0 || running) return;
+
+    running = true;
+
+    try {
+        for (const task of due) {
+            // Skip tasks cancelled while an earlier one was running
+            if (!getTasks(client).includes(task)) continue;
+            await runTask(client, task);
+        }
+    } finally {
+        running = false;
+        client.saveData();
+    }
+}
+
+// Run one task. It stays queued until its handler succeeds, so a server that
+// isn't cached yet or a Discord error only delays it.
+async function runTask(client, task) {
+    const guild = client.guilds.cache.get(task.guildId);
+
+    try {
+        if (!guild) throw new Error('Server is not available');
+        await handlers[task.type](client, guild, task);
+        removeTask(client, task);
+    } catch (error) {
+        task.attempts = (task.attempts || 0) + 1;
+
+        if (task.attempts < MAX_ATTEMPTS) {
+            task.runAt = Date.now() + RETRY_DELAY * 2 ** (task.attempts - 1);
+            console.error(`Error running scheduled ${task.type} for ${task.targetId} (attempt ${task.attempts}/${MAX_ATTEMPTS}):`, error.message);
+            return;
+        }
+
+        removeTask(client, task);
+        console.error(`Gave up on scheduled ${task.type} for ${task.targetId} after ${MAX_ATTEMPTS} attempts:`, error.message);
+        if (guild) {
+            await logAction(client, guild, {
+                title: '⚠️ Scheduled task failed',
+                actor: client.user,
+                reason: error.message,
+                fields: [
+                    { name: 'Task', value: task.type, inline: true },
+                    { name: 'Target', value: task.targetId, inline: true },
+                    { name: 'Attempts', value: String(task.attempts), inline: true }
+                ]
+            });
+        }
+    }
+}
+
+// Remove a task by identity; a newer task for the same target may have replaced it meanwhile
+function removeTask(client, task) {
+    const tasks = getTasks(client);
+    const index = tasks.indexOf(task);
+    if (index !== -1) tasks.splice(index, 1);
+}
+
+// Start polling for due tasks; called once the client is ready
+function startScheduler(client) {
+    if (checkTimer) return;
+
+    const pending = getTasks(client).length;
+    if (pending > 0) {
+        console.log(`⏰ Loaded ${pending} scheduled task(s)`);
+    }
+
+    runDueTasks(client);
+    checkTimer = setInterval(() => runDueTasks(client), CHECK_INTERVAL);
+}
+
+module.exports = {
+    registerTaskHandler,
+    scheduleTask,
+    findTask,
+    cancelTask,
+    runDueTasks,
+    startScheduler
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const http = require('http');
+const { getGuildData, getGuildSettings } = require('./guilds');
+const { getCase, getCases } = require('./cases');
+const { getRaidAction, setRaidMode } = require('./antiraid');
+const verification = require('./verification');
+const metrics = require('./metrics');
+
+// Largest request body the API accepts
+const MAX_BODY = 64 * 1024;
+
+// Cases returned per request unless `limit` asks for fewer
+const MAX_CASES = 100;
+
+// An error the API reports to the caller with its HTTP status
+function apiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Compare the bearer token in constant time
+function isAuthorized(req, token) {
+    const match = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJson(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_BODY) throw apiError(413, 'Request body too large');
+    }
+
+    try {
+        return body ? JSON.parse(body) : {};
+    } catch (error) {
+        throw apiError(400, 'Request body is not valid JSON');
+    }
+}
+
+function getGuild(client, guildId) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) throw apiError(404, 'Unknown server');
+    return guild;
+}
+
+function raidModeStatus(client, guild) {
+    const guildData = getGuildData(client, guild.id);
+    return {
+        enabled: Boolean(guildData.raidMode),
+        action: guildData.raidMode ? getRaidAction(client, guild) : null
+    };
+}
+
+// Routes under /api, matched in order. Handlers get the client, the request and the path's captures.
+const ROUTES = [
+    ['GET', /^\/api\/guilds$/, client => client.guilds.cache.map(guild => ({
+        id: guild.id,
+        name: guild.name,
+        raidMode: Boolean(getGuildData(client, guild.id).raidMode)
+    }))],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/raidmode$/, (client, req, guildId) => raidModeStatus(client, getGuild(client, guildId))],
+
+    ['PUT', /^\/api\/guilds\/(\d+)\/raidmode$/, async (client, req, guildId) => {
+        const guild = getGuild(client, guildId);
+        const body = await readJson(req);
+        if (typeof body.enabled !== 'boolean') throw apiError(400, '`enabled` must be true or false');
+        if (body.action !== undefined && !['kick', 'verify'].includes(body.action)) {
+            throw apiError(400, '`action` must be "kick" or "verify"');
+        }
+
+        const action = body.enabled ? body.action || getGuildSettings(client, guild.id).antiRaid.action : null;
+        if (action === 'verify' && !verification.isConfigured(client, guild)) {
+            throw apiError(409, 'Verification is not set up in this server');
+        }
+
+        await setRaidMode(client, guild, { enabled: body.enabled, action, actor: client.user, reason: 'Changed through the admin API' });
+        return raidModeStatus(client, guild);
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/locked$/, (client, req, guildId) => {
+        const guild = getGuild(client, guildId);
+        const unlocks = (client.data.scheduledTasks || []).filter(task => task.type === 'unlock' && task.guildId === guild.id);
+
+        return Object.entries(getGuildData(client, guild.id).lockedChannels).map(([channelId, lock]) => {
+            const channel = guild.channels.cache.get(channelId);
+            const unlock = unlocks.find(task => task.targetId === channelId);
+            return {
+                channelId,
+                name: channel ? channel.name : null,
+                thread: Boolean(lock.thread),
+                lockedAt: lock.lockedAt || null,
+                unlocksAt: unlock ? unlock.runAt : null
+            };
+        });
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/cases$/, (client, req, guildId, query) => {
+        const guild = getGuild(client, guildId);
+        const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || MAX_CASES, 1), MAX_CASES);
+        const before = parseInt(query.get('before'), 10);
+
+        let cases = getCases(client, guild.id, {
+            targetId: query.get('user'),
+            moderatorId: query.get('moderator'),
+            action: query.get('action')
+        });
+        const total = cases.length;
+        if (before) cases = cases.filter(entry => entry.id < before);
+
+        return { total, cases: cases.slice(0, limit) };
+    }],
+
+    ['GET', /^\/api\/guilds\/(\d+)\/cases\/(\d+)$/, (client, req, guildId, query, caseId) => {
+        const entry = getCase(client, getGuild(client, guildId).id, parseInt(caseId, 10));
+        if (!entry) throw apiError(404, 'Unknown case');
+        return entry;
+    }]
+];
+
+async function handleApi(client, req, res, url, token) {
+    if (!token) throw apiError(404, 'The admin API is disabled; set ADMIN_API_TOKEN to enable it');
+    if (!isAuthorized(req, token)) throw apiError(401, 'Missing or invalid bearer token');
+
+    const matching = ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+    if (!matching.length) throw apiError(404, 'Not found');
+
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) {
+        res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+        throw apiError(405, 'Method not allowed');
+    }
+
+    const [, pattern, handler] = route;
+    const [, ...params] = pattern.exec(url.pathname);
+    const [guildId, ...rest] = params;
+    sendJson(res, 200, await handler(client, req, guildId, url.searchParams, ...rest));
+}
+
+// The health check server: /health and /metrics are open, /api/* needs `Authorization: Bearer <token>`.
+// Without a token the API answers 404 and only the open endpoints work.
+function createServer(client, { token = process.env.ADMIN_API_TOKEN } = {}) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/health') {
+                return sendJson(res, 200, {
+                    status: 'ok',
+                    uptime: process.uptime(),
+                    timestamp: new Date().toISOString(),
+                    bot_status: client.readyAt ? 'connected' : 'connecting'
+                });
+            }
+
+            if (url.pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+                return res.end(metrics.render(client));
+            }
+
+            if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+                return await handleApi(client, req, res, url, token);
+            }
+
+            res.writeHead(404);
+            res.end('Not Found');
+        } catch (error) {
+            if (!error.status) console.error('Admin API error:', error);
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    });
+}
+
+module.exports = {
+    createServer
+};
\ No newline at end of file
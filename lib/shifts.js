@@ -0,0 +1,181 @@
+const { PermissionFlagsBits } = require('discord.js');
+const config = require('../config.json');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How often clocked-in staff are checked for inactivity
+const CHECK_INTERVAL = MINUTE;
+
+// Activity is written to storage at most this often per shift
+const ACTIVITY_SAVE_INTERVAL = MINUTE;
+
+let checkTimer = null;
+
+// When each shift's activity was last saved, keyed like client.shifts.active
+const activitySavedAt = new Map();
+
+function shiftKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+}
+
+// Pay tier for a staff member: administrators are paid the admin rate, everyone else the mod rate
+function getTier(member) {
+    return member.permissions.has(PermissionFlagsBits.Administrator) ? 'admin' : 'mod';
+}
+
+// Pay for a span of time at the tier's hourly rate
+function calculatePay(tier, durationMs) {
+    const rate = config.shift.payRates[tier] || 0;
+    return Math.round(rate * durationMs / HOUR);
+}
+
+function getActiveShift(client, guildId, userId) {
+    return client.shifts.active[shiftKey(guildId, userId)] || null;
+}
+
+function clockIn(client, member) {
+    const key = shiftKey(member.guild.id, member.id);
+    if (client.shifts.active[key]) return null;
+
+    const now = Date.now();
+    const shift = {
+        guildId: member.guild.id,
+        userId: member.id,
+        tier: getTier(member),
+        start: now,
+        lastActivity: now,
+        warned: false
+    };
+
+    client.shifts.active[key] = shift;
+    client.saveShifts();
+    return shift;
+}
+
+// End a shift. Automatic clock-outs are paid up to the last activity, not the time of the check.
+function clockOut(client, guildId, userId, reason = 'manual') {
+    const key = shiftKey(guildId, userId);
+    const shift = client.shifts.active[key];
+    if (!shift) return null;
+
+    const end = reason === 'auto' ? shift.lastActivity : Date.now();
+    const record = {
+        guildId,
+        userId,
+        tier: shift.tier,
+        start: shift.start,
+        end,
+        duration: end - shift.start,
+        pay: calculatePay(shift.tier, end - shift.start),
+        endedBy: reason
+    };
+
+    delete client.shifts.active[key];
+    activitySavedAt.delete(key);
+    client.shifts.history.push(record);
+    client.saveShifts();
+    return record;
+}
+
+// Note activity (messages, commands) from a clocked-in staff member
+function recordActivity(client, guildId, userId) {
+    const shift = getActiveShift(client, guildId, userId);
+    if (!shift) return;
+
+    const now = Date.now();
+    const key = shiftKey(guildId, userId);
+    shift.lastActivity = now;
+
+    // Save so a restart doesn't pay an automatic clock-out only up to stale activity
+    if (shift.warned || now - (activitySavedAt.get(key) || 0) >= ACTIVITY_SAVE_INTERVAL) {
+        shift.warned = false;
+        activitySavedAt.set(key, now);
+        client.saveShifts();
+    }
+}
+
+// Completed shifts in a guild since `since`, optionally for one user
+function getShiftHistory(client, guildId, { since = 0, userId } = {}) {
+    return client.shifts.history.filter(record =>
+        record.guildId === guildId
+        && record.end >= since
+        && (!userId || record.userId === userId));
+}
+
+// Total time and pay per staff member for a period
+function buildPayroll(client, guildId, since) {
+    const totals = new Map();
+
+    for (const record of getShiftHistory(client, guildId, { since })) {
+        const total = totals.get(record.userId) || { userId: record.userId, shifts: 0, duration: 0, pay: 0 };
+        total.shifts++;
+        total.duration += record.duration;
+        total.pay += record.pay;
+        totals.set(record.userId, total);
+    }
+
+    return [...totals.values()].sort((a, b) => b.pay - a.pay);
+}
+
+async function notify(client, userId, content) {
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send(content);
+    } catch (error) {
+        // DMs may be closed
+    }
+}
+
+// Warn idle staff, then clock them out once they pass the limit
+async function checkInactivity(client) {
+    const now = Date.now();
+    const warnAfter = config.shift.inactivityWarning * MINUTE;
+    const clockOutAfter = config.shift.autoClockOut * MINUTE;
+
+    for (const shift of Object.values(client.shifts.active)) {
+        const idle = now - shift.lastActivity;
+        const guild = client.guilds.cache.get(shift.guildId);
+        const guildName = guild ? guild.name : 'the server';
+
+        if (idle >= clockOutAfter) {
+            const record = clockOut(client, shift.guildId, shift.userId, 'auto');
+            console.log(`⏱️ Auto clocked out ${shift.userId} after ${config.shift.autoClockOut} minutes of inactivity`);
+            await notify(client, shift.userId,
+                `⏱️ You were automatically clocked out of **${guildName}** after ${config.shift.autoClockOut} minutes of inactivity. `
+                + `Your shift was counted until your last activity (**${formatDuration(record.duration)}**, earned **${record.pay.toLocaleString()}**).`);
+        } else if (idle >= warnAfter && !shift.warned) {
+            shift.warned = true;
+            client.saveShifts();
+            await notify(client, shift.userId,
+                `⚠️ You've been inactive in **${guildName}** for ${config.shift.inactivityWarning} minutes. `
+                + `You'll be clocked out automatically after ${config.shift.autoClockOut} minutes without activity.`);
+        }
+    }
+}
+
+function formatDuration(durationMs) {
+    const hours = Math.floor(durationMs / HOUR);
+    const minutes = Math.floor((durationMs % HOUR) / MINUTE);
+    return `${hours}h ${minutes}m`;
+}
+
+// Start the inactivity checker; called once the client is ready
+function startShiftMonitor(client) {
+    if (checkTimer) return;
+    checkTimer = setInterval(() => checkInactivity(client), CHECK_INTERVAL);
+}
+
+module.exports = {
+    getTier,
+    calculatePay,
+    getActiveShift,
+    clockIn,
+    clockOut,
+    recordActivity,
+    getShiftHistory,
+    buildPayroll,
+    checkInactivity,
+    formatDuration,
+    startShiftMonitor
+};
\ No newline at end of file
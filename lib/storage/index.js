@@ -0,0 +1,37 @@
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+// Directory holding the bot's persistent files (the /app/data volume in Docker).
+// Read on each call so a DATA_DIR set by dotenv after this module loads is still picked up.
+function getDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', '..');
+}
+
+// Pick the storage backend from STORAGE_BACKEND ("json" or "sqlite")
+function createStorage({ backend = process.env.STORAGE_BACKEND || 'json', dir = getDataDir() } = {}) {
+    let storage;
+
+    if (backend === 'json') {
+        storage = createJsonStorage(dir);
+    } else if (backend === 'sqlite') {
+        storage = createSqliteStorage(process.env.SQLITE_FILE || path.join(dir, 'bot.sqlite'));
+    } else {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+
+    // Load a document, creating it from defaults if it doesn't exist yet
+    storage.loadOrCreate = (name, defaults) => {
+        const value = storage.load(name);
+        if (value !== null) return value;
+        storage.save(name, defaults);
+        return defaults;
+    };
+
+    return storage;
+}
+
+module.exports = {
+    getDataDir,
+    createStorage
+};
\ No newline at end of file
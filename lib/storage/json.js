@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// One pretty-printed JSON file per document, e.g. data.json and cases.json
+function createJsonStorage(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = name => path.join(dir, `${name}.json`);
+
+    return {
+        type: 'json',
+        location: dir,
+
+        load(name) {
+            const file = fileFor(name);
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        },
+
+        // Write to a temp file and rename over the original so a crash
+        // mid-write leaves the previous version intact
+        save(name, value) {
+            const file = fileFor(name);
+            const tempFile = `${file}.${process.pid}.tmp`;
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(value, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, file);
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createJsonStorage };
\ No newline at end of file
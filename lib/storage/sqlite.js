@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many have run,
+// so add new steps to the end and never edit old ones.
+const MIGRATIONS = [
+    db => db.exec(`
+        CREATE TABLE documents (
+            name TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        )
+    `)
+];
+
+function migrate(db) {
+    const version = db.pragma('user_version', { simple: true });
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            MIGRATIONS[i](db);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+        console.log(`🗄️ Applied storage migration ${i + 1}`);
+    }
+}
+
+// Documents stored as JSON rows in an embedded SQLite database
+function createSqliteStorage(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`The SQLite backend needs the better-sqlite3 package (${error.message})`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+
+    const selectDocument = db.prepare('SELECT value FROM documents WHERE name = ?');
+    const upsertDocument = db.prepare(`
+        INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+
+    return {
+        type: 'sqlite',
+        location: file,
+
+        load(name) {
+            const row = selectDocument.get(name);
+            return row ? JSON.parse(row.value) : null;
+        },
+
+        save(name, value) {
+            upsertDocument.run(name, JSON.stringify(value), Date.now());
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    MIGRATIONS,
+    createSqliteStorage
+};
\ No newline at end of file
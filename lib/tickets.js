@@ -0,0 +1,422 @@
+const path = require('path');
+const {
+    ActionRowBuilder,
+    AttachmentBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ChannelType,
+    EmbedBuilder,
+    ModalBuilder,
+    PermissionFlagsBits,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { getCommandAccess, hasCommandPermission, noPermissionReply } = require('../utils');
+const { getGuildSettings, nextGuildId } = require('./guilds');
+const { getLogChannel } = require('./auditlog');
+const { guildDir, writeFileAtomic } = require('./backup');
+const { getDataDir } = require('./storage');
+
+// Transcripts stop here so a flooded ticket can't blow up storage
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+
+// Folder under DATA_DIR holding transcripts; the ticket record keeps only the file's path
+const TRANSCRIPT_DIR = 'transcripts';
+
+// Custom IDs look like ticket:<action>:<id>, where id is the guild ID for the panel
+// and the ticket number for everything else
+function customId(action, id) {
+    return `ticket:${action}:${id}`;
+}
+
+function getTicket(client, guildId, id) {
+    return client.tickets.list.find(ticket => ticket.guildId === guildId && ticket.id === id) || null;
+}
+
+// The open ticket a channel or thread belongs to
+function getTicketByChannel(client, channelId) {
+    return client.tickets.list.find(ticket => ticket.channelId === channelId && ticket.status === 'open') || null;
+}
+
+// Roles that see every ticket: whoever may use /ticket, which includes the mod roles
+function getStaffRoles(client, guild) {
+    const access = getCommandAccess(client, guild.id, 'ticket');
+    if (!access) return [];
+    return access.roles.filter(roleId => guild.roles.cache.has(roleId));
+}
+
+// Tickets whose channel was deleted by hand are closed so they don't count against the user
+function closeOrphanedTickets(client, guild) {
+    let changed = false;
+    for (const ticket of client.tickets.list) {
+        if (ticket.guildId !== guild.id || ticket.status !== 'open') continue;
+        if (guild.channels.cache.has(ticket.channelId)) continue;
+        ticket.status = 'closed';
+        ticket.closedAt = Date.now();
+        ticket.closeReason = 'Channel deleted';
+        changed = true;
+    }
+    if (changed) client.saveTickets();
+}
+
+function buildPanel(guild, description) {
+    const embed = new EmbedBuilder()
+        .setTitle('🎫 Contact the moderators')
+        .setColor(0x5865f2)
+        .setDescription(description || 'Need help from staff? Press the button below to open a private ticket.');
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId('open', guild.id))
+            .setLabel('Open ticket')
+            .setEmoji('🎫')
+            .setStyle(ButtonStyle.Primary)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+function buildOpenModal(guildId) {
+    return new ModalBuilder()
+        .setCustomId(customId('create', guildId))
+        .setTitle('Open a ticket')
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('subject')
+                    .setLabel('What do you need help with?')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(1000)
+                    .setRequired(true)
+            )
+        );
+}
+
+function buildCloseModal(ticketId) {
+    return new ModalBuilder()
+        .setCustomId(customId('close', ticketId))
+        .setTitle(`Close ticket #${ticketId}`)
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('reason')
+                    .setLabel('Reason')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(1000)
+                    .setRequired(false)
+            )
+        );
+}
+
+function buildTicketEmbed(ticket) {
+    const embed = new EmbedBuilder()
+        .setTitle(`Ticket #${ticket.id}`)
+        .setColor(ticket.claimedBy ? 0x57f287 : 0xfee75c)
+        .setDescription(ticket.subject)
+        .addFields(
+            { name: 'Opened by', value: `<@${ticket.userId}>`, inline: true },
+            { name: 'Claimed by', value: ticket.claimedBy ? `<@${ticket.claimedBy}>` : 'nobody yet', inline: true }
+        )
+        .setTimestamp(ticket.createdAt);
+    return embed;
+}
+
+function buildTicketButtons(ticket) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId('claim', ticket.id))
+            .setLabel('Claim')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(Boolean(ticket.claimedBy)),
+        new ButtonBuilder()
+            .setCustomId(customId('closeprompt', ticket.id))
+            .setLabel('Close')
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+// Private text channel visible to the user, staff roles and the bot
+async function createTicketChannel(client, guild, user, ticketId, settings) {
+    const category = settings.category && guild.channels.cache.get(settings.category);
+    const memberAccess = [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.ReadMessageHistory,
+        PermissionFlagsBits.AttachFiles
+    ];
+
+    return guild.channels.create({
+        name: `ticket-${ticketId}`,
+        type: ChannelType.GuildText,
+        parent: category && category.type === ChannelType.GuildCategory ? category.id : null,
+        topic: `Ticket #${ticketId} for ${user.tag} (${user.id})`,
+        permissionOverwrites: [
+            { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
+            { id: user.id, allow: memberAccess },
+            ...getStaffRoles(client, guild).map(roleId => ({ id: roleId, allow: memberAccess })),
+            { id: client.user.id, allow: [...memberAccess, PermissionFlagsBits.ManageChannels] }
+        ],
+        reason: `Ticket #${ticketId} opened by ${user.tag}`
+    });
+}
+
+// Private thread under the channel holding the panel. Staff are added when their roles are mentioned.
+async function createTicketThread(interaction, user, ticketId) {
+    const thread = await interaction.channel.threads.create({
+        name: `ticket-${ticketId}`,
+        type: ChannelType.PrivateThread,
+        invitable: false,
+        reason: `Ticket #${ticketId} opened by ${user.tag}`
+    });
+    await thread.members.add(user.id);
+    return thread;
+}
+
+// Open a ticket from the panel form
+async function createTicket(interaction, guild) {
+    const client = interaction.client;
+    const settings = getGuildSettings(client, guild.id).tickets;
+    const user = interaction.user;
+
+    closeOrphanedTickets(client, guild);
+    const open = client.tickets.list.filter(ticket =>
+        ticket.guildId === guild.id && ticket.userId === user.id && ticket.status === 'open');
+    if (open.length >= settings.limit) {
+        return await interaction.reply({
+            content: `❌ You already have an open ticket: ${open.map(ticket => `<#${ticket.channelId}>`).join(', ')}`,
+            ephemeral: true
+        });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const id = nextGuildId(client.tickets, guild.id);
+    let channel;
+    try {
+        channel = settings.mode === 'thread' && interaction.channel && interaction.channel.threads
+            ? await createTicketThread(interaction, user, id)
+            : await createTicketChannel(client, guild, user, id, settings);
+    } catch (error) {
+        client.saveTickets();
+        return await interaction.editReply(`❌ Failed to open a ticket. ${error.message}`);
+    }
+
+    const ticket = {
+        id,
+        guildId: guild.id,
+        channelId: channel.id,
+        userId: user.id,
+        userTag: user.tag,
+        subject: interaction.fields.getTextInputValue('subject'),
+        status: 'open',
+        claimedBy: null,
+        addedUsers: [],
+        createdAt: Date.now()
+    };
+    client.tickets.list.push(ticket);
+    client.saveTickets();
+
+    const staffMentions = getStaffRoles(client, guild).map(roleId => `<@&${roleId}>`).join(' ');
+    await channel.send({
+        content: `<@${user.id}> ${staffMentions}`.trim(),
+        embeds: [buildTicketEmbed(ticket)],
+        components: [buildTicketButtons(ticket)]
+    });
+
+    await interaction.editReply(`✅ Your ticket has been opened: <#${channel.id}>`);
+}
+
+// Mark a ticket as handled by a staff member
+async function claimTicket(interaction, ticket) {
+    if (ticket.claimedBy) {
+        return await interaction.reply({ content: `❌ This ticket was already claimed by <@${ticket.claimedBy}>.`, ephemeral: true });
+    }
+
+    ticket.claimedBy = interaction.user.id;
+    interaction.client.saveTickets();
+
+    const update = { embeds: [buildTicketEmbed(ticket)], components: [buildTicketButtons(ticket)] };
+    if (interaction.isButton()) {
+        await interaction.update(update);
+        await interaction.followUp({ content: `🙋 <@${interaction.user.id}> will handle this ticket.` });
+    } else {
+        await interaction.reply({ content: `🙋 <@${interaction.user.id}> will handle this ticket.` });
+    }
+}
+
+// Let another user see and write in a ticket
+async function addUserToTicket(channel, ticket, user, moderator) {
+    if (channel.isThread()) {
+        await channel.members.add(user.id);
+    } else {
+        await channel.permissionOverwrites.edit(user.id, {
+            ViewChannel: true,
+            SendMessages: true,
+            ReadMessageHistory: true,
+            AttachFiles: true
+        }, { reason: `Added to ticket #${ticket.id} by ${moderator.tag}` });
+    }
+
+    if (!ticket.addedUsers.includes(user.id)) ticket.addedUsers.push(user.id);
+}
+
+// Every message in the ticket, oldest first
+async function fetchTranscript(channel) {
+    const messages = [];
+    let before;
+
+    while (messages.length < MAX_TRANSCRIPT_MESSAGES) {
+        const fetched = await channel.messages.fetch({ limit: 100, ...(before ? { before } : {}) });
+        if (fetched.size === 0) break;
+        messages.push(...fetched.map(message => ({
+            authorId: message.author.id,
+            authorTag: message.author.tag,
+            content: message.content,
+            embeds: message.embeds.map(embed => embed.title || embed.description).filter(Boolean),
+            attachments: message.attachments.map(attachment => attachment.url),
+            createdAt: message.createdTimestamp
+        })));
+        before = fetched.last().id;
+        if (fetched.size < 100) break;
+    }
+
+    return messages.reverse();
+}
+
+function formatTranscript(ticket, messages) {
+    const header = [
+        `Ticket #${ticket.id} - ${ticket.userTag} (${ticket.userId})`,
+        `Subject: ${ticket.subject}`,
+        `Opened: ${new Date(ticket.createdAt).toISOString()}`,
+        `Closed: ${new Date(ticket.closedAt).toISOString()} by ${ticket.closedByTag}`,
+        `Reason: ${ticket.closeReason}`,
+        ''
+    ];
+    const lines = messages.map(message => {
+        const extras = [...message.embeds.map(text => `[embed] ${text}`), ...message.attachments.map(url => `[attachment] ${url}`)];
+        return `[${new Date(message.createdAt).toISOString()}] ${message.authorTag}: ${[message.content, ...extras].filter(Boolean).join('\n    ')}`;
+    });
+    return [...header, ...lines].join('\n');
+}
+
+// Write the transcript to its own file and return its path relative to DATA_DIR
+function saveTranscript(ticket, transcript) {
+    const file = path.join(guildDir(TRANSCRIPT_DIR, ticket.guildId), `ticket-${ticket.id}.txt`);
+    writeFileAtomic(file, transcript);
+    return path.relative(getDataDir(), file);
+}
+
+// Channel that receives transcripts: the ticket log channel, falling back to the log channel
+function getTranscriptChannel(client, guild) {
+    const { tickets } = getGuildSettings(client, guild.id);
+    return (tickets.logChannel && guild.channels.cache.get(tickets.logChannel)) || getLogChannel(client, guild);
+}
+
+// Save the transcript, post it to the log channel, tell the user and remove the ticket channel
+async function closeTicket(client, guild, channel, ticket, moderator, reason) {
+    const messages = await fetchTranscript(channel);
+    ticket.status = 'closed';
+    ticket.closedAt = Date.now();
+    ticket.closedBy = moderator.id;
+    ticket.closedByTag = moderator.tag;
+    ticket.closeReason = reason || 'No reason provided';
+    ticket.messageCount = messages.length;
+    const transcript = formatTranscript(ticket, messages);
+    ticket.transcriptFile = saveTranscript(ticket, transcript);
+    client.saveTickets();
+
+    const logChannel = getTranscriptChannel(client, guild);
+    if (logChannel) {
+        const embed = new EmbedBuilder()
+            .setTitle(`🎫 Ticket #${ticket.id} closed`)
+            .setColor(0x5865f2)
+            .addFields(
+                { name: 'Opened by', value: `<@${ticket.userId}> (${ticket.userTag})`, inline: true },
+                { name: 'Closed by', value: `<@${moderator.id}> (${moderator.tag})`, inline: true },
+                { name: 'Claimed by', value: ticket.claimedBy ? `<@${ticket.claimedBy}>` : 'nobody', inline: true },
+                { name: 'Subject', value: ticket.subject.slice(0, 1024) },
+                { name: 'Reason', value: ticket.closeReason.slice(0, 1024) },
+                { name: 'Messages', value: `${ticket.messageCount}`, inline: true }
+            )
+            .setTimestamp();
+        const file = new AttachmentBuilder(Buffer.from(transcript, 'utf8'), { name: `ticket-${ticket.id}.txt` });
+        await logChannel.send({ embeds: [embed], files: [file] }).catch(error =>
+            console.error('Error posting ticket transcript:', error.message));
+    }
+
+    try {
+        const user = await client.users.fetch(ticket.userId);
+        await user.send(`🎫 Your ticket #${ticket.id} in **${guild.name}** was closed.\n**Reason:** ${ticket.closeReason}`);
+    } catch (error) {
+        // DMs may be closed
+    }
+
+    const auditReason = `Ticket #${ticket.id} closed by ${moderator.tag}`;
+    if (channel.isThread()) {
+        await channel.setLocked(true, auditReason);
+        await channel.setArchived(true, auditReason);
+    } else {
+        await channel.delete(auditReason);
+    }
+}
+
+// Staff, and the user who opened it, may close a ticket
+function canClose(member, ticket) {
+    return member.id === ticket.userId || hasCommandPermission(member, 'ticket');
+}
+
+// Buttons and modals with a ticket: custom ID
+async function handleComponent(interaction) {
+    const [, action, id] = interaction.customId.split(':');
+    const client = interaction.client;
+
+    if (action === 'open' || action === 'create') {
+        const guild = client.guilds.cache.get(id);
+        if (!guild) {
+            return await interaction.reply({ content: '❌ This ticket panel belongs to a server I am no longer in.', ephemeral: true });
+        }
+        if (action === 'open') {
+            return await interaction.showModal(buildOpenModal(guild.id));
+        }
+        return await createTicket(interaction, guild);
+    }
+
+    const ticket = getTicket(client, interaction.guildId, Number(id));
+    if (!ticket || ticket.status !== 'open') {
+        return await interaction.reply({ content: '❌ This ticket is already closed.', ephemeral: true });
+    }
+
+    if (action === 'claim') {
+        if (!hasCommandPermission(interaction.member, 'ticket')) {
+            return await interaction.reply(noPermissionReply());
+        }
+        return await claimTicket(interaction, ticket);
+    }
+
+    if (!canClose(interaction.member, ticket)) {
+        return await interaction.reply(noPermissionReply());
+    }
+
+    if (action === 'closeprompt') {
+        return await interaction.showModal(buildCloseModal(ticket.id));
+    }
+
+    if (action === 'close') {
+        const reason = interaction.fields.getTextInputValue('reason');
+        await interaction.reply({ content: '🔒 Closing ticket and saving the transcript...' });
+        try {
+            await closeTicket(client, interaction.guild, interaction.channel, ticket, interaction.user, reason);
+        } catch (error) {
+            await interaction.followUp({ content: `❌ Failed to close ticket. ${error.message}`, ephemeral: true });
+        }
+    }
+}
+
+module.exports = {
+    getTicketByChannel,
+    buildPanel,
+    claimTicket,
+    addUserToTicket,
+    closeTicket,
+    handleComponent
+};
\ No newline at end of file
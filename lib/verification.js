@@ -0,0 +1,223 @@
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    EmbedBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const ms = require('ms');
+const { createCase } = require('./cases');
+const { getGuildData, getGuildSettings } = require('./guilds');
+const { registerTaskHandler, scheduleTask, cancelTask } = require('./scheduler');
+
+// Captcha characters, without look-alikes such as 0/O and 1/I/l
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Custom IDs look like verify:<action>:<guildId>:<userId>
+function customId(action, guildId, userId) {
+    return `verify:${action}:${guildId}:${userId}`;
+}
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+function getPending(client, guildId) {
+    const guildData = getGuildData(client, guildId);
+    if (!guildData.verifications) {
+        guildData.verifications = {};
+    }
+    return guildData.verifications;
+}
+
+// Verification needs both a quarantine role and a channel to post challenges in
+function isConfigured(client, guild) {
+    const { verification } = getGuildSettings(client, guild.id);
+    return Boolean(verification.role && verification.channel && guild.channels.cache.get(verification.channel));
+}
+
+// Quarantine a member and post their challenge in the verify channel
+async function startVerification(client, member, reason = 'Verification required') {
+    const guild = member.guild;
+    if (getPending(client, guild.id)[member.id]) return;
+
+    const { verification } = getGuildSettings(client, guild.id);
+    const channel = guild.channels.cache.get(verification.channel);
+    const expiresAt = Date.now() + verification.timeLimit;
+
+    const pending = {
+        userId: member.id,
+        mode: verification.mode,
+        code: verification.mode === 'captcha' ? generateCode() : null,
+        expiresAt,
+        channelId: channel.id,
+        messageId: null
+    };
+
+    const embed = new EmbedBuilder()
+        .setTitle('Verification required')
+        .setColor(0x5865f2)
+        .setDescription(pending.code
+            ? `Press **Enter code** and type this code to get access:\n\n**\`${pending.code.split('').join(' ')}\`**`
+            : 'Press **Verify** to get access to the server.')
+        .addFields({ name: 'Time limit', value: `You will be removed <t:${Math.floor(expiresAt / 1000)}:R> if you don't verify.` });
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId(pending.code ? 'code' : 'button', guild.id, member.id))
+            .setLabel(pending.code ? 'Enter code' : 'Verify')
+            .setStyle(ButtonStyle.Success)
+    );
+
+    // Post before quarantining, so a channel the bot can't send to doesn't leave the member stuck
+    const message = await channel.send({ content: `<@${member.id}>`, embeds: [embed], components: [row] });
+    try {
+        await member.roles.add(verification.role, reason);
+    } catch (error) {
+        await message.delete().catch(() => null);
+        throw error;
+    }
+    pending.messageId = message.id;
+    getPending(client, guild.id)[member.id] = pending;
+    client.saveData();
+
+    scheduleTask(client, {
+        type: 'verifyTimeout',
+        guildId: guild.id,
+        targetId: member.id,
+        runAt: expiresAt,
+        data: { userTag: member.user.tag }
+    });
+}
+
+// Drop a pending verification and its challenge message
+async function clearPending(client, guild, userId) {
+    const pendingList = getPending(client, guild.id);
+    const pending = pendingList[userId];
+    if (!pending) return null;
+
+    delete pendingList[userId];
+    client.saveData();
+    cancelTask(client, 'verifyTimeout', guild.id, userId);
+
+    const channel = guild.channels.cache.get(pending.channelId);
+    if (channel && pending.messageId) {
+        await channel.messages.delete(pending.messageId).catch(() => null);
+    }
+    return pending;
+}
+
+async function passVerification(interaction, guild, member) {
+    const { verification } = getGuildSettings(interaction.client, guild.id);
+    await clearPending(interaction.client, guild, member.id);
+    await member.roles.remove(verification.role, 'Passed verification');
+    console.log(`✅ ${member.user.tag} passed verification`);
+
+    await interaction.reply({ content: `✅ You're verified. Welcome to **${guild.name}**!`, ephemeral: true });
+}
+
+// Members who run out of time are kicked. Pending stays until the kick goes through (or the member
+// has left), so a failed kick is retried by the scheduler instead of letting them stay unverified.
+registerTaskHandler('verifyTimeout', async (client, guild, task) => {
+    const pending = getPending(client, guild.id)[task.targetId];
+    if (!pending) return;
+
+    const member = await guild.members.fetch(task.targetId).catch(() => null);
+    if (member) {
+        const { verification } = getGuildSettings(client, guild.id);
+        const reason = `Did not verify within ${ms(verification.timeLimit, { long: true })}`;
+        await member.kick(reason);
+        createCase(client, {
+            guild,
+            action: 'kick',
+            target: member.user,
+            moderator: client.user,
+            reason
+        });
+        console.log(`⏰ Kicked ${member.user.tag} (verification timed out)`);
+    }
+
+    delete getPending(client, guild.id)[task.targetId];
+    client.saveData();
+    const channel = guild.channels.cache.get(pending.channelId);
+    if (channel && pending.messageId) {
+        await channel.messages.delete(pending.messageId).catch(() => null);
+    }
+});
+
+// Put a new member through verification when the guild has it switched on
+async function handleMemberAdd(client, member) {
+    const { verification } = getGuildSettings(client, member.guild.id);
+    if (!verification.enabled || member.user.bot || !isConfigured(client, member.guild)) return false;
+
+    try {
+        await startVerification(client, member);
+        return true;
+    } catch (error) {
+        console.error('Error starting verification:', error.message);
+        return false;
+    }
+}
+
+// Forget pending verifications for members who leave
+async function handleMemberRemove(client, member) {
+    await clearPending(client, member.guild, member.id);
+}
+
+// Buttons and modals with a verify: custom ID
+async function handleComponent(interaction) {
+    const [, action, guildId, userId] = interaction.customId.split(':');
+    const guild = interaction.client.guilds.cache.get(guildId);
+    const pending = guild ? getPending(interaction.client, guildId)[userId] : null;
+
+    if (interaction.user.id !== userId) {
+        return await interaction.reply({ content: '❌ This challenge is for someone else.', ephemeral: true });
+    }
+    if (!pending) {
+        return await interaction.reply({ content: '❌ This challenge has expired.', ephemeral: true });
+    }
+
+    if (action === 'button' && pending.mode === 'button') {
+        return await passVerification(interaction, guild, interaction.member);
+    }
+
+    if (action === 'code') {
+        return await interaction.showModal(new ModalBuilder()
+            .setCustomId(customId('submit', guildId, userId))
+            .setTitle('Verification')
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('code')
+                        .setLabel('Enter the code shown in the channel')
+                        .setStyle(TextInputStyle.Short)
+                        .setMinLength(CODE_LENGTH)
+                        .setMaxLength(CODE_LENGTH * 2)
+                        .setRequired(true)
+                )
+            ));
+    }
+
+    if (action === 'submit') {
+        const answer = interaction.fields.getTextInputValue('code').replace(/\s+/g, '').toUpperCase();
+        if (answer !== pending.code) {
+            return await interaction.reply({ content: '❌ That code is wrong. Try again.', ephemeral: true });
+        }
+        return await passVerification(interaction, guild, interaction.member);
+    }
+}
+
+module.exports = {
+    isConfigured,
+    startVerification,
+    handleMemberAdd,
+    handleMemberRemove,
+    handleComponent
+};
\ No newline at end of file
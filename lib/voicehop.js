@@ -0,0 +1,73 @@
+const ms = require('ms');
+const { hasModPermission } = require('../utils');
+const { createCase } = require('./cases');
+const { getGuildSettings } = require('./guilds');
+const { logAction } = require('./auditlog');
+const metrics = require('./metrics');
+
+// Recent voice channel joins per guild member, keyed by `${guildId}:${userId}`
+const recentJoins = new Map();
+
+// Track voice channel joins and moves; act on members hopping between channels too fast.
+// Resolves to the reason when the member was dealt with.
+async function handleVoiceStateUpdate(client, oldState, newState) {
+    const member = newState.member;
+    if (!member || member.user.bot) return null;
+    // Only joining or switching to a channel counts, not leaving or muting
+    if (!newState.channelId || newState.channelId === oldState.channelId) return null;
+
+    const guild = newState.guild;
+    const settings = getGuildSettings(client, guild.id).voiceHop;
+    if (!settings.enabled || hasModPermission(member)) return null;
+
+    const key = `${guild.id}:${member.id}`;
+    const now = Date.now();
+    const joins = (recentJoins.get(key) || []).filter(timestamp => now - timestamp < settings.timeWindow);
+    joins.push(now);
+    recentJoins.set(key, joins);
+
+    if (joins.length <= settings.joinLimit) return null;
+
+    // Reset so the next hop doesn't trigger again straight away
+    recentJoins.delete(key);
+    metrics.increment('voiceHops');
+
+    const reason = `Voice hopping: ${joins.length} channel joins in ${settings.timeWindow / 1000}s`;
+    console.log(`🔊 ${member.user.tag} is hopping between voice channels (${reason})`);
+
+    try {
+        await member.voice.disconnect(reason);
+    } catch (error) {
+        console.error('Error disconnecting voice hopper:', error.message);
+    }
+
+    if (settings.action === 'timeout' && member.moderatable) {
+        try {
+            await member.timeout(settings.muteTime, reason);
+            createCase(client, {
+                guild,
+                action: 'mute',
+                target: member.user,
+                moderator: client.user,
+                reason,
+                duration: ms(settings.muteTime),
+                channel: newState.channel
+            });
+            return reason;
+        } catch (error) {
+            console.error('Error muting voice hopper:', error.message);
+        }
+    }
+
+    await logAction(client, guild, {
+        title: '🔊 Voice hopper disconnected',
+        actor: client.user,
+        target: `<@${member.id}> (${member.user.tag})`,
+        reason
+    });
+    return reason;
+}
+
+module.exports = {
+    handleVoiceStateUpdate
+};
\ No newline at end of file
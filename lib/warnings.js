@@ -0,0 +1,77 @@
+const ms = require('ms');
+const config = require('../config.json');
+const { createCase, getCases } = require('./cases');
+
+// A warning counts towards escalation until it is pardoned or decays
+function isActiveWarning(entry, now = Date.now()) {
+    if (entry.action !== 'warn' || entry.pardoned) return false;
+    const { expireAfter } = config.moderation.warnings;
+    if (!expireAfter) return true;
+    return now - entry.timestamp < ms(expireAfter);
+}
+
+// Active warnings for a user in a guild, newest first
+function getActiveWarnings(client, guildId, userId) {
+    const now = Date.now();
+    return getCases(client, guildId, { targetId: userId, action: 'warn' })
+        .filter(entry => isActiveWarning(entry, now));
+}
+
+// Escalation step that applies at exactly this many active warnings, if any
+function getEscalationStep(count) {
+    return config.moderation.warnings.escalation.find(step => step.count === count) || null;
+}
+
+// Apply the configured escalation action and record it as its own case
+async function escalate(client, guild, user, count) {
+    const step = getEscalationStep(count);
+    if (!step) return null;
+
+    const reason = `Automatic escalation: ${count} active warnings`;
+    const member = await guild.members.fetch(user.id).catch(() => null);
+
+    if (step.action === 'mute') {
+        if (!member) return null;
+        await member.timeout(ms(step.duration), reason);
+    } else if (step.action === 'kick') {
+        if (!member) return null;
+        await member.kick(reason);
+    } else if (step.action === 'ban') {
+        await guild.members.ban(user, { reason });
+    } else {
+        return null;
+    }
+
+    return createCase(client, {
+        guild,
+        action: step.action,
+        target: user,
+        moderator: client.user,
+        reason,
+        duration: step.duration
+    });
+}
+
+// Mark a warning as pardoned and log the pardon as a case
+function pardonWarning(client, guild, warning, moderator, reason) {
+    warning.pardoned = true;
+    warning.pardonedBy = moderator.id;
+    warning.pardonedAt = Date.now();
+
+    return createCase(client, {
+        guild,
+        action: 'pardon',
+        target: { id: warning.targetId, tag: warning.targetTag },
+        moderator,
+        reason: reason || `Pardoned warning #${warning.id}`,
+        extra: { warningId: warning.id }
+    });
+}
+
+module.exports = {
+    isActiveWarning,
+    getActiveWarnings,
+    getEscalationStep,
+    escalate,
+    pardonWarning
+};
\ No newline at end of file
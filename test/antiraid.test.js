@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { DAY, createTestBot, createFakeGuild, createFakeMember, createFakeUser, emit } = require('./fakes');
+const { getGuildData, setGuildSetting } = require('../lib/guilds');
+const { resumeRaids } = require('../lib/antiraid');
+
+// Defaults from config.json: 5 joins within 30s switch raid mode on
+function setup() {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    // Keep the quiet period short so raid mode switches itself off before the test ends
+    setGuildSetting(client, guild.id, 'antiRaid.quietPeriod', 50);
+
+    const join = (username, options = {}) => {
+        const member = createFakeMember(guild, createFakeUser({ username, ...options }));
+        return emit(client, 'guildMemberAdd', member).then(() => member);
+    };
+    return { client, guild, join };
+}
+
+const kicked = client => client.calls.filter(call => call.type === 'kick').map(call => call.userId);
+
+test('joins below the threshold are let in', async () => {
+    const { client, guild, join } = setup();
+    for (const name of ['alice', 'bob', 'carol', 'dave']) await join(name, { createdTimestamp: Date.now() - 60 * 1000 });
+
+    assert.deepStrictEqual(kicked(client), []);
+    assert.ok(!getGuildData(client, guild.id).raidMode);
+});
+
+test('with raid mode on, every new member is kicked and a case is recorded', async () => {
+    const { client, guild, join } = setup();
+    getGuildData(client, guild.id).raidMode = true;
+
+    const member = await join('visitor');
+
+    assert.deepStrictEqual(kicked(client), [member.id]);
+    const entry = client.cases.list[client.cases.list.length - 1];
+    assert.strictEqual(entry.action, 'kick');
+    assert.strictEqual(entry.targetId, member.id);
+    assert.strictEqual(entry.reason, 'Raid mode is active');
+});
+
+test('crossing the join threshold enables raid mode and kicks suspicious joiners', async () => {
+    const { client, guild, join } = setup();
+    const established = { createdTimestamp: Date.now() - 365 * DAY };
+    const fresh = { createdTimestamp: Date.now() - 60 * 1000 };
+
+    const alice = await join('alice', established);
+    const raider1 = await join('raider1', fresh);
+    const bob = await join('bob', established);
+    const raider2 = await join('raider2', fresh);
+    assert.deepStrictEqual(kicked(client), []);
+
+    // The fifth join crosses the threshold: it is kicked by raid mode and the fresh accounts with it
+    const fifth = await join('carol', established);
+    assert.strictEqual(getGuildData(client, guild.id).raidMode, true);
+    assert.deepStrictEqual(kicked(client).sort(), [raider1.id, raider2.id, fifth.id].sort());
+    assert.ok(guild.members.cache.has(alice.id) && guild.members.cache.has(bob.id));
+
+    // The raid is saved with its quiet-period deadline in case the bot restarts
+    const raid = getGuildData(client, guild.id).autoRaid;
+    assert.strictEqual(raid.kicked.length, 3);
+    assert.ok(raid.endsAt > raid.startedAt);
+
+    // Raid mode ends by itself after the quiet period
+    await sleep(100);
+    assert.strictEqual(getGuildData(client, guild.id).raidMode, false);
+    assert.strictEqual(getGuildData(client, guild.id).autoRaid, undefined);
+});
+
+test('an automatic raid that was running before a restart is ended once its quiet period passes', async () => {
+    const { client, guild } = setup();
+    const guildData = getGuildData(client, guild.id);
+    const startedAt = Date.now() - 10 * 60 * 1000;
+    guildData.raidMode = true;
+    guildData.raidStartedAt = startedAt;
+    guildData.autoRaid = { startedAt, endsAt: Date.now() - 1000, kicked: [], verified: [], joins: 6 };
+
+    await resumeRaids(client);
+
+    assert.strictEqual(guildData.raidMode, false);
+    assert.strictEqual(guildData.autoRaid, undefined);
+    assert.strictEqual(guildData.lastRaid.startedAt, startedAt);
+});
+
+test('raid detection can be disabled per server', async () => {
+    const { client, guild, join } = setup();
+    setGuildSetting(client, guild.id, 'antiRaid.enabled', false);
+    for (let i = 0; i < 8; i++) await join(`raider${i}`, { createdTimestamp: Date.now() - 60 * 1000 });
+
+    assert.deepStrictEqual(kicked(client), []);
+    assert.ok(!getGuildData(client, guild.id).raidMode);
+});
\ No newline at end of file
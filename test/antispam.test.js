@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, emit } = require('./fakes');
+const { setGuildSetting } = require('../lib/guilds');
+
+// Defaults from config.json: more than 5 messages in 10s, 3 duplicates or 5 mentions trigger a 10 minute mute
+function setup() {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const member = createFakeMember(guild, createFakeUser({ username: 'spammer' }));
+    const send = (content, options = {}) => emit(client, 'messageCreate', channel.addMessage({ author: member.user, content, ...options }));
+    return { client, guild, channel, member, send };
+}
+
+const timeouts = client => client.calls.filter(call => call.type === 'timeout');
+
+test('messages up to the limit are left alone', async () => {
+    const { client, channel, send } = setup();
+    for (let i = 0; i < 5; i++) await send(`message ${i}`);
+
+    assert.strictEqual(timeouts(client).length, 0);
+    assert.strictEqual(channel.messages.cache.size, 5);
+});
+
+test('one message over the limit mutes the sender and deletes the burst', async () => {
+    const { client, channel, member, send } = setup();
+    for (let i = 0; i < 6; i++) await send(`message ${i}`);
+
+    assert.deepStrictEqual(timeouts(client).map(call => [call.userId, call.duration]), [[member.id, 600000]]);
+    assert.strictEqual(channel.messages.cache.size, 0);
+
+    const entry = client.cases.list[client.cases.list.length - 1];
+    assert.strictEqual(entry.action, 'mute');
+    assert.match(entry.reason, /6 messages in 10s/);
+});
+
+test('repeating the same message triggers on the third copy', async () => {
+    const { client, send } = setup();
+    await send('buy now');
+    await send('buy now');
+    assert.strictEqual(timeouts(client).length, 0);
+
+    await send('BUY NOW');
+    assert.strictEqual(timeouts(client).length, 1);
+    assert.match(client.cases.list[client.cases.list.length - 1].reason, /3 duplicate messages/);
+});
+
+test('a single message with too many mentions triggers', async () => {
+    const { client, send } = setup();
+    const users = Array.from({ length: 5 }, () => createFakeUser());
+    await send('hello everyone', { mentions: { users } });
+
+    assert.strictEqual(timeouts(client).length, 1);
+    assert.match(client.cases.list[client.cases.list.length - 1].reason, /5 mentions/);
+});
+
+test('the limits can be changed per server', async () => {
+    const { client, guild, send } = setup();
+    setGuildSetting(client, guild.id, 'antiSpam.messageLimit', 10);
+    for (let i = 0; i < 10; i++) await send(`message ${i}`);
+    assert.strictEqual(timeouts(client).length, 0);
+
+    await send('one more');
+    assert.strictEqual(timeouts(client).length, 1);
+});
+
+test('exempt channels and roles are ignored', async () => {
+    const { client, guild, channel, member, send } = setup();
+    setGuildSetting(client, guild.id, 'antiSpam.exemptChannels', [channel.id]);
+    for (let i = 0; i < 8; i++) await send(`message ${i}`);
+    assert.strictEqual(timeouts(client).length, 0);
+
+    const trusted = createFakeRole(guild, { name: 'Trusted' });
+    await member.roles.add(trusted);
+    setGuildSetting(client, guild.id, 'antiSpam.exemptChannels', []);
+    setGuildSetting(client, guild.id, 'antiSpam.exemptRoles', [trusted.id]);
+    for (let i = 0; i < 8; i++) await send(`other ${i}`);
+    assert.strictEqual(timeouts(client).length, 0);
+});
+
+test('senders the bot cannot time out only have their messages deleted', async () => {
+    const { client, guild, channel, member, send } = setup();
+    await member.roles.add(createFakeRole(guild, { name: 'Above bot', position: 200 }));
+    for (let i = 0; i < 6; i++) await send(`message ${i}`);
+
+    assert.strictEqual(timeouts(client).length, 0);
+    assert.strictEqual(channel.messages.cache.size, 0);
+    assert.strictEqual(client.cases.list.length, 0);
+});
\ No newline at end of file
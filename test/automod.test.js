@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, findBannedWords, compileRule } = require('../lib/automod');
+const { MAX_TEST_LENGTH, testPattern } = require('../lib/patterns');
+
+test('normalizeText undoes leetspeak inside words but leaves plain numbers alone', () => {
+    assert.strictEqual(normalizeText('h3ll0 b4d'), 'hello bad');
+    assert.strictEqual(normalizeText('hello 2024'), 'hello 2024');
+    assert.strictEqual(normalizeText('Bob2024'), 'bob2024');
+    assert.strictEqual(normalizeText('that is bad!'), 'that is bad');
+});
+
+test('banned words still match leetspeak and stretched letters', () => {
+    assert.deepStrictEqual(findBannedWords('that is b4d', ['bad']), ['bad']);
+    assert.deepStrictEqual(findBannedWords('that is baaaad', ['bad']), ['bad']);
+    assert.deepStrictEqual(findBannedWords('you a55', ['ass']), ['ass']);
+    assert.deepStrictEqual(findBannedWords('you asssss', ['ass']), ['ass']);
+});
+
+test('banned words do not match ordinary words with doubled letters', () => {
+    assert.deepStrictEqual(findBannedWords('as far as I know', ['ass']), []);
+    assert.deepStrictEqual(findBannedWords('I need to pass the class', ['pas']), []);
+    assert.deepStrictEqual(findBannedWords('see you in 2024', ['zoza']), []);
+});
+
+test('rules that could backtrack catastrophically are refused', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)*b', '(\\w+\\s?)*$', '(.*a){20}', '(\\w)\\1']) {
+        assert.throws(() => compileRule(pattern), /take too long/, pattern);
+    }
+    assert.throws(() => compileRule('(unclosed'), /Invalid regular expression/);
+    assert.ok(compileRule('(?:free|cheap)\\s+nitro').test('Free  Nitro'));
+    assert.ok(compileRule('disc[o0]rd(?:app)?\\.gift').test('discordapp.gift'));
+});
+
+test('rules only look at the start of very long messages', () => {
+    const regex = compileRule('needle');
+    assert.ok(testPattern(regex, `${'x'.repeat(MAX_TEST_LENGTH - 6)}needle`));
+    assert.ok(!testPattern(regex, `${'x'.repeat(MAX_TEST_LENGTH)}needle`));
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, lastReply } = require('./fakes');
+const { getGuildData } = require('../lib/guilds');
+
+function setup(options = {}) {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const modRole = createFakeRole(guild, { name: 'Moderator', position: 10, permissions: [PermissionFlagsBits.BanMembers] });
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [modRole] });
+    const target = createFakeMember(guild, createFakeUser({ username: 'target' }));
+
+    // Appeal DMs that can be edited afterwards, like real messages
+    target.user.send = async content => {
+        const dm = { content, edits: [], async edit(update) { dm.edits.push(update); } };
+        target.user.dms.push(dm);
+        return dm;
+    };
+    guild.members.ban = async (user, { reason }) => {
+        client.calls.push({ type: 'ban', userId: user.id, reason });
+    };
+
+    const interaction = createFakeInteraction(client, {
+        commandName: 'ban',
+        member: moderator,
+        channel,
+        options: { user: target.user, reason: 'testing', ...options }
+    });
+    return { client, guild, target, interaction };
+}
+
+test('/ban defers, bans and links the appeal to the new case', async () => {
+    const { client, guild, target, interaction } = setup();
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.ok(interaction.deferred);
+    assert.ok(client.calls.some(call => call.type === 'ban' && call.userId === target.id), lastReply(interaction));
+    assert.match(lastReply(interaction), /has been banned.*\(Case #1\)[\s\S]*Appeal instructions sent/);
+    assert.strictEqual(target.user.dms.length, 1);
+    assert.strictEqual(getGuildData(client, guild.id).appeals[target.id].caseId, 1);
+});
+
+test('/ban corrects the appeal DM when the ban fails', async () => {
+    const { client, guild, target, interaction } = setup();
+    guild.members.ban = async () => {
+        throw new Error('Missing Permissions');
+    };
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.match(lastReply(interaction), /Failed to ban \*\*target#0\*\*\. Missing Permissions/);
+    assert.strictEqual(client.cases.list.length, 0);
+    assert.strictEqual(getGuildData(client, guild.id).appeals[target.id], undefined);
+    assert.match(target.user.dms[0].edits[0].content, /did not go through/);
+    assert.deepStrictEqual(target.user.dms[0].edits[0].components, []);
+});
+
+for (const input of ['soon', '0', '-1d']) {
+    test(`/ban rejects the duration "${input}"`, async () => {
+        const { client, interaction } = setup({ duration: input });
+        await emit(client, 'interactionCreate', interaction);
+
+        assert.strictEqual(client.calls.some(call => call.type === 'ban'), false);
+        assert.match(lastReply(interaction), /Invalid duration/);
+        assert.strictEqual(client.data.scheduledTasks.length, 0);
+    });
+}
\ No newline at end of file
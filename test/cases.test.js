@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit } = require('./fakes');
+const { createCase, getCase, getCases, updateCaseReason, buildCaseEmbed, buildCaseListEmbed } = require('../lib/cases');
+
+test('every server numbers its cases from #1', () => {
+    const client = createTestBot();
+    const [first, second] = [createFakeGuild(client), createFakeGuild(client)];
+    const moderator = createFakeUser({ username: 'mod' });
+    const record = guild => createCase(client, { guild, action: 'warn', target: createFakeUser(), moderator, reason: 'testing' });
+
+    assert.deepStrictEqual([record(first).id, record(first).id, record(second).id], [1, 2, 1]);
+    assert.strictEqual(getCase(client, second.id, 1).guildId, second.id);
+});
+
+test('servers from a shared-counter case file carry on after their highest case, and long reasons fit the embed', () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    client.cases.list.push({ id: 41, guildId: guild.id, action: 'warn', reason: 'old' });
+
+    const entry = createCase(client, { guild, action: 'warn', target: createFakeUser(), moderator: createFakeUser(), reason: 'x'.repeat(2000) });
+    assert.strictEqual(entry.id, 42);
+    assert.strictEqual(buildCaseEmbed(entry).data.fields.find(field => field.name === 'Reason').value.length, 1024);
+});
+
+test('long reasons fit case listings and the edited-reason footer', () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const moderator = createFakeUser({ username: 'mod' });
+    for (let i = 0; i < 10; i++) {
+        createCase(client, { guild, action: 'warn', target: createFakeUser(), moderator, reason: 'x'.repeat(6000) });
+    }
+
+    const list = buildCaseListEmbed('History', getCases(client, guild.id), 1);
+    assert.ok(list.data.description.length <= 4096);
+
+    const entry = updateCaseReason(client, guild.id, 1, 'Shorter', moderator);
+    assert.ok(buildCaseEmbed(entry).data.footer.text.length <= 2048);
+});
+
+test('/warnings fits fifteen long warnings in one embed', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const admin = createFakeMember(guild, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const target = createFakeUser({ username: 'target' });
+    for (let i = 0; i < 15; i++) {
+        createCase(client, { guild, action: 'warn', target, moderator: admin.user, reason: 'x'.repeat(6000) });
+    }
+
+    const interaction = createFakeInteraction(client, { commandName: 'warnings', member: admin, channel: createFakeChannel(guild), options: { user: target } });
+    await emit(client, 'interactionCreate', interaction);
+    assert.ok(interaction.replies[0].embeds[0].data.description.length <= 4096);
+});
\ No newline at end of file
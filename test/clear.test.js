@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Collection, PermissionFlagsBits } = require('discord.js');
+const { DAY, createTestBot, createFakeGuild, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, lastReply } = require('./fakes');
+const { deleteMessages } = require('../lib/purge');
+
+// A channel with `recent` messages from the last hour and `old` ones from three weeks ago
+function fillChannel(channel, author, { recent = 0, old = 0 }) {
+    const now = Date.now();
+    for (let i = 0; i < old; i++) channel.addMessage({ author, content: `old ${i}`, createdTimestamp: now - 21 * DAY + i * 1000 });
+    for (let i = 0; i < recent; i++) channel.addMessage({ author, content: `recent ${i}`, createdTimestamp: now - 60 * 60 * 1000 + i * 1000 });
+}
+
+function setup({ confirm = true } = {}) {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const author = createFakeUser({ username: 'chatter' });
+    const admin = createFakeMember(guild, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const interaction = createFakeInteraction(client, { commandName: 'clear', member: admin, channel, options: { confirm } });
+    return { client, channel, author, interaction };
+}
+
+test('deleteMessages bulk deletes recent messages and deletes 14+ day old ones individually', async () => {
+    const { client, channel, author } = setup();
+    fillChannel(channel, author, { recent: 5, old: 2 });
+
+    const deleted = await deleteMessages(channel, new Collection(channel.messages.cache));
+
+    assert.strictEqual(deleted, 7);
+    assert.deepStrictEqual(client.calls.filter(call => call.type === 'bulkDelete').map(call => call.count), [5]);
+    assert.strictEqual(client.calls.filter(call => call.type === 'deleteMessage').length, 2);
+    assert.strictEqual(channel.messages.cache.size, 0);
+});
+
+test('deleteMessages deletes a single recent message without a bulk delete', async () => {
+    const { client, channel, author } = setup();
+    fillChannel(channel, author, { recent: 1 });
+
+    assert.strictEqual(await deleteMessages(channel, new Collection(channel.messages.cache)), 1);
+    assert.strictEqual(client.calls.some(call => call.type === 'bulkDelete'), false);
+});
+
+test('/clear empties the channel in batches of at most 100', async () => {
+    const { client, channel, author, interaction } = setup();
+    fillChannel(channel, author, { recent: 150, old: 3 });
+
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(channel.messages.cache.size, 0);
+    assert.deepStrictEqual(client.calls.filter(call => call.type === 'bulkDelete').map(call => call.count), [100, 50]);
+    assert.strictEqual(client.calls.filter(call => call.type === 'deleteMessage').length, 3);
+    assert.match(lastReply(interaction), /Cleared \*\*153\*\* messages/);
+
+    const entry = client.cases.list[client.cases.list.length - 1];
+    assert.strictEqual(entry.action, 'clear');
+    assert.strictEqual(entry.extra.deleted, 153);
+});
+
+test('/clear does nothing unless confirmed', async () => {
+    const { client, channel, author, interaction } = setup({ confirm: false });
+    fillChannel(channel, author, { recent: 3 });
+
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(channel.messages.cache.size, 3);
+    assert.strictEqual(client.calls.length, 0);
+    assert.match(lastReply(interaction), /must confirm/);
+});
+
+test('/purge refuses a regex that could backtrack catastrophically', async () => {
+    const { client, channel, author } = setup();
+    fillChannel(channel, author, { recent: 3 });
+    const admin = createFakeMember(channel.guild, createFakeUser({ username: 'admin2' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const interaction = createFakeInteraction(client, { commandName: 'purge', member: admin, channel, options: { amount: 10, regex: '(a+)+$' } });
+
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(channel.messages.cache.size, 3);
+    assert.match(lastReply(interaction), /Invalid regular expression.*take too long/);
+});
\ No newline at end of file
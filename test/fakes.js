@@ -0,0 +1,426 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChannelType, Collection, PermissionsBitField, RESTJSONErrorCodes, SnowflakeUtil } = require('discord.js');
+const { createBot } = require('../bot');
+const { createStorage } = require('../lib/storage');
+
+// Offline stand-ins for the parts of discord.js the bot touches. Every Discord call a fake
+// makes is recorded in `calls` so tests can assert on it instead of on a live server.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Real-looking snowflakes, so code comparing IDs by age behaves like it does live
+function snowflake(timestamp = Date.now()) {
+    return SnowflakeUtil.generate({ timestamp }).toString();
+}
+
+// A bot built by the real factory, with JSON storage in a throwaway directory and a fake bot user
+function createTestBot() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+    const client = createBot({ storage: createStorage({ backend: 'json', dir }) });
+    client.user = createFakeUser({ id: snowflake(), username: 'SecurityBot', bot: true });
+    client.calls = [];
+    return client;
+}
+
+// Run every listener for an event and wait for them, unlike client.emit which doesn't await
+async function emit(client, event, ...args) {
+    await Promise.all(client.listeners(event).map(listener => listener(...args)));
+}
+
+function createFakeUser({ id = snowflake(), username = 'user', globalName = null, bot = false, avatar = 'avatar', createdTimestamp = Date.now() - 365 * DAY } = {}) {
+    return {
+        id,
+        username,
+        globalName,
+        tag: `${username}#0`,
+        bot,
+        avatar,
+        createdTimestamp,
+        dms: [],
+        async send(content) {
+            this.dms.push(content);
+            return { content };
+        },
+        displayAvatarURL: () => `https://cdn.example/${id}.png`,
+        toString: () => `<@${id}>`
+    };
+}
+
+function createFakeRole(guild, { id = snowflake(), name = 'role', position = 1, permissions = [] } = {}) {
+    const role = {
+        id,
+        name,
+        guild,
+        position,
+        managed: false,
+        permissions: new PermissionsBitField(permissions),
+        comparePositionTo: other => role.position - other.position,
+        get editable() {
+            return guild.members.me.roles.highest.position > role.position;
+        }
+    };
+    guild.roles.cache.set(id, role);
+    return role;
+}
+
+function createFakeMember(guild, user, { roles = [], permissions = [], joinedTimestamp = Date.now(), nickname = null } = {}) {
+    const client = guild.client;
+    const roleCache = new Collection([[guild.id, guild.roles.everyone], ...roles.map(role => [role.id, role])]);
+    const extra = new PermissionsBitField(permissions);
+
+    const member = {
+        id: user.id,
+        user,
+        guild,
+        client,
+        joinedTimestamp,
+        nickname,
+        communicationDisabledUntilTimestamp: null,
+        get displayName() {
+            return member.nickname ?? user.globalName ?? user.username;
+        },
+        roles: {
+            cache: roleCache,
+            get highest() {
+                return roleCache.reduce((top, role) => (role.position > top.position ? role : top));
+            },
+            async add(role) {
+                const added = Array.isArray(role) ? role : [role];
+                for (const item of added) {
+                    const found = typeof item === 'string' ? guild.roles.cache.get(item) : item;
+                    if (found) roleCache.set(found.id, found);
+                }
+                client.calls.push({ type: 'addRole', userId: user.id });
+            },
+            async remove(role) {
+                const removed = Array.isArray(role) ? role : [role];
+                for (const item of removed) roleCache.delete(typeof item === 'string' ? item : item.id);
+                client.calls.push({ type: 'removeRole', userId: user.id });
+            }
+        },
+        get permissions() {
+            return new PermissionsBitField([extra.bitfield, ...roleCache.map(role => role.permissions.bitfield)]);
+        },
+        // Like Discord, only members below the bot can be moderated and the owner never can
+        get manageable() {
+            return user.id !== guild.ownerId && guild.members.me.roles.highest.position > member.roles.highest.position;
+        },
+        get moderatable() {
+            return member.manageable && !member.permissions.has(PermissionsBitField.Flags.Administrator);
+        },
+        get kickable() {
+            return member.manageable;
+        },
+        get bannable() {
+            return member.manageable;
+        },
+        // Server mute, deafen and connection state; tests move members with voice.channelId
+        voice: {
+            channelId: null,
+            serverMute: false,
+            serverDeaf: false,
+            get channel() {
+                return guild.channels.cache.get(member.voice.channelId) || null;
+            },
+            async setMute(mute, reason) {
+                member.voice.serverMute = mute;
+                client.calls.push({ type: 'voiceMute', userId: user.id, mute, reason });
+            },
+            async setDeaf(deaf, reason) {
+                member.voice.serverDeaf = deaf;
+                client.calls.push({ type: 'voiceDeaf', userId: user.id, deaf, reason });
+            },
+            async disconnect(reason) {
+                member.voice.channelId = null;
+                client.calls.push({ type: 'voiceDisconnect', userId: user.id, reason });
+            },
+            async setChannel(channel, reason) {
+                member.voice.channelId = channel ? channel.id : null;
+                client.calls.push({ type: 'voiceMove', userId: user.id, channelId: member.voice.channelId, reason });
+            }
+        },
+        isCommunicationDisabled() {
+            return Boolean(member.communicationDisabledUntilTimestamp && member.communicationDisabledUntilTimestamp > Date.now());
+        },
+        async setNickname(nick, reason) {
+            member.nickname = nick;
+            client.calls.push({ type: 'setNickname', userId: user.id, nickname: nick, reason });
+        },
+        async timeout(duration, reason) {
+            member.communicationDisabledUntilTimestamp = duration ? Date.now() + duration : null;
+            client.calls.push({ type: 'timeout', userId: user.id, duration, reason });
+        },
+        async kick(reason) {
+            guild.members.cache.delete(user.id);
+            client.calls.push({ type: 'kick', userId: user.id, reason });
+        },
+        async ban(options = {}) {
+            guild.members.cache.delete(user.id);
+            guild.bans.cache.set(user.id, { user, reason: options.reason || null });
+            client.calls.push({ type: 'ban', userId: user.id, ...options });
+        }
+    };
+
+    guild.members.cache.set(user.id, member);
+    return member;
+}
+
+function createFakeMessage(channel, { author, member, content = '', createdTimestamp = Date.now(), mentions = {}, attachments = 0 } = {}) {
+    const client = channel.client;
+    const message = {
+        id: snowflake(createdTimestamp),
+        channel,
+        channelId: channel.id,
+        guild: channel.guild,
+        author,
+        member: member || channel.guild.members.cache.get(author.id) || null,
+        content,
+        createdTimestamp,
+        partial: false,
+        url: `https://discord.com/channels/${channel.guild.id}/${channel.id}`,
+        mentions: {
+            users: new Collection((mentions.users || []).map(user => [user.id, user])),
+            roles: new Collection((mentions.roles || []).map(role => [role.id, role])),
+            everyone: Boolean(mentions.everyone)
+        },
+        attachments: new Collection(Array.from({ length: attachments }, (_, i) => [`${i}`, { name: `file${i}.png`, url: `https://cdn.example/${i}.png` }])),
+        stickers: new Collection(),
+        embeds: [],
+        async delete() {
+            channel.messages.cache.delete(message.id);
+            client.calls.push({ type: 'deleteMessage', channelId: channel.id, messageId: message.id });
+        }
+    };
+    return message;
+}
+
+function createFakeChannel(guild, { id = snowflake(), name = 'general', type = ChannelType.GuildText, parentId = null } = {}) {
+    const client = guild.client;
+    const cache = new Collection();
+
+    const channel = {
+        id,
+        name,
+        type,
+        guild,
+        guildId: guild.id,
+        client,
+        parentId,
+        rateLimitPerUser: 0,
+        sent: [],
+        // Members connected to it, for voice channels
+        get members() {
+            return guild.members.cache.filter(member => member.voice.channelId === id);
+        },
+        permissionOverwrites: {
+            cache: new Collection(),
+            // Options map permission names to true (allow), false (deny) or null (inherit)
+            async edit(target, options) {
+                const targetId = typeof target === 'string' ? target : target.id;
+                const overwrite = channel.permissionOverwrites.cache.get(targetId)
+                    || { id: targetId, allow: new PermissionsBitField(), deny: new PermissionsBitField() };
+                for (const [name, value] of Object.entries(options)) {
+                    const bit = PermissionsBitField.Flags[name];
+                    overwrite.allow.remove(bit);
+                    overwrite.deny.remove(bit);
+                    if (value === true) overwrite.allow.add(bit);
+                    if (value === false) overwrite.deny.add(bit);
+                }
+                channel.permissionOverwrites.cache.set(targetId, overwrite);
+                client.calls.push({ type: 'editOverwrite', channelId: id, targetId, options });
+            },
+            async delete(target) {
+                const targetId = typeof target === 'string' ? target : target.id;
+                channel.permissionOverwrites.cache.delete(targetId);
+                client.calls.push({ type: 'deleteOverwrite', channelId: id, targetId });
+            }
+        },
+        messages: {
+            cache,
+            // Newest first, like the API
+            async fetch({ limit = 50, before } = {}) {
+                const sorted = [...cache.values()].sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+                const start = before ? sorted.findIndex(message => message.id === before) + 1 : 0;
+                return new Collection(sorted.slice(start, start + limit).map(message => [message.id, message]));
+            },
+            async delete(messageId) {
+                cache.delete(messageId);
+                client.calls.push({ type: 'deleteMessage', channelId: id, messageId });
+            }
+        },
+        // Discord refuses to bulk delete more than 100 messages or anything 14+ days old
+        async bulkDelete(messages, filterOld = false) {
+            const ids = Array.isArray(messages) ? messages : [...messages.keys()];
+            if (ids.length > 100) throw new Error('Cannot bulk delete more than 100 messages');
+
+            const cutoff = Date.now() - 14 * DAY;
+            const deleted = new Collection();
+            for (const messageId of ids) {
+                const message = cache.get(messageId);
+                if (!message) continue;
+                if (message.createdTimestamp <= cutoff) {
+                    if (filterOld) continue;
+                    throw new Error('You can only bulk delete messages that are under 14 days old.');
+                }
+                cache.delete(messageId);
+                deleted.set(messageId, message);
+            }
+            client.calls.push({ type: 'bulkDelete', channelId: id, count: deleted.size });
+            return deleted;
+        },
+        async setRateLimitPerUser(seconds) {
+            channel.rateLimitPerUser = seconds;
+        },
+        async send(content) {
+            channel.sent.push(content);
+            return createFakeMessage(channel, { author: client.user, content: typeof content === 'string' ? content : '' });
+        },
+        isThread: () => false,
+        isTextBased: () => true,
+        toString: () => `<#${id}>`,
+        // Add a message to the channel's history
+        addMessage(options) {
+            const message = createFakeMessage(channel, options);
+            cache.set(message.id, message);
+            return message;
+        }
+    };
+
+    guild.channels.cache.set(id, channel);
+    return channel;
+}
+
+// One side of a voiceStateUpdate: where the member was or is connected
+function createFakeVoiceState(member, channel = null) {
+    return {
+        guild: member.guild,
+        member,
+        id: member.id,
+        channelId: channel ? channel.id : null,
+        channel
+    };
+}
+
+// A guild with an @everyone role, an owner and the bot as a member with a high role
+function createFakeGuild(client, { id = snowflake(), name = 'Test Server' } = {}) {
+    const guild = {
+        id,
+        name,
+        client,
+        ownerId: null,
+        systemChannel: null,
+        roles: { cache: new Collection() },
+        channels: { cache: new Collection() },
+        bans: {
+            cache: new Collection(),
+            async fetch(userId) {
+                const ban = guild.bans.cache.get(userId);
+                if (!ban) throw Object.assign(new Error('Unknown Ban'), { code: RESTJSONErrorCodes.UnknownBan });
+                return ban;
+            }
+        },
+        members: {
+            cache: new Collection(),
+            me: null,
+            // Every member without an ID, like the API
+            async fetch(userId) {
+                if (!userId) return new Collection(guild.members.cache);
+                const member = guild.members.cache.get(userId);
+                if (!member) throw new Error('Unknown Member');
+                return member;
+            },
+            async unban(userId, reason) {
+                client.calls.push({ type: 'unban', userId, reason });
+            }
+        }
+    };
+
+    guild.roles.everyone = { id, name: '@everyone', position: 0, guild, managed: false, permissions: new PermissionsBitField(), comparePositionTo: other => -other.position };
+    guild.roles.cache.set(id, guild.roles.everyone);
+
+    const botRole = createFakeRole(guild, { name: 'Bot', position: 100, permissions: [PermissionsBitField.Flags.Administrator] });
+    guild.members.me = createFakeMember(guild, client.user, { roles: [botRole] });
+
+    const owner = createFakeMember(guild, createFakeUser({ username: 'owner' }));
+    guild.ownerId = owner.id;
+
+    client.guilds.cache.set(id, guild);
+    return guild;
+}
+
+// A slash command interaction. `options` maps option names to values; users, channels and roles
+// are passed as the fake objects themselves.
+function createFakeInteraction(client, { commandName, member, channel, options = {}, subcommand = null, subcommandGroup = null }) {
+    const get = name => (options[name] === undefined ? null : options[name]);
+
+    const interaction = {
+        commandName,
+        client,
+        guild: member.guild,
+        guildId: member.guild.id,
+        member,
+        user: member.user,
+        channel,
+        channelId: channel ? channel.id : null,
+        memberPermissions: member.permissions,
+        replied: false,
+        deferred: false,
+        replies: [],
+        options: {
+            getUser: get,
+            getMember: name => (get(name) ? member.guild.members.cache.get(get(name).id) || null : null),
+            getString: get,
+            getInteger: get,
+            getNumber: get,
+            getBoolean: get,
+            getChannel: get,
+            getRole: get,
+            getAttachment: get,
+            getSubcommand: () => subcommand,
+            getSubcommandGroup: () => subcommandGroup,
+            getFocused: () => ''
+        },
+        async reply(response) {
+            interaction.replied = true;
+            interaction.replies.push(response);
+        },
+        async deferReply() {
+            interaction.deferred = true;
+        },
+        async editReply(response) {
+            interaction.replies.push(response);
+        },
+        async followUp(response) {
+            interaction.replies.push(response);
+        },
+        isChatInputCommand: () => true,
+        isAutocomplete: () => false,
+        isButton: () => false,
+        isModalSubmit: () => false
+    };
+    return interaction;
+}
+
+// Text of the last reply, whether it was sent as a string or an options object
+function lastReply(interaction) {
+    const response = interaction.replies[interaction.replies.length - 1];
+    return typeof response === 'string' ? response : response && response.content;
+}
+
+module.exports = {
+    DAY,
+    snowflake,
+    createTestBot,
+    emit,
+    createFakeUser,
+    createFakeRole,
+    createFakeMember,
+    createFakeMessage,
+    createFakeChannel,
+    createFakeVoiceState,
+    createFakeGuild,
+    createFakeInteraction,
+    lastReply
+};
\ No newline at end of file
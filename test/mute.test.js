@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, lastReply } = require('./fakes');
+
+function setup(duration) {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const modRole = createFakeRole(guild, { name: 'Moderator', position: 10, permissions: [PermissionFlagsBits.ModerateMembers] });
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [modRole] });
+    const target = createFakeMember(guild, createFakeUser({ username: 'target' }));
+    const interaction = createFakeInteraction(client, {
+        commandName: 'mute',
+        member: moderator,
+        channel,
+        options: { user: target.user, duration, reason: 'testing' }
+    });
+    return { client, guild, target, interaction };
+}
+
+for (const [input, expected] of [['10m', 10 * 60 * 1000], ['1h', 60 * 60 * 1000], ['2d', 2 * 24 * 60 * 60 * 1000], ['28d', 28 * 24 * 60 * 60 * 1000]]) {
+    test(`/mute ${input} times the member out for ${expected}ms and records a case`, async () => {
+        const { client, target, interaction } = setup(input);
+        await emit(client, 'interactionCreate', interaction);
+
+        const timeout = client.calls.find(call => call.type === 'timeout');
+        assert.ok(timeout, lastReply(interaction));
+        assert.strictEqual(timeout.userId, target.id);
+        assert.strictEqual(timeout.duration, expected);
+
+        const entry = client.cases.list[client.cases.list.length - 1];
+        assert.strictEqual(entry.action, 'mute');
+        assert.strictEqual(entry.duration, input);
+        assert.match(lastReply(interaction), /has been muted/);
+    });
+}
+
+for (const input of ['soon', '0', '-1h', '29d']) {
+    test(`/mute rejects the duration "${input}"`, async () => {
+        const { client, interaction } = setup(input);
+        await emit(client, 'interactionCreate', interaction);
+
+        assert.strictEqual(client.calls.some(call => call.type === 'timeout'), false);
+        assert.match(lastReply(interaction), /Invalid duration/);
+        assert.strictEqual(client.cases.list.length, 0);
+    });
+}
+
+test('/mute is refused without permission', async () => {
+    const { client, guild, interaction } = setup('10m');
+    interaction.member = createFakeMember(guild, createFakeUser({ username: 'member' }));
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(client.calls.length, 0);
+    assert.match(lastReply(interaction), /do not have permission/);
+});
+
+test('/mute refuses a target at or above the moderator', async () => {
+    const { client, guild, target, interaction } = setup('10m');
+    await target.roles.add(createFakeRole(guild, { name: 'Senior', position: 20 }));
+    client.calls = [];
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(client.calls.length, 0);
+    assert.match(lastReply(interaction), /equal to or above yours/);
+});
+
+test('/mute reports a user who is not in the server', async () => {
+    const { client, guild, target, interaction } = setup('10m');
+    guild.members.cache.delete(target.id);
+    await emit(client, 'interactionCreate', interaction);
+
+    assert.strictEqual(client.calls.length, 0);
+    assert.match(lastReply(interaction), /not found/);
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { hasCommandPermission, hasModPermission, checkHierarchy } = require('../utils');
+const { setGuildSetting } = require('../lib/guilds');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser } = require('./fakes');
+
+function setup() {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    return { client, guild };
+}
+
+test('members without roles or permissions cannot use moderation commands', () => {
+    const { guild } = setup();
+    const member = createFakeMember(guild, createFakeUser());
+
+    assert.strictEqual(hasCommandPermission(member, 'warnings'), false);
+    assert.strictEqual(hasCommandPermission(member, 'ban'), false);
+    assert.strictEqual(hasModPermission(member), false);
+});
+
+test('administrators can use every command', () => {
+    const { guild } = setup();
+    const member = createFakeMember(guild, createFakeUser(), { permissions: [PermissionFlagsBits.Administrator] });
+
+    assert.strictEqual(hasCommandPermission(member, 'config'), true);
+    assert.strictEqual(hasCommandPermission(member, 'massban'), true);
+});
+
+test('a command\'s default Discord permission grants it on its own', () => {
+    const { guild } = setup();
+    const member = createFakeMember(guild, createFakeUser(), { permissions: [PermissionFlagsBits.KickMembers] });
+
+    assert.strictEqual(hasCommandPermission(member, 'kick'), true);
+    assert.strictEqual(hasCommandPermission(member, 'ban'), false);
+});
+
+test('mod roles cover the helper and moderator tiers but not senior', () => {
+    const { client, guild } = setup();
+    const modRole = createFakeRole(guild, { name: 'Mod', position: 5 });
+    setGuildSetting(client, guild.id, 'modRoles', [modRole.id]);
+    const member = createFakeMember(guild, createFakeUser(), { roles: [modRole] });
+
+    assert.strictEqual(hasCommandPermission(member, 'warnings'), true);
+    assert.strictEqual(hasCommandPermission(member, 'mute'), true);
+    assert.strictEqual(hasCommandPermission(member, 'ban'), false);
+    assert.strictEqual(hasModPermission(member), true);
+});
+
+test('commands that aren\'t loaded are refused rather than throwing', () => {
+    const { client, guild } = setup();
+    const modRole = createFakeRole(guild, { name: 'Mod', position: 5 });
+    setGuildSetting(client, guild.id, 'modRoles', [modRole.id]);
+    const member = createFakeMember(guild, createFakeUser(), { roles: [modRole] });
+
+    assert.strictEqual(hasCommandPermission(member, 'nonexistent'), false);
+});
+
+test('roles allowed a tier can use every lower tier', () => {
+    const { client, guild } = setup();
+    const seniorRole = createFakeRole(guild, { name: 'Senior', position: 6 });
+    setGuildSetting(client, guild.id, 'permissions.senior', { roles: [seniorRole.id] });
+    const member = createFakeMember(guild, createFakeUser(), { roles: [seniorRole] });
+
+    assert.strictEqual(hasCommandPermission(member, 'ban'), true);
+    assert.strictEqual(hasCommandPermission(member, 'warn'), true);
+    assert.strictEqual(hasCommandPermission(member, 'config'), false);
+});
+
+test('a command override can remove the native permission', () => {
+    const { client, guild } = setup();
+    setGuildSetting(client, guild.id, 'permissions.kick', { roles: [], permission: null });
+    const member = createFakeMember(guild, createFakeUser(), { permissions: [PermissionFlagsBits.KickMembers] });
+
+    assert.strictEqual(hasCommandPermission(member, 'kick'), false);
+});
+
+test('hierarchy blocks acting on the owner, equal roles and members above the bot', () => {
+    const { guild } = setup();
+    const high = createFakeRole(guild, { name: 'High', position: 10 });
+    const low = createFakeRole(guild, { name: 'Low', position: 2 });
+    const aboveBot = createFakeRole(guild, { name: 'Above bot', position: 200 });
+
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [high] });
+    const target = createFakeMember(guild, createFakeUser({ username: 'target' }), { roles: [low] });
+    const peer = createFakeMember(guild, createFakeUser({ username: 'peer' }), { roles: [high] });
+    const untouchable = createFakeMember(guild, createFakeUser({ username: 'untouchable' }), { roles: [aboveBot] });
+    const owner = guild.members.cache.get(guild.ownerId);
+
+    assert.strictEqual(checkHierarchy(moderator, target), null);
+    assert.match(checkHierarchy(moderator, owner), /server owner/);
+    assert.match(checkHierarchy(moderator, peer), /equal to or above yours/);
+    assert.match(checkHierarchy(owner, untouchable), /equal to or above mine/);
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, lastReply } = require('./fakes');
+const { setGuildSetting } = require('../lib/guilds');
+const { sanitizeName, nameSkeleton } = require('../lib/sanitizer');
+
+const DEFAULTS = { unicode: true, hoisting: true, fallbackName: 'Member' };
+
+// A server with the sanitizer on and a moderator called "SafetyTeam"
+function setup({ enabled = true } = {}) {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const modRole = createFakeRole(guild, { name: 'Moderator', position: 10 });
+    setGuildSetting(client, guild.id, 'modRoles', [modRole.id]);
+    setGuildSetting(client, guild.id, 'sanitizer.enabled', enabled);
+    const staff = createFakeMember(guild, createFakeUser({ username: 'safetyteam', globalName: 'SafetyTeam' }), { roles: [modRole] });
+
+    const join = async (username, options = {}) => {
+        const member = createFakeMember(guild, createFakeUser({ username, ...options }));
+        await emit(client, 'guildMemberAdd', member);
+        return member;
+    };
+    return { client, guild, staff, join };
+}
+
+const nicknames = client => client.calls.filter(call => call.type === 'setNickname').map(call => call.nickname);
+
+test('sanitizeName strips hoisting, zalgo, fancy letters and invisible characters', () => {
+    const cases = [
+        ['!!!Alice', 'Alice', ['hoisting']],
+        ['.  .Bob', 'Bob', ['hoisting']],
+        ['Z̷̡̛a̸̢̛l̵̨̛g̶̡̛o̷̢̕', 'Zalgo', ['unicode']],
+        ['𝓜𝓸𝓭𝓮𝓻𝓪𝓽𝓸𝓻', 'Moderator', ['unicode']],
+        ['ＦＵＬＬ', 'FULL', ['unicode']],
+        ['\u200bCarol\u200d', 'Carol', ['unicode']],
+        ['!!!!', 'Member', ['hoisting']],
+        ['(Tom)', 'Tom', ['hoisting']],
+        ['[Clan] Bob', 'Clan Bob', ['hoisting']]
+    ];
+    for (const [input, name, problems] of cases) {
+        assert.deepStrictEqual(sanitizeName(input, DEFAULTS), { name, problems }, input);
+    }
+});
+
+test('ordinary names are left alone', () => {
+    for (const input of ['José', 'Иван', '2Pac', '🔥 Fire', 'Anne-Marie', 'zoë']) {
+        assert.deepStrictEqual(sanitizeName(input, DEFAULTS), { name: input, problems: [] }, input);
+    }
+});
+
+test('look-alike names share a skeleton', () => {
+    assert.strictEqual(nameSkeleton('S4fetyTeam'), nameSkeleton('SafetyTeam'));
+    // Cyrillic а and е
+    assert.strictEqual(nameSkeleton('Sаfеty Team'), nameSkeleton('SafetyTeam'));
+    assert.strictEqual(nameSkeleton('Bob2024'), 'bob2024');
+});
+
+test('the sanitizer is off unless enabled', async () => {
+    const { client, join } = setup({ enabled: false });
+    await join('!!!hoister');
+    await join('SafetyTeam');
+
+    assert.deepStrictEqual(nicknames(client), []);
+});
+
+test('hoisted names are renamed on join and on nickname changes', async () => {
+    const { client, join } = setup();
+    const member = await join('!!!hoister');
+    assert.deepStrictEqual(nicknames(client), ['hoister']);
+
+    const before = { ...member, partial: false, displayName: member.displayName };
+    member.nickname = '!!!top';
+    await emit(client, 'guildMemberUpdate', before, member);
+    assert.deepStrictEqual(nicknames(client), ['hoister', 'top']);
+
+    // The bot's own rename doesn't trigger another one
+    const renamed = { ...member, partial: false, displayName: '!!!top' };
+    await emit(client, 'guildMemberUpdate', renamed, member);
+    assert.deepStrictEqual(nicknames(client), ['hoister', 'top']);
+});
+
+test('names resembling a staff member are renamed to the fallback by default', async () => {
+    const { client, join } = setup();
+    await join('s4fety_team');
+    assert.deepStrictEqual(nicknames(client), ['Member']);
+
+    await join('harmless');
+    assert.deepStrictEqual(nicknames(client), ['Member']);
+});
+
+test('the impersonation action is configurable', async () => {
+    const { client, guild, join } = setup();
+
+    setGuildSetting(client, guild.id, 'sanitizer.action', 'flag');
+    await join('SafetyTeam');
+    assert.deepStrictEqual(nicknames(client), []);
+
+    setGuildSetting(client, guild.id, 'sanitizer.action', 'timeout');
+    const muted = await join('Safety.Team');
+    assert.deepStrictEqual(client.calls.filter(call => call.type === 'timeout').map(call => [call.userId, call.duration]), [[muted.id, 3600000]]);
+
+    setGuildSetting(client, guild.id, 'sanitizer.action', 'kick');
+    const kicked = await join('SafetyTeam!');
+    assert.deepStrictEqual(client.calls.filter(call => call.type === 'kick').map(call => call.userId), [kicked.id]);
+    assert.deepStrictEqual(client.cases.list.map(entry => entry.action), ['mute', 'kick']);
+    assert.match(client.cases.list[1].reason, /resembles staff member safetyteam#0/);
+});
+
+test('a flagged name is alerted once, not on every later member update', async () => {
+    const { client, guild, join } = setup();
+    const logChannel = createFakeChannel(guild, { name: 'mod-log' });
+    setGuildSetting(client, guild.id, 'logChannel', logChannel.id);
+    setGuildSetting(client, guild.id, 'sanitizer.action', 'flag');
+
+    const alerts = () => logChannel.sent.filter(message => message.embeds[0].data.title === '🎭 Possible staff impersonation').length;
+
+    const member = await join('SafetyTeam');
+    // Role changes arrive with a partial old member when it wasn't cached
+    await emit(client, 'guildMemberUpdate', { partial: true }, member);
+    await emit(client, 'guildMemberUpdate', { partial: true }, member);
+    assert.strictEqual(alerts(), 1);
+
+    member.nickname = 'Safety Team';
+    await emit(client, 'guildMemberUpdate', { ...member, partial: false, displayName: 'SafetyTeam' }, member);
+    assert.strictEqual(alerts(), 2);
+});
+
+test('staff and members above the bot are never renamed', async () => {
+    const { client, guild, staff } = setup();
+    staff.nickname = '!!!Staff';
+    await emit(client, 'guildMemberUpdate', { ...staff, partial: false, displayName: 'SafetyTeam' }, staff);
+
+    const high = createFakeMember(guild, createFakeUser({ username: '!!!high' }), { roles: [createFakeRole(guild, { position: 200 })] });
+    await emit(client, 'guildMemberAdd', high);
+
+    assert.deepStrictEqual(nicknames(client), []);
+});
+
+test('/sanitize all previews and then fixes existing members', async () => {
+    const { client, guild } = setup({ enabled: false });
+    createFakeMember(guild, createFakeUser({ username: '!!!one' }));
+    createFakeMember(guild, createFakeUser({ username: 'Z̷̡̛a̸̢̛l̵̨̛g̶̡̛o̷̢̕' }));
+    createFakeMember(guild, createFakeUser({ username: 'SafetyTeam' }));
+    createFakeMember(guild, createFakeUser({ username: 'fine' }));
+    const admin = createFakeMember(guild, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const channel = createFakeChannel(guild);
+
+    const run = async options => {
+        const interaction = createFakeInteraction(client, { commandName: 'sanitize', member: admin, channel, options, subcommand: 'all' });
+        await emit(client, 'interactionCreate', interaction);
+        return lastReply(interaction);
+    };
+
+    const preview = await run({ dry_run: true });
+    assert.match(preview, /Dry run: checked \*\*4\*\* member/);
+    assert.match(preview, /Would rename 2:\*\*\n• !!!one → one\n• Z.* → Zalgo/);
+    assert.match(preview, /Possible impersonators \(1, action: rename\)/);
+    assert.deepStrictEqual(nicknames(client), []);
+
+    assert.match(await run({}), /Renamed 2/);
+    assert.deepStrictEqual(nicknames(client).sort(), ['Member', 'Zalgo', 'one']);
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, snowflake } = require('./fakes');
+const { getGuildData, setGuildSetting } = require('../lib/guilds');
+const { registerTaskHandler, scheduleTask, findTask, runDueTasks } = require('../lib/scheduler');
+
+let failures = 0;
+registerTaskHandler('alwaysFails', async () => {
+    failures++;
+    throw new Error('Missing Permissions');
+});
+
+test('a task whose server is not cached stays queued and is retried later', async () => {
+    const client = createTestBot();
+    const task = scheduleTask(client, { type: 'unban', guildId: snowflake(), targetId: snowflake(), runAt: Date.now(), data: {} });
+
+    await runDueTasks(client);
+
+    assert.ok(client.data.scheduledTasks.includes(task));
+    assert.strictEqual(task.attempts, 1);
+    assert.ok(task.runAt > Date.now());
+});
+
+test('a due task is removed once its handler succeeds', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const userId = snowflake();
+    scheduleTask(client, { type: 'unban', guildId: guild.id, targetId: userId, runAt: Date.now(), data: { targetTag: 'user', caseId: 1 } });
+
+    await runDueTasks(client);
+
+    assert.deepStrictEqual(client.calls.map(call => call.userId), [userId]);
+    assert.strictEqual(client.data.scheduledTasks.length, 0);
+});
+
+test('a failing task is given up after the retry cap and logged', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const logChannel = createFakeChannel(guild, { name: 'mod-log' });
+    setGuildSetting(client, guild.id, 'logChannel', logChannel.id);
+    const task = scheduleTask(client, { type: 'alwaysFails', guildId: guild.id, targetId: snowflake(), runAt: Date.now() });
+
+    failures = 0;
+    while (client.data.scheduledTasks.includes(task)) {
+        task.runAt = Date.now();
+        await runDueTasks(client);
+    }
+
+    assert.strictEqual(failures, 5);
+    assert.strictEqual(logChannel.sent.length, 1);
+    assert.strictEqual(logChannel.sent[0].embeds[0].data.title, '⚠️ Scheduled task failed');
+});
+
+test('a verification timeout keeps the member pending until the kick goes through', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const member = createFakeMember(guild, createFakeUser({ username: 'newcomer' }));
+    const challenge = channel.addMessage({ author: client.user, content: 'Verify here' });
+    getGuildData(client, guild.id).verifications = { [member.id]: { channelId: channel.id, messageId: challenge.id } };
+    const task = scheduleTask(client, { type: 'verifyTimeout', guildId: guild.id, targetId: member.id, runAt: Date.now() });
+
+    const kick = member.kick;
+    member.kick = async () => {
+        throw new Error('Missing Permissions');
+    };
+    await runDueTasks(client);
+
+    assert.ok(client.data.scheduledTasks.includes(task));
+    assert.ok(getGuildData(client, guild.id).verifications[member.id]);
+    assert.ok(channel.messages.cache.has(challenge.id));
+
+    member.kick = kick;
+    task.runAt = Date.now();
+    await runDueTasks(client);
+
+    assert.strictEqual(client.data.scheduledTasks.length, 0);
+    assert.deepStrictEqual(getGuildData(client, guild.id).verifications, {});
+    assert.ok(!channel.messages.cache.has(challenge.id));
+    assert.strictEqual(client.cases.list[0].action, 'kick');
+});
+
+test('/slowmode over a running temporary slowmode still restores the original one', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    channel.rateLimitPerUser = 5;
+    const modRole = createFakeRole(guild, { name: 'Moderator', position: 10, permissions: [PermissionFlagsBits.ManageChannels] });
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [modRole] });
+
+    for (const seconds of [30, 60]) {
+        const interaction = createFakeInteraction(client, { commandName: 'slowmode', member: moderator, channel, options: { seconds, duration: '1h' } });
+        await emit(client, 'interactionCreate', interaction);
+    }
+
+    const task = findTask(client, 'slowmode', guild.id, channel.id);
+    assert.strictEqual(channel.rateLimitPerUser, 60);
+    assert.strictEqual(task.data.previous, 5);
+});
+
+test('/slowmode and /lockdown reject negative durations', async () => {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const admin = createFakeMember(guild, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+
+    for (const [commandName, options] of [['slowmode', { seconds: 30, duration: '-1h' }], ['lockdown', { duration: '-1h' }]]) {
+        const interaction = createFakeInteraction(client, { commandName, member: admin, channel, options });
+        await emit(client, 'interactionCreate', interaction);
+        assert.match(interaction.replies[0].content, /Invalid duration/, commandName);
+    }
+    assert.strictEqual(channel.rateLimitPerUser, 0);
+    assert.strictEqual(client.data.scheduledTasks.length, 0);
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit } = require('./fakes');
+const { getGuildData } = require('../lib/guilds');
+const { createCase } = require('../lib/cases');
+const { createServer } = require('../lib/server');
+
+const TOKEN = 'test-token';
+
+// A bot with one server, served on a random local port
+async function setup(options = { token: TOKEN }) {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const server = createServer(client, options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const request = (path, { method = 'GET', body, token = TOKEN } = {}) => fetch(base + path, {
+        method,
+        headers: { ...(token && { Authorization: `Bearer ${token}` }), ...(body && { 'Content-Type': 'application/json' }) },
+        body: body && JSON.stringify(body)
+    });
+    return { client, guild, server, request };
+}
+
+test('/health and /metrics need no token', async t => {
+    const { client, guild, server, request } = await setup();
+    t.after(() => server.close());
+
+    const health = await request('/health', { token: null });
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual((await health.json()).status, 'ok');
+
+    const admin = createFakeMember(guild, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const interaction = createFakeInteraction(client, { commandName: 'mute', member: admin, channel: createFakeChannel(guild), options: { user: admin.user, duration: '10m' } });
+    await emit(client, 'interactionCreate', interaction);
+
+    const metrics = await request('/metrics', { token: null });
+    assert.strictEqual(metrics.status, 200);
+    const text = await metrics.text();
+    assert.match(text, /^# TYPE security_bot_commands_total counter$/m);
+    assert.match(text, /^security_bot_commands_total\{command="mute"\} \d+$/m);
+    assert.match(text, /^security_bot_raid_kicks_total \d+$/m);
+    assert.match(text, /^security_bot_guilds 1$/m);
+});
+
+test('the API rejects missing or wrong tokens', async t => {
+    const { server, request } = await setup();
+    t.after(() => server.close());
+
+    assert.strictEqual((await request('/api/guilds', { token: null })).status, 401);
+    assert.strictEqual((await request('/api/guilds', { token: 'wrong' })).status, 401);
+    assert.strictEqual((await request('/api/guilds')).status, 200);
+});
+
+test('the API is disabled without a configured token', async t => {
+    const { server, request } = await setup({ token: undefined });
+    t.after(() => server.close());
+
+    assert.strictEqual((await request('/api/guilds')).status, 404);
+});
+
+test('raid mode can be read and toggled', async t => {
+    const { client, guild, server, request } = await setup();
+    t.after(() => server.close());
+
+    assert.deepStrictEqual(await (await request(`/api/guilds/${guild.id}/raidmode`)).json(), { enabled: false, action: null });
+
+    const enabled = await request(`/api/guilds/${guild.id}/raidmode`, { method: 'PUT', body: { enabled: true } });
+    assert.strictEqual(enabled.status, 200);
+    assert.deepStrictEqual(await enabled.json(), { enabled: true, action: 'kick' });
+    assert.strictEqual(getGuildData(client, guild.id).raidMode, true);
+
+    const invalid = await request(`/api/guilds/${guild.id}/raidmode`, { method: 'PUT', body: { enabled: 'yes' } });
+    assert.strictEqual(invalid.status, 400);
+
+    // Verify mode needs verification set up first
+    const verify = await request(`/api/guilds/${guild.id}/raidmode`, { method: 'PUT', body: { enabled: true, action: 'verify' } });
+    assert.strictEqual(verify.status, 409);
+
+    await request(`/api/guilds/${guild.id}/raidmode`, { method: 'PUT', body: { enabled: false } });
+    assert.strictEqual(getGuildData(client, guild.id).raidMode, false);
+
+    assert.strictEqual((await request(`/api/guilds/${guild.id}/raidmode`, { method: 'DELETE' })).status, 405);
+    assert.strictEqual((await request('/api/guilds/123/raidmode')).status, 404);
+});
+
+test('locked channels are listed with their scheduled unlock', async t => {
+    const { client, guild, server, request } = await setup();
+    t.after(() => server.close());
+
+    const channel = createFakeChannel(guild, { name: 'announcements' });
+    getGuildData(client, guild.id).lockedChannels[channel.id] = { overwrite: null, lockedAt: 1000 };
+    client.data.scheduledTasks = [{ type: 'unlock', guildId: guild.id, targetId: channel.id, runAt: 5000, data: {} }];
+
+    assert.deepStrictEqual(await (await request(`/api/guilds/${guild.id}/locked`)).json(), [
+        { channelId: channel.id, name: 'announcements', thread: false, lockedAt: 1000, unlocksAt: 5000 }
+    ]);
+});
+
+test('moderation history can be filtered and paged', async t => {
+    const { client, guild, server, request } = await setup();
+    t.after(() => server.close());
+
+    const moderator = createFakeUser({ username: 'mod' });
+    const target = createFakeUser({ username: 'target' });
+    const other = createFakeUser({ username: 'other' });
+    for (const [action, user] of [['warn', target], ['mute', target], ['ban', other], ['kick', target]]) {
+        createCase(client, { guild, action, target: user, moderator, reason: action });
+    }
+
+    const all = await (await request(`/api/guilds/${guild.id}/cases?user=${target.id}`)).json();
+    assert.strictEqual(all.total, 3);
+    assert.deepStrictEqual(all.cases.map(entry => entry.action), ['kick', 'mute', 'warn']);
+
+    const page = await (await request(`/api/guilds/${guild.id}/cases?user=${target.id}&limit=1&before=${all.cases[0].id}`)).json();
+    assert.deepStrictEqual(page.cases.map(entry => entry.action), ['mute']);
+
+    const bans = await (await request(`/api/guilds/${guild.id}/cases?action=ban`)).json();
+    assert.deepStrictEqual(bans.cases.map(entry => entry.targetId), [other.id]);
+
+    const single = await request(`/api/guilds/${guild.id}/cases/${all.cases[0].id}`);
+    assert.strictEqual((await single.json()).action, 'kick');
+    assert.strictEqual((await request(`/api/guilds/${guild.id}/cases/9999`)).status, 404);
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { DAY, createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeInteraction, emit, lastReply } = require('./fakes');
+const { getGuildData } = require('../lib/guilds');
+const { createCase } = require('../lib/cases');
+const { setRaidMode } = require('../lib/antiraid');
+const { assessRisk } = require('../lib/risk');
+
+function setup() {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const channel = createFakeChannel(guild);
+    const helperRole = createFakeRole(guild, { name: 'Helper', position: 5, permissions: [PermissionFlagsBits.ModerateMembers] });
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [helperRole] });
+    const run = async (commandName, options, subcommand = null, member = moderator) => {
+        const interaction = createFakeInteraction(client, { commandName, member, channel, options, subcommand });
+        await emit(client, 'interactionCreate', interaction);
+        return interaction;
+    };
+    return { client, guild, moderator, run };
+}
+
+// Fields of the embed in the last reply, by name
+function embedFields(interaction) {
+    const response = interaction.replies[interaction.replies.length - 1];
+    return Object.fromEntries(response.embeds[0].data.fields.map(field => [field.name.replace(/ \(\d+\)$/, ''), field.value]));
+}
+
+test('an established member with a clean record is low risk', () => {
+    const { client, guild } = setup();
+    const member = createFakeMember(guild, createFakeUser({ username: 'regular' }), { joinedTimestamp: Date.now() - 100 * DAY });
+
+    assert.deepStrictEqual(assessRisk(client, guild, member.user, member), { score: 0, level: 'Low', emoji: '🟢', color: 0x57f287, reasons: [] });
+});
+
+test('a brand new account that joined during raid mode is high risk', async () => {
+    const { client, guild } = setup();
+    await setRaidMode(client, guild, { enabled: true, action: 'verify', actor: client.user });
+    const member = createFakeMember(guild, createFakeUser({ username: 'fresh', avatar: null, createdTimestamp: Date.now() - 60 * 1000 }));
+
+    const risk = assessRisk(client, guild, member.user, member);
+    assert.strictEqual(risk.level, 'High');
+    assert.deepStrictEqual(risk.reasons, ['account under a day old', 'default avatar', 'joined during raid mode']);
+
+    // Still counts after raid mode is switched off
+    await setRaidMode(client, guild, { enabled: false, actor: client.user });
+    assert.ok(assessRisk(client, guild, member.user, member).reasons.includes('joined during raid mode'));
+    assert.ok(getGuildData(client, guild.id).lastRaid.endedAt >= getGuildData(client, guild.id).lastRaid.startedAt);
+});
+
+test('past punishments raise the risk of users who already left', () => {
+    const { client, guild } = setup();
+    const user = createFakeUser({ username: 'returning' });
+    createCase(client, { guild, action: 'warn', target: user, moderator: client.user, reason: 'spam' });
+    createCase(client, { guild, action: 'kick', target: user, moderator: client.user, reason: 'spam' });
+
+    const risk = assessRisk(client, guild, user, null);
+    assert.strictEqual(risk.score, 2);
+    assert.strictEqual(risk.level, 'Medium');
+    assert.deepStrictEqual(risk.reasons, ['1 active warning(s)', '1 previous ban(s), kick(s) or mute(s)']);
+});
+
+test('/userinfo shows roles, timeout, history, notes and risk', async () => {
+    const { client, guild, moderator, run } = setup();
+    const role = createFakeRole(guild, { name: 'Member', position: 2 });
+    const member = createFakeMember(guild, createFakeUser({ username: 'target' }), { roles: [role], joinedTimestamp: Date.now() - 30 * DAY });
+    await member.timeout(60 * 60 * 1000, 'test');
+    createCase(client, { guild, action: 'mute', target: member.user, moderator: moderator.user, reason: 'Flooding chat', duration: '1h' });
+    await run('note', { user: member.user, text: 'Known alt of a banned user' }, 'add');
+
+    const fields = embedFields(await run('userinfo', { user: member.user }));
+    assert.strictEqual(fields.Roles, `<@&${role.id}>`);
+    assert.match(fields.Timeout, /^Until <t:\d+:f>/);
+    assert.strictEqual(fields.Ban, 'Not banned');
+    assert.match(fields['Moderation history'], /^1 mute\n\n\*\*#1\*\* MUTE \(1h\)/);
+    assert.match(fields.Notes, /Known alt of a banned user/);
+    assert.match(fields.Risk, /🟢 \*\*Low\*\* \(score 1\)\n• 1 previous ban/);
+});
+
+test('/userinfo keeps a long moderation history within the field limit', async () => {
+    const { client, guild, moderator, run } = setup();
+    const member = createFakeMember(guild, createFakeUser({ username: 'target' }));
+    for (const action of ['warn', 'mute', 'kick', 'ban', 'unban', 'pardon']) {
+        createCase(client, { guild, action, target: member.user, moderator: moderator.user, reason: 'x'.repeat(410) });
+    }
+
+    const history = embedFields(await run('userinfo', { user: member.user }))['Moderation history'];
+    assert.ok(history.length <= 1024, `${history.length} characters`);
+    assert.match(history, /^1 pardon, 1 unban, 1 ban, 1 kick, 1 mute, 1 warn\n\n\*\*#6\*\*/);
+});
+
+test('/userinfo reports bans for users no longer in the server', async () => {
+    const { guild, run } = setup();
+    const member = createFakeMember(guild, createFakeUser({ username: 'banned' }));
+    await member.ban({ reason: 'Raiding' });
+
+    const fields = embedFields(await run('userinfo', { user: member.user }));
+    assert.strictEqual(fields.Joined, 'Not in this server');
+    assert.strictEqual(fields.Ban, 'Banned: Raiding');
+});
+
+test('notes can be listed and removed by their author', async () => {
+    const { client, guild, run } = setup();
+    const user = createFakeUser({ username: 'subject' });
+    await run('note', { user, text: 'First' }, 'add');
+    await run('note', { user, text: 'Second' }, 'add');
+
+    const list = await run('note', { user }, 'list');
+    assert.match(list.replies[0].embeds[0].data.description, /^\*\*#2\*\*.*\n└ Second\n\n\*\*#1\*\*.*\n└ First$/);
+
+    // Another helper can't remove someone else's note
+    const otherHelper = createFakeMember(guild, createFakeUser({ username: 'helper2' }), { permissions: [PermissionFlagsBits.ModerateMembers] });
+    assert.match(lastReply(await run('note', { id: 1 }, 'remove', otherHelper)), /Only the note's author/);
+
+    assert.match(lastReply(await run('note', { id: 1 }, 'remove')), /Removed note \*\*#1\*\*/);
+    assert.deepStrictEqual(client.notes.list.map(note => note.content), ['Second']);
+    assert.match(lastReply(await run('note', { id: 1 }, 'remove')), /not found/);
+});
+
+test('a page of long notes fits the embed description', async () => {
+    const { run } = setup();
+    const user = createFakeUser({ username: 'subject' });
+    for (let i = 0; i < 10; i++) await run('note', { user, text: 'x'.repeat(1000) }, 'add');
+
+    const list = await run('note', { user }, 'list');
+    assert.ok(list.replies[0].embeds, lastReply(list));
+    assert.ok(list.replies[0].embeds[0].data.description.length <= 4096);
+});
+
+test('notes are kept per server', async () => {
+    const { client, run } = setup();
+    const user = createFakeUser({ username: 'subject' });
+    await run('note', { user, text: 'Here' }, 'add');
+
+    const elsewhere = createFakeGuild(client);
+    const admin = createFakeMember(elsewhere, createFakeUser({ username: 'admin' }), { permissions: [PermissionFlagsBits.Administrator] });
+    const interaction = createFakeInteraction(client, { commandName: 'note', member: admin, channel: createFakeChannel(elsewhere), options: { user }, subcommand: 'list' });
+    await emit(client, 'interactionCreate', interaction);
+    assert.strictEqual(interaction.replies[0].embeds[0].data.description, 'No notes.');
+});
\ No newline at end of file
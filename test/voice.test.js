@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeRole, createFakeMember, createFakeUser, createFakeChannel, createFakeVoiceState, createFakeInteraction, emit, lastReply } = require('./fakes');
+const { setGuildSetting } = require('../lib/guilds');
+const { lockChannel, unlockChannel, lockServer } = require('../lib/lockdown');
+
+function setup() {
+    const client = createTestBot();
+    const guild = createFakeGuild(client);
+    const text = createFakeChannel(guild, { name: 'general' });
+    const lounge = createFakeChannel(guild, { name: 'Lounge', type: ChannelType.GuildVoice });
+    const gaming = createFakeChannel(guild, { name: 'Gaming', type: ChannelType.GuildVoice });
+    const modRole = createFakeRole(guild, { name: 'Moderator', position: 10, permissions: [PermissionFlagsBits.MoveMembers] });
+    const moderator = createFakeMember(guild, createFakeUser({ username: 'mod' }), { roles: [modRole] });
+
+    // Members connected to a voice channel
+    const connect = (channel, username, options) => {
+        const member = createFakeMember(guild, createFakeUser({ username }), options);
+        member.voice.channelId = channel ? channel.id : null;
+        return member;
+    };
+    const run = async (subcommand, options) => {
+        const interaction = createFakeInteraction(client, { commandName: 'voice', member: moderator, channel: text, options, subcommand });
+        await emit(client, 'interactionCreate', interaction);
+        return interaction;
+    };
+    return { client, guild, text, lounge, gaming, moderator, connect, run };
+}
+
+const callsOf = (client, type) => client.calls.filter(call => call.type === type);
+
+test('/voice mute and deafen toggle server mute and deafen', async () => {
+    const { client, lounge, connect, run } = setup();
+    const member = connect(lounge, 'loud');
+
+    assert.match(lastReply(await run('mute', { user: member.user, reason: 'Mic spam' })), /has been muted in voice/);
+    assert.strictEqual(member.voice.serverMute, true);
+    await run('mute', { user: member.user, enabled: false });
+    assert.strictEqual(member.voice.serverMute, false);
+
+    await run('deafen', { user: member.user });
+    assert.strictEqual(member.voice.serverDeaf, true);
+    assert.deepStrictEqual(callsOf(client, 'voiceMute').map(call => call.reason), ['Mic spam', 'No reason provided']);
+});
+
+test('/voice refuses members who are not connected or outrank the moderator', async () => {
+    const { guild, lounge, connect, run } = setup();
+    const away = connect(null, 'away');
+    assert.match(lastReply(await run('mute', { user: away.user })), /is not in a voice channel/);
+
+    const senior = connect(lounge, 'senior', { roles: [createFakeRole(guild, { name: 'Senior', position: 20 })] });
+    assert.match(lastReply(await run('disconnect', { user: senior.user })), /equal to or above yours/);
+    assert.strictEqual(senior.voice.channelId, lounge.id);
+
+    assert.match(lastReply(await run('disconnect', {})), /Pick a user or a voice channel/);
+});
+
+test('/voice disconnect clears a whole channel, skipping members the moderator cannot act on', async () => {
+    const { guild, lounge, gaming, connect, run } = setup();
+    const raiders = ['a', 'b', 'c'].map(name => connect(lounge, name));
+    const senior = connect(lounge, 'senior', { roles: [createFakeRole(guild, { name: 'Senior', position: 20 })] });
+    const elsewhere = connect(gaming, 'elsewhere');
+
+    const interaction = await run('disconnect', { channel: lounge });
+    const reply = lastReply(interaction);
+    assert.ok(interaction.deferred);
+    assert.match(reply, /Disconnected \*\*3\*\* member/);
+    assert.match(reply, /Skipped \*\*1\*\*/);
+    assert.ok(raiders.every(member => member.voice.channelId === null));
+    assert.strictEqual(senior.voice.channelId, lounge.id);
+    assert.strictEqual(elsewhere.voice.channelId, gaming.id);
+});
+
+test('/voice move moves one member or everyone in a channel', async () => {
+    const { lounge, gaming, connect, run } = setup();
+    const members = ['a', 'b'].map(name => connect(lounge, name));
+
+    await run('move', { to: gaming, user: members[0].user });
+    assert.deepStrictEqual(members.map(member => member.voice.channelId), [gaming.id, lounge.id]);
+
+    assert.match(lastReply(await run('move', { to: gaming, from: lounge })), /Moved \*\*1\*\* member\(s\) to \*\*Gaming\*\*/);
+    assert.ok(members.every(member => member.voice.channelId === gaming.id));
+});
+
+test('locking a voice channel denies Connect and Speak, and unlocking restores it', async () => {
+    const { client, guild, lounge } = setup();
+    await lockChannel(client, lounge);
+
+    const overwrite = lounge.permissionOverwrites.cache.get(guild.id);
+    assert.ok(overwrite.deny.has(PermissionFlagsBits.Connect));
+    assert.ok(overwrite.deny.has(PermissionFlagsBits.Speak));
+
+    await unlockChannel(client, lounge);
+    assert.strictEqual(lounge.permissionOverwrites.cache.has(guild.id), false);
+});
+
+test('a server lockdown only covers voice channels when asked to', async () => {
+    const { client, guild, text, lounge, gaming } = setup();
+
+    const textOnly = await lockServer(client, guild);
+    assert.deepStrictEqual(textOnly.channels.map(channel => channel.id), [text.id]);
+
+    const withVoice = await lockServer(client, guild, null, { voice: true });
+    assert.deepStrictEqual(withVoice.channels.map(channel => channel.id).sort(), [text.id, lounge.id, gaming.id].sort());
+});
+
+test('hopping between voice channels too fast disconnects and times out the member', async () => {
+    const { client, guild, lounge, gaming, connect } = setup();
+    const hopper = connect(null, 'hopper');
+    const channels = [lounge, gaming];
+
+    // Five joins in the window are allowed (the default joinLimit)
+    let previous = null;
+    for (let i = 0; i < 5; i++) {
+        const next = channels[i % 2];
+        await emit(client, 'voiceStateUpdate', createFakeVoiceState(hopper, previous), createFakeVoiceState(hopper, next));
+        previous = next;
+    }
+    assert.strictEqual(callsOf(client, 'voiceDisconnect').length, 0);
+
+    // Muting or leaving doesn't count as a join
+    await emit(client, 'voiceStateUpdate', createFakeVoiceState(hopper, previous), createFakeVoiceState(hopper, previous));
+    await emit(client, 'voiceStateUpdate', createFakeVoiceState(hopper, previous), createFakeVoiceState(hopper, null));
+    assert.strictEqual(callsOf(client, 'voiceDisconnect').length, 0);
+
+    await emit(client, 'voiceStateUpdate', createFakeVoiceState(hopper, null), createFakeVoiceState(hopper, lounge));
+    assert.deepStrictEqual(callsOf(client, 'voiceDisconnect').map(call => call.userId), [hopper.id]);
+    assert.deepStrictEqual(callsOf(client, 'timeout').map(call => call.duration), [300000]);
+    assert.match(client.cases.list[client.cases.list.length - 1].reason, /Voice hopping: 6 channel joins in 30s/);
+
+    // The disconnect-only action leaves no timeout
+    setGuildSetting(client, guild.id, 'voiceHop.action', 'disconnect');
+    for (let i = 0; i < 6; i++) {
+        await emit(client, 'voiceStateUpdate', createFakeVoiceState(hopper, null), createFakeVoiceState(hopper, channels[i % 2]));
+    }
+    assert.strictEqual(callsOf(client, 'voiceDisconnect').length, 2);
+    assert.strictEqual(callsOf(client, 'timeout').length, 1);
+});
+
+test('staff are never treated as voice hoppers', async () => {
+    const { client, guild, lounge, gaming, connect } = setup();
+    const admin = connect(null, 'admin', { permissions: [PermissionFlagsBits.Administrator] });
+
+    for (let i = 0; i < 10; i++) {
+        await emit(client, 'voiceStateUpdate', createFakeVoiceState(admin, null), createFakeVoiceState(admin, i % 2 ? lounge : gaming));
+    }
+    assert.strictEqual(callsOf(client, 'voiceDisconnect').length, 0);
+});
\ No newline at end of file
@@ -1,4 +1,7 @@
-// Allowed role IDs for moderation commands
+const { PermissionFlagsBits } = require('discord.js');
+const { getGuildSettings } = require('./lib/guilds');
+
+// Mod roles from before per-guild settings; seeded into the default guild when data.json is migrated
 const ALLOWED_ROLES = [
     '1431176927066193950',
     '1405093493902413855', 
@@ -8,10 +11,75 @@ const ALLOWED_ROLES = [
     '1408165119946526872'
 ];
 
-// Check if user has permission to use moderation commands
+// Command tiers from least to most trusted. Roles allowed a tier can also use every lower tier.
+const TIERS = ['helper', 'moderator', 'senior', 'admin'];
+
+// Name of the PermissionFlagsBits flag for a bitfield, e.g. "BanMembers"
+function permissionName(bits) {
+    if (bits === null || bits === undefined) return null;
+    return Object.keys(PermissionFlagsBits).find(name => PermissionFlagsBits[name] === BigInt(bits)) || null;
+}
+
+// Who may use a command: roles allowed on the command or its tier (and any tier above it),
+// plus the Discord permission that grants it on its own. Command entries override tier entries,
+// which override the command's default member permission. Null for a command that isn't loaded.
+function getCommandAccess(client, guildId, commandName) {
+    const command = client.commands.get(commandName);
+    if (!command) return null;
+    const tier = command.tier || 'moderator';
+    const { modRoles, permissions } = getGuildSettings(client, guildId);
+    const entries = [permissions[commandName], ...TIERS.slice(TIERS.indexOf(tier)).map(name => permissions[name])]
+        .filter(Boolean);
+
+    const roles = new Set(entries.flatMap(entry => entry.roles || []));
+    // Mod roles from /config modrole make up the moderator tier
+    if (TIERS.indexOf(tier) <= TIERS.indexOf('moderator')) {
+        modRoles.forEach(roleId => roles.add(roleId));
+    }
+
+    const override = [permissions[commandName], permissions[tier]].find(entry => entry && entry.permission !== undefined);
+    const permission = override ? override.permission : permissionName(command.data.default_member_permissions);
+
+    return { tier, roles: [...roles], permission };
+}
+
+// Check if a member may use a command in their guild
+function hasCommandPermission(member, commandName) {
+    if (!member || !member.roles) return false;
+    if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+
+    const access = getCommandAccess(member.client, member.guild.id, commandName);
+    if (!access) return false;
+    const { roles, permission } = access;
+    if (permission && member.permissions.has(PermissionFlagsBits[permission])) return true;
+    return roles.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Check if a member is staff at all: an administrator, or holding a mod role or any tier or command role
 function hasModPermission(member) {
     if (!member || !member.roles) return false;
-    return ALLOWED_ROLES.some(roleId => member.roles.cache.has(roleId));
+    if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+    const { modRoles, permissions } = getGuildSettings(member.client, member.guild.id);
+    const staffRoles = [...modRoles, ...Object.values(permissions).flatMap(entry => entry.roles || [])];
+    return staffRoles.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Reason a moderator can't act on a target member because of role hierarchy, or null if they can.
+// Both the moderator and the bot must be above the target; the owner is above everyone.
+function checkHierarchy(moderator, target) {
+    if (!target) return null;
+    const guild = target.guild;
+
+    if (target.id === guild.ownerId) {
+        return '❌ You cannot act on the server owner.';
+    }
+    if (moderator.id !== guild.ownerId && moderator.roles.highest.comparePositionTo(target.roles.highest) <= 0) {
+        return `❌ You cannot act on **${target.user.tag}**: their highest role is equal to or above yours.`;
+    }
+    if (guild.members.me.roles.highest.comparePositionTo(target.roles.highest) <= 0) {
+        return `❌ I cannot act on **${target.user.tag}**: their highest role is equal to or above mine.`;
+    }
+    return null;
 }
 
 // Standard permission error response
@@ -24,6 +92,11 @@ function noPermissionReply() {
 
 module.exports = {
     ALLOWED_ROLES,
+    TIERS,
+    permissionName,
+    getCommandAccess,
+    hasCommandPermission,
     hasModPermission,
+    checkHierarchy,
     noPermissionReply
 };
\ No newline at end of file